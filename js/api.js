@@ -1,155 +1,875 @@
 // js/api.js
 /**
  * api.js - API integration for ShlangeAI
- * Handles communication with external AI API
+ * Handles communication with AI providers through the adapters in providers.js
  *
- * Dependencies: Storage (from storage.js)
- * Note: This file must be loaded after storage.js
+ * Dependencies: Config (from config.js), Storage (from storage.js), Providers (from providers.js)
+ * Note: This file must be loaded after config.js, storage.js and providers.js
  */
 
 // Validate dependencies are loaded
+if (typeof Config === 'undefined') {
+    throw new Error('Config is not defined. Ensure config.js is loaded before api.js');
+}
 if (typeof Storage === 'undefined') {
     throw new Error('Storage is not defined. Ensure storage.js is loaded before api.js');
 }
+if (typeof Providers === 'undefined') {
+    throw new Error('Providers is not defined. Ensure providers.js is loaded before api.js');
+}
 
-// IMPORTANT: Hardcoding API keys in frontend code is generally NOT recommended for production environments.
-// This is done here as per user request. For production, consider secure backend proxying.
-const PERPLEXITY_API_KEY = 'eak_goL3JgmBBbxUyKavJsRBeXxJssafbvlGqCQCB2TVv75hVOOy';
-const PERPLEXITY_API_ENDPOINT = 'https://api.perplexity.ai/chat/completions';
+// Model used when a persona does not name one
+const DEFAULT_MODEL = 'sonar'; // Perplexity AI supports models like 'sonar-small-chat', 'sonar-medium-chat'
 
-// Original backend proxy configuration (commented out as direct API call is requested)
-// const BACKEND_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-//     ? 'http://localhost:3000/api'  // Local development
-//     : 'https://shlangeai-backend.onrender.com/api';  // Production (Render deployment)
+// How each band of the 1-10 tone slider is described to the model (index = tone - 1)
+const TONE_DESCRIPTORS = [
+    'very formal, precise and reserved',
+    'formal and precise',
+    'professional and measured',
+    'polite and matter-of-fact',
+    'balanced, warm but focused',
+    'friendly and approachable',
+    'casual and conversational',
+    'relaxed and lively',
+    'playful and expressive',
+    'very playful, enthusiastic and expressive'
+];
 
-// const AZURE_PROXY_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-//     ? 'http://localhost:7071/api'  // Local Azure Functions development
-//     : 'https://your-function-app.azurewebsites.net/api';  // Production Azure Function (TODO: Update this with your actual Azure Function URL!)
+// Sampling temperature at tone 1 and tone 10; tones in between are interpolated
+const TONE_TEMPERATURE_RANGE = [0.2, 1.1];
 
-// const USE_AZURE_PROXY = false; // Set to true to use Azure Function, false to use Render backend
-// const ACTIVE_PROXY_URL = USE_AZURE_PROXY ? AZURE_PROXY_URL : BACKEND_URL;
+// Model names: letters, digits and . _ : / - (e.g. "sonar-pro", "llama3.1:8b")
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
 
-console.log('[API] Using direct Perplexity AI API endpoint.');
+// Domains for search_domain_filter; a leading "-" excludes the domain
+const DOMAIN_FILTER_PATTERN = /^-?([a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
 
-// Default model for all personas
-const DEFAULT_MODEL = 'sonar'; // Perplexity AI supports models like 'sonar-small-chat', 'sonar-medium-chat'
+// Request timeout and retry count used until an admin changes them (see getRequestSettings)
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
+const DEFAULT_MAX_RETRIES = 3;
+
+// Limits for the admin-configurable request settings
+const REQUEST_TIMEOUT_RANGE = [5, 600];
+const MAX_RETRIES_RANGE = [0, 5];
+
+// Exponential backoff between retries: base delay doubling per attempt, capped
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Longest Retry-After wait honored; a server asking for more is not retried
+const RETRY_AFTER_MAX_MS = 60000;
+
+// Instructions for condensing older turns into the rolling summary sent in their place
+const SUMMARIZER_PROMPT = 'You condense chat transcripts into a compact summary that another assistant will ' +
+    'read instead of the original messages. Keep facts about the user, their goals and preferences, decisions ' +
+    'made, open questions and anything the assistant promised to do. Merge the previous summary, if any, with ' +
+    'the new messages. Write plain prose or short bullet points in the third person, with no preamble.';
+
+// Generation settings for summaries: near-deterministic, and short enough to stay cheap
+const SUMMARY_PARAMETERS = { temperature: 0.2, max_tokens: 700 };
+
+// Per-persona generation parameters (chat-completions naming) and their allowed values;
+// perplexityOnly ones are Perplexity extensions that other endpoints reject
+const GENERATION_PARAMETERS = {
+    temperature: { type: 'number', min: 0, max: 2 },
+    max_tokens: { type: 'integer', min: 1, max: 16384 },
+    top_p: { type: 'number', min: 0, max: 1 },
+    presence_penalty: { type: 'number', min: -2, max: 2 },
+    frequency_penalty: { type: 'number', min: -2, max: 2 },
+    search_recency_filter: { type: 'enum', values: ['hour', 'day', 'week', 'month', 'year'], perplexityOnly: true },
+    search_domain_filter: { type: 'domains', maxItems: 10, perplexityOnly: true }
+};
 
 const API = {
-    // Persona configurations
-    personas: {
-        companion: {
-            name: 'Companion',
-            icon: '💬',
-            description: 'Your friendly AI companion for general conversations',
-            model: DEFAULT_MODEL
-        },
-        code: {
-            name: 'Code Buddy',
-            icon: '💻', // Changed from 'fucer' to a more appropriate icon for Code Buddy
-            description: 'Your expert programming assistant for coding help',
-            model: DEFAULT_MODEL
-        },
-        study: {
-            name: 'Study Helper',
-            icon: '📚', // Changed from 'idiot' to a more appropriate icon for Study Helper
-            description: 'Your knowledgeable tutor for learning and studying',
-            model: DEFAULT_MODEL
-        }
-    },
+    DEFAULT_MODEL: DEFAULT_MODEL,
+    GENERATION_PARAMETERS: GENERATION_PARAMETERS,
+    REQUEST_TIMEOUT_RANGE: REQUEST_TIMEOUT_RANGE,
+    MAX_RETRIES_RANGE: MAX_RETRIES_RANGE,
 
     /**
      * Get persona configuration
-     * @param {string} persona - Persona identifier (companion, code, or study)
-     * @returns {Object} Persona configuration object
+     * Personas live in Storage; the provider and model fall back to the defaults.
+     * @param {string} persona - Persona identifier
+     * @returns {Object} Persona configuration { name, icon, description, provider, model, endpoint }
      */
     getPersonaConfig(persona) {
-        const config = this.personas[persona];
-        if (!config) {
-            console.warn(`[API] Unknown persona: ${persona}, using companion as fallback`);
-            return this.personas.companion;
+        if (!Storage.hasPersona(persona)) {
+            console.warn(`[API] Unknown persona: ${persona}, using ${Storage.DEFAULT_PERSONA} as fallback`);
+            persona = Storage.DEFAULT_PERSONA;
+        }
+
+        const personaData = Storage.getPersona(persona);
+        return {
+            name: personaData.name,
+            icon: personaData.icon,
+            description: personaData.description,
+            provider: personaData.provider || Providers.DEFAULT_PROVIDER,
+            model: this.isValidModel(personaData.model) ? personaData.model.trim() : DEFAULT_MODEL,
+            endpoint: personaData.endpoint
+        };
+    },
+
+    /**
+     * Roughly estimate the token count of a piece of text
+     * Uses the common ~4 characters per token heuristic; good enough for budgeting
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated token count
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    },
+
+    /**
+     * Estimate token usage for a request whose provider reported none
+     * @param {Object} request - Normalized request ({ messages })
+     * @param {string} responseText - Reply text received
+     * @returns {Object} { promptTokens, completionTokens, totalTokens, estimated: true }
+     */
+    estimateUsage(request, responseText) {
+        const promptTokens = request.messages.reduce((sum, message) => sum + this.estimateTokens(message.content), 0);
+        const completionTokens = this.estimateTokens(responseText);
+        return {
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            estimated: true
+        };
+    },
+
+    /**
+     * Resolve the context budget for a persona, falling back to the default
+     * @param {Object} personaData - Persona data from Storage
+     * @returns {number} Context budget in estimated tokens
+     */
+    getContextBudget(personaData) {
+        const budget = parseInt(personaData && personaData.contextBudget, 10);
+        return Number.isFinite(budget) && budget >= 0 ? budget : Storage.DEFAULT_CONTEXT_BUDGET;
+    },
+
+    /**
+     * Clamp a stored tone to an integer from 1 to 10 (5 if missing or invalid)
+     * @param {*} tone - Stored tone
+     * @returns {number} Tone from 1 to 10
+     */
+    normalizeTone(tone) {
+        const value = Math.round(Number(tone));
+        if (tone === null || tone === '' || !Number.isFinite(value)) {
+            return 5;
+        }
+        return Math.min(10, Math.max(1, value));
+    },
+
+    /**
+     * Describe a tone for the system message
+     * @param {*} tone - Tone from 1 (formal) to 10 (playful)
+     * @returns {string} Tone descriptor
+     */
+    getToneDescriptor(tone) {
+        return TONE_DESCRIPTORS[this.normalizeTone(tone) - 1];
+    },
+
+    /**
+     * Map a tone to a sampling temperature: formal tones answer more deterministically
+     * @param {*} tone - Tone from 1 (formal) to 10 (playful)
+     * @returns {number} Temperature, rounded to two decimals
+     */
+    getToneTemperature(tone) {
+        const [min, max] = TONE_TEMPERATURE_RANGE;
+        const temperature = min + (max - min) * (this.normalizeTone(tone) - 1) / 9;
+        return Math.round(temperature * 100) / 100;
+    },
+
+    /**
+     * Assemble the system message from a persona's prompt, name, personality and tone
+     * @param {Object} personaData - Persona data (or unsaved admin form values)
+     * @param {string} [persona] - Persona identifier, for the default prompt fallback
+     * @returns {string} System message content
+     */
+    composeSystemPrompt(personaData, persona) {
+        const basePrompt = (personaData.systemPrompt || '').trim()
+            || Storage.DEFAULT_PROMPTS[persona]
+            || Storage.DEFAULT_PROMPTS[Storage.DEFAULT_PERSONA];
+        const name = (personaData.name || '').trim();
+        const personality = (personaData.personality || '').trim().replace(/[.!]+$/, '');
+
+        const lines = [];
+        if (name) {
+            lines.push(`Your name is ${name}.`);
+        }
+        if (personality) {
+            lines.push(`Your personality: ${personality}.`);
+        }
+        lines.push(`Tone: ${this.getToneDescriptor(personaData.tone)}.`);
+
+        return `${basePrompt}\n\n${lines.join('\n')}`;
+    },
+
+    /**
+     * Check a model name
+     * @param {*} model - Model name
+     * @returns {boolean} Whether it is a non-empty, well-formed model name
+     */
+    isValidModel(model) {
+        return typeof model === 'string' && MODEL_PATTERN.test(model.trim());
+    },
+
+    /**
+     * Validate generation parameters against GENERATION_PARAMETERS
+     * Empty values (undefined, null, '' or an empty list) mean "provider default" and are
+     * dropped; unknown keys are ignored.
+     * @param {Object} [raw] - Parameters keyed by chat-completions name
+     * @returns {{parameters: Object, errors: Object}} Valid parameters, and an error message
+     *     per invalid parameter
+     */
+    validateGenerationParameters(raw) {
+        const parameters = {};
+        const errors = {};
+        const input = raw && typeof raw === 'object' ? raw : {};
+
+        Object.keys(GENERATION_PARAMETERS).forEach(key => {
+            const rule = GENERATION_PARAMETERS[key];
+            const value = input[key];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return;
+            }
+
+            if (rule.type === 'number' || rule.type === 'integer') {
+                const number = Number(value);
+                if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                    errors[key] = `${key} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}.`;
+                } else if (number < rule.min || number > rule.max) {
+                    errors[key] = `${key} must be between ${rule.min} and ${rule.max}.`;
+                } else {
+                    parameters[key] = number;
+                }
+            } else if (rule.type === 'enum') {
+                if (rule.values.includes(value)) {
+                    parameters[key] = value;
+                } else {
+                    errors[key] = `${key} must be one of: ${rule.values.join(', ')}.`;
+                }
+            } else if (rule.type === 'domains') {
+                const domains = Array.isArray(value) ? value : String(value).split(',');
+                const cleaned = domains.map(domain => String(domain).trim().toLowerCase()).filter(Boolean);
+                const invalid = cleaned.filter(domain => !DOMAIN_FILTER_PATTERN.test(domain));
+                if (invalid.length > 0) {
+                    errors[key] = `${key} has invalid domains: ${invalid.join(', ')}.`;
+                } else if (cleaned.length > rule.maxItems) {
+                    errors[key] = `${key} allows at most ${rule.maxItems} domains.`;
+                } else if (cleaned.length > 0) {
+                    parameters[key] = cleaned;
+                }
+            }
+        });
+
+        return { parameters, errors };
+    },
+
+    /**
+     * Whether a persona's requests reach Perplexity: the OpenAI-compatible provider through
+     * the backend proxy, rather than a custom endpoint
+     * @param {Object} personaData - Persona data from Storage
+     * @returns {boolean} Whether Perplexity-only parameters may be sent
+     */
+    isPerplexityBackend(personaData) {
+        return (personaData.provider || Providers.DEFAULT_PROVIDER) === 'openai' && !personaData.endpoint;
+    },
+
+    /**
+     * Generation parameters for a persona, in chat-completions naming
+     * Invalid stored values are dropped (the provider default applies), as are
+     * Perplexity-only ones for personas using another backend; without an explicit
+     * temperature, the persona's tone sets it.
+     * @param {Object} personaData - Persona data from Storage
+     * @returns {Object} Parameters such as { temperature, max_tokens, top_p }
+     */
+    getGenerationParameters(personaData) {
+        const { parameters, errors } = this.validateGenerationParameters(personaData.parameters);
+        Object.keys(errors).forEach(key => {
+            console.warn(`[API] Ignoring invalid stored ${key} for ${personaData.name}: ${errors[key]}`);
+        });
+        if (!this.isPerplexityBackend(personaData)) {
+            Object.keys(parameters).filter(key => GENERATION_PARAMETERS[key].perplexityOnly).forEach(key => {
+                console.warn(`[API] Not sending ${key} for ${personaData.name}: only the Perplexity backend supports it`);
+                delete parameters[key];
+            });
+        }
+
+        return {
+            temperature: this.getToneTemperature(personaData.tone),
+            ...parameters
+        };
+    },
+
+    /**
+     * Map stored chat history to chat-completions turns within a context budget
+     * Error bubbles are skipped, consecutive turns of the same role are merged
+     * (the API requires alternating roles), and the oldest turns are dropped
+     * once the budget is exhausted. The oldest turn that only partly fits is trimmed.
+     * @param {Array} history - Stored messages ({type, text, timestamp})
+     * @param {number} budget - Maximum estimated tokens for the history
+     * @returns {Array<{role: string, content: string}>} Turns in chronological order
+     */
+    buildHistoryTurns(history, budget) {
+        // Map stored {type, text} shape to roles, leaving out errors and empty messages
+        const turns = [];
+        (history || []).forEach(msg => {
+            if (!msg || msg.isError || msg.sendError || typeof msg.text !== 'string' || !msg.text.trim()) {
+                return;
+            }
+            const role = msg.type === 'user' ? 'user' : msg.type === 'ai' ? 'assistant' : null;
+            if (!role) {
+                return;
+            }
+
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content += '\n\n' + msg.text;
+            } else {
+                turns.push({ role: role, content: msg.text });
+            }
+        });
+
+        // History must end with an assistant turn so the new user message alternates;
+        // an unanswered trailing user turn (e.g. after a failed request) is dropped
+        while (turns.length > 0 && turns[turns.length - 1].role === 'user') {
+            turns.pop();
+        }
+
+        // Walk backwards from the newest turn until the budget is spent
+        const selected = [];
+        let remaining = budget;
+        for (let i = turns.length - 1; i >= 0 && remaining > 0; i--) {
+            const turn = turns[i];
+            const cost = this.estimateTokens(turn.content);
+
+            if (cost <= remaining) {
+                selected.unshift(turn);
+                remaining -= cost;
+            } else {
+                // Keep the most recent part of the turn that still fits
+                const keepChars = remaining * 4;
+                selected.unshift({
+                    role: turn.role,
+                    content: '…' + turn.content.slice(turn.content.length - keepChars)
+                });
+                remaining = 0;
+            }
         }
-        return config;
+
+        // The first turn after the system prompt must be a user turn
+        while (selected.length > 0 && selected[0].role !== 'user') {
+            selected.shift();
+        }
+
+        return selected;
+    },
+
+    /**
+     * Build the messages array for a chat-completions request
+     * When a summary covers the start of the history, the summarized messages are left
+     * out and the summary is added to the system message in their place. A summary of
+     * another branch (its throughId is not in the history) is ignored.
+     * @param {string} persona - Persona identifier
+     * @param {string} userMessage - User's message
+     * @param {Array} history - Prior stored messages (not including userMessage)
+     * @param {Object} [summary] - Rolling summary { text, throughId } from Storage.getThreadSummary
+     * @returns {Array<{role: string, content: string}>} Messages array
+     */
+    buildMessages(persona, userMessage, history, summary) {
+        const personaData = Storage.getPersona(persona);
+        const budget = this.getContextBudget(personaData);
+        let systemPrompt = this.composeSystemPrompt(personaData, persona);
+        let turns = history;
+
+        const summarizedThrough = summary ? history.findIndex(message => message.id === summary.throughId) : -1;
+        if (summarizedThrough !== -1 && summary.text.trim()) {
+            systemPrompt += `\n\nSummary of the earlier conversation:\n${summary.text.trim()}`;
+            turns = history.slice(summarizedThrough + 1);
+        }
+
+        return [
+            { role: 'system', content: systemPrompt },
+            ...this.buildHistoryTurns(turns, budget),
+            { role: 'user', content: userMessage }
+        ];
+    },
+
+    /**
+     * Write stored messages out as a plain transcript for the summarizer
+     * Error bubbles and empty messages are skipped.
+     * @param {string} persona - Persona identifier (names the assistant)
+     * @param {Array} messages - Stored messages ({ type, text })
+     * @returns {string} Lines like "User: …" and "Companion: …", separated by blank lines
+     */
+    buildTranscript(persona, messages) {
+        const assistant = this.getPersonaConfig(persona).name || 'Assistant';
+        return messages
+            .filter(message => message && !message.isError && !message.sendError && typeof message.text === 'string' && message.text.trim())
+            .map(message => `${message.type === 'user' ? 'User' : assistant}: ${message.text.trim()}`)
+            .join('\n\n');
+    },
+
+    /**
+     * Get the request timeout and retry count from the settings, within their limits
+     * @returns {{timeoutSeconds: number, maxRetries: number}} Request settings
+     */
+    getRequestSettings() {
+        const settings = Storage.getSettings();
+        const clamp = (value, [min, max], fallback) => (
+            Number.isInteger(value) ? Math.min(max, Math.max(min, value)) : fallback
+        );
+
+        return {
+            timeoutSeconds: clamp(settings.requestTimeoutSeconds, REQUEST_TIMEOUT_RANGE, DEFAULT_REQUEST_TIMEOUT_SECONDS),
+            maxRetries: clamp(settings.maxRetries, MAX_RETRIES_RANGE, DEFAULT_MAX_RETRIES)
+        };
     },
 
     /**
      * Get AI response for a given persona and message
+     * Rate limits (429), server errors (5xx), network errors and timeouts are retried
+     * with exponential backoff and jitter, honoring Retry-After, as long as no part of
+     * the reply has arrived yet.
      * @param {string} persona - Persona identifier
      * @param {string} userMessage - User's message
-     * @returns {Promise<{response: string}>} AI response object
+     * @param {Object} [options] - Request options
+     * @param {Array} [options.history] - Prior messages to send as context
+     *     (defaults to the persona's stored chat history)
+     * @param {Object} [options.summary] - Rolling summary standing in for the start of the
+     *     history (see buildMessages)
+     * @param {boolean} [options.stream] - Request a streamed response
+     * @param {Function} [options.onChunk] - Called as onChunk(delta, fullText) for each streamed token
+     * @param {AbortSignal} [options.signal] - Aborts the request (e.g. the Stop button)
+     * @param {number} [options.timeoutSeconds] - Give up on an attempt after this long without
+     *     data (defaults to the admin setting)
+     * @param {number} [options.maxRetries] - Retries after the first attempt (defaults to the admin setting)
+     * @param {Function} [options.onRetry] - Called as onRetry({ attempt, maxRetries, delayMs, reason })
+     *     before waiting for each retry
+     * @returns {Promise<{response: string, sources: Array, usage: Object, model: string}>} AI
+     *     response object; sources are web citations ({ url, title, date }) in the order the
+     *     [n] markers refer to, usage is { promptTokens, completionTokens, totalTokens } as
+     *     reported by the provider (or estimated, with `estimated` set) and model is the model
+     *     that was asked
+     * @throws {Error} If a stream breaks partway, the error carries the text received
+     *     so far in `partialResponse` and any sources in `partialSources`; if the request
+     *     was aborted through `signal`, the error has `aborted` set; both also carry `usage`
+     *     (estimated for the partial text) and `model`; otherwise `retryable` says whether
+     *     the failure was temporary
      */
-    async getResponse(persona, userMessage) {
+    async getResponse(persona, userMessage, options = {}) {
         console.log(`[API] Getting response for persona: ${persona}`);
 
+        // Build messages array with system prompt, prior turns and user message
+        const history = options.history || Storage.getChatHistory(persona);
+        return this.sendRequest(persona, {
+            messages: this.buildMessages(persona, userMessage, history, options.summary),
+            parameters: this.getGenerationParameters(Storage.getPersona(persona))
+        }, options);
+    },
+
+    /**
+     * Condense messages into a rolling summary using the persona's provider and model
+     * @param {string} persona - Persona identifier
+     * @param {Array} messages - Stored messages to condense, oldest first
+     * @param {string} [previousSummary] - Summary of the messages before these, merged in
+     * @param {Object} [options] - Request options as for getResponse (signal, timeoutSeconds, maxRetries)
+     * @returns {Promise<{summary: string, usage: Object, model: string}>} New summary text
+     * @throws {Error} As getResponse, or if the provider returned an empty summary
+     */
+    async summarize(persona, messages, previousSummary, options = {}) {
+        console.log(`[API] Summarizing ${messages.length} messages for persona: ${persona}`);
+
+        const parts = [];
+        if (previousSummary && previousSummary.trim()) {
+            parts.push(`Previous summary:\n${previousSummary.trim()}`);
+        }
+        parts.push(`New messages:\n${this.buildTranscript(persona, messages)}`);
+
+        const result = await this.sendRequest(persona, {
+            messages: [
+                { role: 'system', content: SUMMARIZER_PROMPT },
+                { role: 'user', content: parts.join('\n\n') }
+            ],
+            parameters: SUMMARY_PARAMETERS
+        }, { ...options, stream: false, onChunk: null });
+
+        const summary = result.response.trim();
+        if (!summary) {
+            throw new Error('The AI provider returned an empty summary.');
+        }
+        return { summary: summary, usage: result.usage, model: result.model };
+    },
+
+    /**
+     * Send a chat-completions request through the persona's provider, with retries
+     * @param {string} persona - Persona identifier (selects provider, model and endpoint)
+     * @param {Object} body - { messages, parameters } to send
+     * @param {Object} options - Request options (see getResponse)
+     * @returns {Promise<{response: string, sources: Array, usage: Object, model: string}>} AI response object
+     * @throws {Error} See getResponse
+     */
+    async sendRequest(persona, body, options) {
+        // Get persona configuration and its provider adapter
+        const personaConfig = this.getPersonaConfig(persona);
+        const adapter = Providers.get(personaConfig.provider);
+        const requestSettings = this.getRequestSettings();
+        const timeoutSeconds = options.timeoutSeconds || requestSettings.timeoutSeconds;
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : requestSettings.maxRetries;
+        let request = null;
+
         try {
-            // Get persona configuration and data
-            const personaConfig = this.getPersonaConfig(persona);
-            const personaData = Storage.getPersona(persona);
-
-            // Build messages array with system prompt and user message
-            const messages = [
-                {
-                    role: 'system',
-                    content: personaData.systemPrompt || Storage.DEFAULT_PROMPTS[persona] || Storage.DEFAULT_PROMPTS.companion
-                },
-                {
-                    role: 'user',
-                    content: userMessage
+            request = {
+                model: personaConfig.model,
+                messages: body.messages,
+                parameters: body.parameters,
+                stream: Boolean(options.stream),
+                endpoint: personaConfig.endpoint
+            };
+
+            // Offline providers answer without a network request
+            if (adapter.execute) {
+                const result = await adapter.execute(request, options.onChunk, options.signal);
+                if (options.signal && options.signal.aborted) {
+                    throw this.createAbortError(result.response, result.sources);
                 }
-            ];
-
-            // Make API request directly to Perplexity AI
-            console.log(`[API] Sending request to Perplexity AI: ${PERPLEXITY_API_ENDPOINT}`);
-            const response = await fetch(PERPLEXITY_API_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${PERPLEXITY_API_KEY}` // Hardcoded API key
-                },
-                body: JSON.stringify({
-                    model: personaConfig.model,
-                    messages: messages
-                })
-            });
+                return this.completeResult(result, request);
+            }
+
+            const { url, init } = adapter.buildRequest(request);
+            console.log(`[API] Sending ${personaConfig.provider || Providers.DEFAULT_PROVIDER} request to: ${url}`);
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const result = await this.attemptRequest(url, init, adapter, request, options, timeoutSeconds);
+                    return this.completeResult(result, request);
+                } catch (error) {
+                    const delayMs = error.retryable && !error.partialResponse && attempt < maxRetries
+                        ? this.getRetryDelay(attempt, error.retryAfterMs)
+                        : null;
+                    if (delayMs === null) {
+                        throw error;
+                    }
+
+                    console.warn(`[API] Attempt ${attempt + 1} failed (${error.message}), retrying in ${delayMs}ms`);
+                    if (options.onRetry) {
+                        options.onRetry({ attempt: attempt + 1, maxRetries: maxRetries, delayMs: delayMs, reason: error.message });
+                    }
+                    await this.wait(delayMs, options.signal);
+                }
+            }
+
+        } catch (error) {
+            console.error('[API] Error getting AI response:', error);
+
+            // Interrupted streams keep their partial text, and stopped requests their flag, for the caller
+            if (error.partialResponse || error.aborted) {
+                if (request) {
+                    error.model = request.model;
+                    error.usage = error.partialResponse ? this.estimateUsage(request, error.partialResponse) : null;
+                }
+                throw error;
+            }
+
+            // Re-throw other errors with context; `retryable` tells the caller that sending
+            // the message again later may succeed (network errors, timeouts, 429 and 5xx)
+            const failure = new Error(error.message || 'Failed to get AI response');
+            failure.retryable = Boolean(error.retryable);
+            throw failure;
+        }
+    },
+
+    /**
+     * Normalize a provider result, estimating usage the provider did not report
+     * @param {Object} result - { response, sources, usage } from an adapter or attemptRequest
+     * @param {Object} request - Normalized request
+     * @returns {{response: string, sources: Array, usage: Object, model: string}} AI response object
+     */
+    completeResult(result, request) {
+        return {
+            response: result.response,
+            sources: result.sources || [],
+            usage: result.usage || this.estimateUsage(request, result.response),
+            model: request.model
+        };
+    },
+
+    /**
+     * Make one request attempt with an inactivity timeout
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch init from the adapter
+     * @param {Object} adapter - Provider adapter (see providers.js)
+     * @param {Object} request - Normalized request (for error mapping)
+     * @param {Object} options - getResponse options (stream, onChunk, signal)
+     * @param {number} timeoutSeconds - Abort after this long without a response or stream data
+     * @returns {Promise<{response: string, sources: Array, usage: (Object|null)}>} AI response object
+     * @throws {Error} With `retryable` set for errors worth retrying, `retryAfterMs` when the
+     *     provider sent Retry-After, and `aborted` when options.signal was aborted
+     */
+    async attemptRequest(url, init, adapter, request, options, timeoutSeconds) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer = null;
+
+        // The timeout restarts whenever stream data arrives, so long replies are not cut off
+        const armTimeout = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutSeconds * 1000);
+        };
+        const onAbort = () => controller.abort();
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                throw this.createAbortError();
+            }
+            options.signal.addEventListener('abort', onAbort);
+        }
+        armTimeout();
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, { ...init, signal: controller.signal });
+            } catch (error) {
+                // Network errors - TypeError is thrown for network failures
+                const connectionError = new Error(adapter.connectionError());
+                connectionError.retryable = true;
+                throw connectionError;
+            }
 
-            console.log(`[API] Perplexity AI Response status: ${response.status}`);
+            console.log(`[API] Response status: ${response.status}`);
 
             // Handle non-OK responses
             if (!response.ok) {
-                let errorMessage = `Perplexity AI API request failed with status ${response.status}`;
+                let errorData = null;
                 try {
-                    const errorData = await response.json();
-                    console.error('[API] Error response from Perplexity AI:', errorData);
-                    errorMessage = errorData.error?.message || errorData.message || errorMessage;
+                    errorData = await response.json();
+                    console.error('[API] Error response from provider:', errorData);
                 } catch (e) {
-                    console.error('[API] Could not parse error response from Perplexity AI:', e);
+                    console.error('[API] Could not parse error response from provider:', e);
                 }
-                throw new Error(errorMessage);
+                const httpError = new Error(adapter.mapError(response.status, errorData, request));
+                httpError.status = response.status;
+                httpError.retryable = response.status === 429 || response.status >= 500;
+                httpError.retryAfterMs = this.parseRetryAfter(response.headers.get('Retry-After'));
+                throw httpError;
             }
 
-            // Parse successful response
-            const data = await response.json();
-            console.log('[API] Response received successfully from Perplexity AI');
-
-            // Extract message from Perplexity API response format
-            if (data.choices && data.choices.length > 0 && data.choices[0].message) {
-                const aiResponse = data.choices[0].message.content;
-                return { response: aiResponse };
-            } else {
-                console.error('[API] Unexpected response format from Perplexity AI:', data);
-                throw new Error('Unexpected response format from Perplexity AI');
+            // Streamed responses are read incrementally
+            if (options.stream) {
+                const result = await this.readStream(response, adapter, options.onChunk, armTimeout);
+                console.log('[API] Stream completed successfully');
+                return result;
             }
 
+            // Parse successful response into the normalized shape
+            const data = await response.json();
+            console.log('[API] Response received successfully');
+            const result = adapter.parseResponse(data);
+            return { response: result.response, sources: result.sources || [], usage: result.usage || null };
         } catch (error) {
-            console.error('[API] Error getting response from Perplexity AI:', error);
+            if (options.signal && options.signal.aborted) {
+                throw this.createAbortError(error.partialResponse, error.partialSources);
+            }
+            if (timedOut) {
+                error.message = `No response within ${timeoutSeconds} seconds. The AI provider may be overloaded.`;
+                error.retryable = true;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    },
+
+    /**
+     * Build the error thrown when the caller aborts a request
+     * @param {string} [partialResponse] - Text received before stopping
+     * @param {Array} [partialSources] - Sources received before stopping
+     * @returns {Error} Error with `aborted` set
+     */
+    createAbortError(partialResponse, partialSources) {
+        const error = new Error('Response stopped.');
+        error.aborted = true;
+        error.partialResponse = partialResponse || '';
+        error.partialSources = partialSources || [];
+        return error;
+    },
+
+    /**
+     * Parse a Retry-After header (delay in seconds or an HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+     */
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        if (Number.isFinite(seconds) && seconds >= 0) {
+            return Math.round(seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Delay before a retry: Retry-After when given, otherwise exponential backoff with jitter
+     * @param {number} attempt - Zero-based number of the attempt that failed
+     * @param {number|null} [retryAfterMs] - Delay requested by the provider
+     * @returns {number|null} Delay in milliseconds, or null if the requested wait is too long
+     */
+    getRetryDelay(attempt, retryAfterMs) {
+        if (retryAfterMs !== null && retryAfterMs !== undefined) {
+            return retryAfterMs <= RETRY_AFTER_MAX_MS ? retryAfterMs : null;
+        }
+        // "Equal jitter": half the backoff is fixed, half random, so clients spread out
+        const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    },
 
-            // Network errors - TypeError is thrown for network failures
-            if (error instanceof TypeError && !error.message.startsWith('Perplexity AI API request failed')) {
-                throw new Error('Unable to connect to Perplexity AI. Please check your internet connection.');
+    /**
+     * Wait before a retry, ending early if the request is aborted
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<void>} Resolves after the delay
+     * @throws {Error} With `aborted` set if the signal fires first
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
             }
+        });
+    },
+
+    /**
+     * Read a streamed response line by line through a provider adapter
+     * @param {Response} response - Fetch response with a streaming body
+     * @param {Object} adapter - Provider adapter (see providers.js)
+     * @param {Function} [onChunk] - Called as onChunk(delta, fullText) for each token
+     * @param {Function} [onData] - Called whenever bytes arrive (restarts the request timeout)
+     * @returns {Promise<{response: string, sources: Array, usage: (Object|null)}>} Full response
+     *     text, sources and the token usage the provider reported, if any
+     * @throws {Error} If the stream breaks or ends before the provider's final event;
+     *     `partialResponse` holds the text received so far
+     *     and `partialSources` any sources already announced
+     */
+    async readStream(response, adapter, onChunk, onData) {
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            throw new Error('Streaming is not supported by this browser');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        let sources = [];
+        let usage = null;
+        let done = false;
+
+        try {
+            while (!done) {
+                const chunk = await reader.read();
+                let lines;
+                if (chunk.done) {
+                    // The last event may lack its closing newline
+                    lines = [buffer + decoder.decode()];
+                    buffer = '';
+                } else {
+                    if (onData) {
+                        onData();
+                    }
+                    buffer += decoder.decode(chunk.value, { stream: true });
+
+                    // Events are newline-delimited; keep the last partial line
+                    lines = buffer.split('\n');
+                    buffer = lines.pop();
+                }
+
+                for (const rawLine of lines) {
+                    const line = rawLine.trim();
+                    if (!line) {
+                        continue;
+                    }
+
+                    let event;
+                    try {
+                        event = adapter.parseStreamLine(line);
+                    } catch (e) {
+                        console.warn('[API] Skipping malformed stream event:', line);
+                        continue;
+                    }
+                    if (!event) {
+                        continue;
+                    }
+
+                    if (event.error) {
+                        throw new Error(event.error);
+                    }
+
+                    // Sources are repeated on every event; keep the latest non-empty list
+                    if (event.sources && event.sources.length > 0) {
+                        sources = event.sources;
+                    }
+
+                    // Usage may be cumulative per event or only on the last one; keep the latest
+                    if (event.usage) {
+                        usage = event.usage;
+                    }
+
+                    if (event.delta) {
+                        fullText += event.delta;
+                        if (onChunk) {
+                            onChunk(event.delta, fullText);
+                        }
+                    }
 
-            // Re-throw other errors with context
-            throw new Error(error.message || 'Failed to get AI response from Perplexity AI');
+                    if (event.done) {
+                        done = true;
+                        break;
+                    }
+                }
+
+                // A proxy or server closing mid-answer ends the stream without a final event;
+                // what arrived is only part of the reply
+                if (chunk.done && !done) {
+                    throw new Error('The connection closed before the response was complete.');
+                }
+            }
+        } catch (error) {
+            const streamError = new Error(
+                error instanceof TypeError
+                    ? 'Connection was lost while streaming the response.'
+                    : error.message || 'Stream interrupted'
+            );
+            streamError.partialResponse = fullText;
+            streamError.partialSources = sources;
+            throw streamError;
+        } finally {
+            reader.releaseLock();
         }
+
+        return { response: fullText, sources: sources, usage: usage };
     }
 };
 
@@ -1,29 +1,134 @@
 /**
  * auth.js - Admin authentication logic for ShlangeAI
  * Handles passcode verification and admin panel access
+ *
+ * The passcode is stored as a salted PBKDF2 hash (WebCrypto). Until one is set,
+ * the Config default applies and must be replaced on first unlock. Unlocking
+ * starts a session whose token is HMAC-signed with a key that only lives in
+ * memory, so a hand-edited sessionStorage entry (or a reload) never unlocks the
+ * panel, and the session ends after a period of inactivity.
  * 
- * Dependencies: Storage (from storage.js)
+ * Dependencies: Config (from config.js), Storage (from storage.js)
  * Note: This file must be loaded after storage.js
  */
 
 // Validate dependencies are loaded
+if (typeof Config === 'undefined') {
+    throw new Error('Config is not defined. Ensure config.js is loaded before auth.js');
+}
 if (typeof Storage === 'undefined') {
     throw new Error('Storage is not defined. Ensure storage.js is loaded before auth.js');
 }
 
+// PBKDF2-SHA256 work factor for newly stored passcodes
+const PASSCODE_ITERATIONS = 310000;
+
+// Shortest passcode accepted when setting a new one
+const MIN_PASSCODE_LENGTH = 4;
+
+// Failed unlocks allowed before lockouts start; each further failure doubles the delay
+const FREE_UNLOCK_ATTEMPTS = 3;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 15 * 60 * 1000;
+
+// Admin sessions end after this long without activity in the admin modal
+const SESSION_IDLE_MS = 15 * 60 * 1000;
+
+// How often the session token is re-signed on activity and checked for expiry
+const SESSION_REFRESH_MS = 30 * 1000;
+
+// How long the first-unlock screen accepts a new code after the default one was entered
+const SETUP_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive a PBKDF2-SHA256 hash of a passcode
+ * @param {string} passcode - Plaintext passcode
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} 256-bit hash
+ */
+async function derivePasscodeHash(passcode, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations }, material, 256
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Compare two byte arrays without exiting early on the first difference
+ * @param {Uint8Array} a - First value
+ * @param {Uint8Array} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+}
+
 const Auth = {
+    // Shortest passcode accepted by changePasscode and the first-unlock setup
+    MIN_PASSCODE_LENGTH: MIN_PASSCODE_LENGTH,
+
     // Authentication state
     isAuthenticated: false,
 
+    // Session state, held in memory only: the HMAC key that signs the session token,
+    // the unlocked code (the backend bearer token) and the idle deadline
+    sessionKey: null,
+    sessionCode: null,
+    sessionExpiresAt: 0,
+    sessionTimer: null,
+    lastSessionRefresh: 0,
+
+    // Countdown shown while unlocking is locked out, and the delayed reveal after unlocking
+    lockoutTimer: null,
+    revealTimer: null,
+
+    // Deadline for replacing the default code; no session exists until it is replaced
+    setupExpiresAt: 0,
+
     /**
      * Initialize Auth and set up event listeners
      */
     init() {
         this.setupEventListeners();
         
-        // Check if already authenticated from session
-        if (Storage.isAdminAuthenticated()) {
-            this.isAuthenticated = true;
+        // A token left from before a reload cannot be verified (its key is gone)
+        Storage.setAdminSession(null);
+
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockout();
         }
     },
 
@@ -53,6 +158,40 @@ const Auth = {
             logoutBtn.addEventListener('click', () => this.logoutAdmin());
         }
 
+        // First-unlock passcode setup
+        const setupBtn = document.getElementById('admin-setup-btn');
+        if (setupBtn) {
+            setupBtn.addEventListener('click', () => this.completePasscodeSetup());
+        }
+
+        const setupConfirm = document.getElementById('admin-setup-confirm');
+        if (setupConfirm) {
+            setupConfirm.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.completePasscodeSetup();
+                }
+            });
+        }
+
+        // Change passcode form
+        const changePasscodeBtn = document.getElementById('change-passcode-btn');
+        if (changePasscodeBtn) {
+            changePasscodeBtn.addEventListener('click', () => this.submitPasscodeChange());
+        }
+
+        const newPasscodeInput = document.getElementById('new-passcode');
+        if (newPasscodeInput) {
+            newPasscodeInput.addEventListener('input', () => this.updatePasscodeStrength());
+        }
+
+        // Any interaction with the admin modal counts as session activity
+        const adminModal = document.getElementById('adminModal');
+        if (adminModal) {
+            ['click', 'keydown', 'input'].forEach(type => {
+                adminModal.addEventListener(type, () => this.touchSession());
+            });
+        }
+
         // Tone range slider - update value display
         const toneSlider = document.getElementById('companion-tone');
         const toneValue = document.getElementById('tone-value');
@@ -65,9 +204,12 @@ const Auth = {
 
     /**
      * Unlock admin panel with code verification
+     * Failed attempts beyond FREE_UNLOCK_ATTEMPTS lock unlocking out for a growing delay,
+     * and unlocking with the default code requires choosing a new one first.
      */
-    unlockAdmin() {
+    async unlockAdmin() {
         const codeInput = document.getElementById('admin-code-input');
+        const unlockBtn = document.getElementById('admin-unlock-btn');
         const message = document.getElementById('admin-message');
         const unlockSection = document.getElementById('admin-unlock-section');
         const adminFeatures = document.getElementById('admin-features');
@@ -77,23 +219,56 @@ const Auth = {
             return;
         }
 
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockout();
+            return;
+        }
+
+        if (!window.crypto || !crypto.subtle) {
+            message.textContent = '✗ Admin unlock requires a secure (HTTPS or localhost) connection';
+            message.className = 'message error';
+            return;
+        }
+
         const inputCode = codeInput.value.trim();
-        const correctCode = Storage.getAdminCode();
 
-        if (inputCode === correctCode) {
+        // Hashing takes a moment; block double submits meanwhile
+        if (unlockBtn) {
+            unlockBtn.disabled = true;
+        }
+        let valid = false;
+        try {
+            valid = await this.checkPasscode(inputCode);
+        } catch (error) {
+            console.error('[Auth] Passcode verification failed:', error);
+        } finally {
+            if (unlockBtn) {
+                unlockBtn.disabled = false;
+            }
+        }
+
+        if (valid) {
             // Successful unlock
-            this.isAuthenticated = true;
-            Storage.setAdminAuth(true);
+            Storage.setAdminLockout(null);
+            codeInput.value = '';
+
+            // The default code only opens the setup screen; the session starts with the new code
+            if (inputCode === Config.getAdminCode()) {
+                this.endSession();
+                this.setupExpiresAt = Date.now() + SETUP_WINDOW_MS;
+                this.showPasscodeSetup();
+                return;
+            }
+
+            await this.startSession(inputCode);
 
             // Show success message
             message.textContent = '✓ Admin unlocked!';
             message.className = 'message success';
 
             // Hide unlock section, show admin features
-            setTimeout(() => {
-                unlockSection.style.display = 'none';
-                adminFeatures.style.display = 'block';
-                this.loadPersonaSettings();
+            this.revealTimer = setTimeout(() => {
+                this.showAdminFeatures();
             }, 1000);
 
             // Clear success message after 3 seconds
@@ -103,11 +278,17 @@ const Auth = {
             }, 3000);
         } else {
             // Wrong code
-            message.textContent = '✗ Incorrect code';
-            message.className = 'message error';
             codeInput.value = '';
             codeInput.focus();
 
+            if (this.recordFailedAttempt() > 0) {
+                this.showLockout();
+                return;
+            }
+
+            message.textContent = '✗ Incorrect code';
+            message.className = 'message error';
+
             // Clear error message after 3 seconds
             setTimeout(() => {
                 message.textContent = '';
@@ -116,15 +297,122 @@ const Auth = {
         }
     },
 
+    /**
+     * Hide the unlock screens and show the admin features
+     */
+    showAdminFeatures() {
+        const unlockSection = document.getElementById('admin-unlock-section');
+        const setupSection = document.getElementById('admin-setup-section');
+        const adminFeatures = document.getElementById('admin-features');
+
+        if (!this.isAuthenticated) {
+            return;
+        }
+        if (unlockSection) {
+            unlockSection.style.display = 'none';
+        }
+        if (setupSection) {
+            setupSection.style.display = 'none';
+        }
+        if (adminFeatures) {
+            adminFeatures.style.display = 'block';
+        }
+        this.loadPersonaSettings();
+
+        // Listeners (the UI) pull backend personas once the panel is open
+        window.dispatchEvent(new CustomEvent('admin-unlocked'));
+    },
+
+    /**
+     * Ask for a new passcode in place of the default one
+     */
+    showPasscodeSetup() {
+        const unlockSection = document.getElementById('admin-unlock-section');
+        const setupSection = document.getElementById('admin-setup-section');
+        const setupInput = document.getElementById('admin-setup-code');
+        const message = document.getElementById('admin-message');
+
+        if (message) {
+            message.textContent = '';
+            message.className = 'message';
+        }
+        if (unlockSection) {
+            unlockSection.style.display = 'none';
+        }
+        if (setupSection) {
+            setupSection.style.display = 'block';
+        }
+        if (setupInput) {
+            setupInput.focus();
+        }
+    },
+
+    /**
+     * Save the passcode chosen on first unlock, then open the admin features
+     */
+    async completePasscodeSetup() {
+        const codeInput = document.getElementById('admin-setup-code');
+        const confirmInput = document.getElementById('admin-setup-confirm');
+        const message = document.getElementById('admin-setup-message');
+
+        if (!codeInput || !confirmInput || !message) {
+            console.error('Required admin setup elements not found');
+            return;
+        }
+
+        const showError = (text) => {
+            message.textContent = `✗ ${text}`;
+            message.className = 'message error';
+        };
+
+        if (this.setupExpiresAt <= Date.now()) {
+            showError('Session expired. Please unlock again.');
+            return;
+        }
+
+        const newCode = codeInput.value.trim();
+        if (newCode.length < MIN_PASSCODE_LENGTH) {
+            showError(`The new code must be at least ${MIN_PASSCODE_LENGTH} characters long.`);
+            return;
+        }
+        if (newCode === Config.getAdminCode()) {
+            showError('Choose a code different from the default.');
+            return;
+        }
+        if (newCode !== confirmInput.value.trim()) {
+            showError('The codes do not match.');
+            return;
+        }
+
+        try {
+            await this.storePasscode(newCode);
+        } catch (error) {
+            console.error('[Auth] Failed to store passcode:', error);
+            showError('Failed to save the new code. Please try again.');
+            return;
+        }
+
+        // The session token doubles as the backend bearer, so it carries the new code
+        this.setupExpiresAt = 0;
+        await this.startSession(newCode);
+        console.log('[Auth] Passcode set on first unlock; admin session started');
+
+        codeInput.value = '';
+        confirmInput.value = '';
+        message.textContent = '';
+        message.className = 'message';
+        this.showAdminFeatures();
+    },
+
     /**
      * Logout from admin panel
      */
     logoutAdmin() {
-        this.isAuthenticated = false;
-        Storage.setAdminAuth(false);
+        this.endSession();
 
         // Get elements
         const unlockSection = document.getElementById('admin-unlock-section');
+        const setupSection = document.getElementById('admin-setup-section');
         const adminFeatures = document.getElementById('admin-features');
         const codeInput = document.getElementById('admin-code-input');
         const message = document.getElementById('admin-message');
@@ -133,6 +421,9 @@ const Auth = {
             adminFeatures.style.display = 'none';
             unlockSection.style.display = 'block';
         }
+        if (setupSection) {
+            setupSection.style.display = 'none';
+        }
 
         // Clear input and message
         if (codeInput) {
@@ -142,6 +433,213 @@ const Auth = {
             message.textContent = '';
             message.className = 'message';
         }
+        this.resetPasscodeForm();
+
+        // Keep the lockout countdown visible if one is running
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockout();
+        }
+    },
+
+    /**
+     * Check a passcode against the stored hash, or against the legacy plaintext code
+     * or Config default when no hash exists yet (migrating it to a hash on success)
+     * @param {string} passcode - Passcode to check
+     * @returns {Promise<boolean>} Whether the passcode is correct
+     */
+    async checkPasscode(passcode) {
+        const credential = Storage.getAdminCredential();
+        if (credential) {
+            const hash = await derivePasscodeHash(passcode, base64ToBytes(credential.salt), credential.iterations);
+            return constantTimeEqual(hash, base64ToBytes(credential.hash));
+        }
+
+        // Compare digests so the comparison does not depend on the code lengths
+        const expected = Storage.getLegacyAdminCode() || Config.getAdminCode();
+        const encoder = new TextEncoder();
+        const [inputDigest, expectedDigest] = await Promise.all([
+            crypto.subtle.digest('SHA-256', encoder.encode(passcode)),
+            crypto.subtle.digest('SHA-256', encoder.encode(expected))
+        ]);
+        const valid = constantTimeEqual(new Uint8Array(inputDigest), new Uint8Array(expectedDigest));
+
+        if (valid && passcode !== Config.getAdminCode()) {
+            await this.storePasscode(passcode);
+            console.log('[Auth] Migrated the stored admin code to a salted hash');
+        }
+        return valid;
+    },
+
+    /**
+     * Hash and store a new passcode
+     * @param {string} passcode - New plaintext passcode
+     * @returns {Promise<void>}
+     * @throws {Error} If the passcode cannot be saved
+     */
+    async storePasscode(passcode) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await derivePasscodeHash(passcode, salt, PASSCODE_ITERATIONS);
+        const saved = Storage.setAdminCredential({
+            algorithm: 'PBKDF2-SHA256',
+            iterations: PASSCODE_ITERATIONS,
+            salt: bytesToBase64(salt),
+            hash: bytesToBase64(hash)
+        });
+        if (!saved) {
+            throw new Error('Failed to save admin credential');
+        }
+    },
+
+    /**
+     * Time left before unlocking is allowed again
+     * @returns {number} Milliseconds remaining (0 when not locked out)
+     */
+    getLockoutRemaining() {
+        return Math.max(0, Storage.getAdminLockout().lockedUntil - Date.now());
+    },
+
+    /**
+     * Count a failed unlock (or passcode re-check) and start a lockout once the free attempts are used up
+     * @returns {number} Lockout delay in milliseconds (0 when none was started)
+     */
+    recordFailedAttempt() {
+        const failures = Storage.getAdminLockout().failures + 1;
+        const delay = failures > FREE_UNLOCK_ATTEMPTS
+            ? Math.min(LOCKOUT_BASE_MS * Math.pow(2, failures - FREE_UNLOCK_ATTEMPTS - 1), LOCKOUT_MAX_MS)
+            : 0;
+
+        Storage.setAdminLockout({ failures: failures, lockedUntil: delay ? Date.now() + delay : 0 });
+        console.warn(`[Auth] Failed admin passcode attempt ${failures}${delay ? `, locked for ${delay / 1000}s` : ''}`);
+        return delay;
+    },
+
+    /**
+     * Disable the unlock controls and count down the remaining lockout
+     */
+    showLockout() {
+        const unlockBtn = document.getElementById('admin-unlock-btn');
+        const message = document.getElementById('admin-message');
+
+        const update = () => {
+            const remaining = this.getLockoutRemaining();
+            if (unlockBtn) {
+                unlockBtn.disabled = remaining > 0;
+            }
+            if (remaining > 0) {
+                if (message) {
+                    message.textContent = `✗ Too many failed attempts. Try again in ${Math.ceil(remaining / 1000)}s.`;
+                    message.className = 'message error';
+                }
+                return;
+            }
+
+            clearInterval(this.lockoutTimer);
+            this.lockoutTimer = null;
+            if (message) {
+                message.textContent = '';
+                message.className = 'message';
+            }
+        };
+
+        clearInterval(this.lockoutTimer);
+        this.lockoutTimer = setInterval(update, 1000);
+        update();
+    },
+
+    /**
+     * Start an admin session after a successful unlock
+     * @param {string} passcode - The unlocked code, kept in memory as the backend bearer token
+     * @returns {Promise<void>}
+     */
+    async startSession(passcode) {
+        this.endSession();
+        this.sessionKey = await crypto.subtle.generateKey(
+            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+        );
+        this.sessionCode = passcode;
+        this.isAuthenticated = true;
+        await this.touchSession(true);
+
+        this.sessionTimer = setInterval(() => this.checkSessionExpiry(), SESSION_REFRESH_MS);
+    },
+
+    /**
+     * Extend the session on activity by re-signing the token with a new idle deadline
+     * @param {boolean} [force=false] - Re-sign even if the token was refreshed recently
+     * @returns {Promise<void>}
+     */
+    async touchSession(force = false) {
+        const now = Date.now();
+        if (!this.sessionKey || (!force && now - this.lastSessionRefresh < SESSION_REFRESH_MS)) {
+            return;
+        }
+        if (!force && now >= this.sessionExpiresAt) {
+            return;
+        }
+
+        this.lastSessionRefresh = now;
+        this.sessionExpiresAt = now + SESSION_IDLE_MS;
+
+        const payload = btoa(JSON.stringify({ expiresAt: this.sessionExpiresAt }));
+        const signature = await crypto.subtle.sign('HMAC', this.sessionKey, new TextEncoder().encode(payload));
+        Storage.setAdminSession(`${payload}.${bytesToBase64(new Uint8Array(signature))}`);
+    },
+
+    /**
+     * Verify the stored session token's signature and idle deadline
+     * @returns {Promise<boolean>} Whether the admin session is valid
+     */
+    async verifySession() {
+        const token = Storage.getAdminSession();
+        if (!this.sessionKey || !token || !token.includes('.')) {
+            return false;
+        }
+
+        try {
+            const [payload, signature] = token.split('.');
+            const valid = await crypto.subtle.verify(
+                'HMAC', this.sessionKey, base64ToBytes(signature), new TextEncoder().encode(payload)
+            );
+            return valid && JSON.parse(atob(payload)).expiresAt > Date.now();
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Lock the admin panel if the session expired or its token was tampered with
+     * @returns {Promise<void>}
+     */
+    async checkSessionExpiry() {
+        if (!this.isAuthenticated || await this.verifySession()) {
+            return;
+        }
+
+        console.log('[Auth] Admin session expired');
+        this.logoutAdmin();
+
+        const message = document.getElementById('admin-message');
+        if (message) {
+            message.textContent = 'Session expired. Enter the admin code to unlock again.';
+            message.className = 'message error';
+        }
+    },
+
+    /**
+     * End the admin session and forget its key, token and code
+     */
+    endSession() {
+        clearInterval(this.sessionTimer);
+        clearTimeout(this.revealTimer);
+        this.sessionTimer = null;
+        this.revealTimer = null;
+        this.sessionKey = null;
+        this.sessionCode = null;
+        this.sessionExpiresAt = 0;
+        this.lastSessionRefresh = 0;
+        this.isAuthenticated = false;
+        this.setupExpiresAt = 0;
+        Storage.setAdminSession(null);
     },
 
     /**
@@ -149,12 +647,7 @@ const Auth = {
      * @returns {string} Backend API URL
      */
     getBackendUrl() {
-        // Auto-detect environment similar to api.js
-        const isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-        const baseUrl = isLocal
-            ? 'http://localhost:3000/api'
-            : 'https://shlangeai-backend.onrender.com/api';
-        return baseUrl;
+        return Config.getBackendUrl();
     },
 
     /**
@@ -166,10 +659,10 @@ const Auth = {
      */
     async makeAuthenticatedRequest(endpoint, options = {}) {
         const backendUrl = this.getBackendUrl();
-        const adminCode = Storage.getAdminCode();
+        const adminCode = this.sessionCode;
         
-        if (!adminCode) {
-            throw new Error('Admin code not available');
+        if (!adminCode || !(await this.verifySession())) {
+            throw new Error('Admin session expired');
         }
 
         const url = `${backendUrl}${endpoint}`;
@@ -200,61 +693,63 @@ const Auth = {
     },
 
     /**
-     * Load persona settings into form fields
-     * Tries to fetch from backend API if authenticated, falls back to localStorage
-     * 
-     * Note: Backend fetch is currently for future integration. The backend personas
-     * use a different schema (companion_name vs name, system_prompt vs systemPrompt)
-     * and are stored in PostgreSQL. For now, we fall back to localStorage which is
-     * the active data source for the frontend.
+     * Load a persona's settings into the admin form fields
+     * @param {string} [aiType] - Persona to load (defaults to the one chosen in the
+     *     admin persona selector, then the current persona)
+     * @param {Object} [values] - Unsaved form values to show instead of the stored persona
      */
-    async loadPersonaSettings() {
-        // Try to fetch from backend if we have authentication
-        // This prepares for future backend integration when persona sync is implemented
-        if (this.isAuthenticated) {
-            try {
-                const backendPersonas = await this.fetchPersonasFromBackend();
-                // TODO: In future, sync backend personas with localStorage
-                // For now, we just validate the endpoint is accessible
-                console.log('[Auth] Backend persona endpoint is accessible');
-            } catch (error) {
-                console.warn('[Auth] Failed to fetch personas from backend, using localStorage:', error);
-            }
-        }
+    loadPersonaSettings(aiType, values) {
+        const select = document.getElementById('admin-persona-select');
+        const personaId = aiType || (select && select.value) || Storage.getCurrentPersona();
+        const persona = values || Storage.getPersona(personaId);
 
-        // Get companion persona from storage (currently from localStorage)
-        const companionPersona = Storage.getPersona('companion');
-
-        // Check if persona exists
-        if (!companionPersona) {
-            console.error('Failed to load companion persona');
-            return;
-        }
-
-        // Populate form fields
+        // Populate form fields (always overwrite, so nothing leaks over from the previous persona)
         const nameInput = document.getElementById('companion-name');
         const personalityInput = document.getElementById('companion-personality');
         const toneInput = document.getElementById('companion-tone');
         const toneValue = document.getElementById('tone-value');
         const promptInput = document.getElementById('companion-prompt');
+        const budgetInput = document.getElementById('companion-context-budget');
 
-        if (nameInput && companionPersona.name) {
-            nameInput.value = companionPersona.name;
+        if (nameInput) {
+            nameInput.value = persona.name || '';
         }
 
-        if (personalityInput && companionPersona.personality) {
-            personalityInput.value = companionPersona.personality;
+        if (personalityInput) {
+            personalityInput.value = persona.personality || '';
         }
 
-        if (toneInput && toneValue && companionPersona.tone !== undefined) {
-            const tone = companionPersona.tone;
+        if (toneInput && toneValue) {
+            const tone = persona.tone !== undefined ? persona.tone : 5;
             toneInput.value = tone;
             toneValue.textContent = tone;
         }
 
-        if (promptInput && companionPersona.systemPrompt) {
-            promptInput.value = companionPersona.systemPrompt;
+        if (promptInput) {
+            promptInput.value = persona.systemPrompt || '';
         }
+
+        if (budgetInput) {
+            budgetInput.value = persona.contextBudget !== undefined
+                ? persona.contextBudget
+                : Storage.DEFAULT_CONTEXT_BUDGET;
+        }
+
+        const modelInput = document.getElementById('persona-model');
+        if (modelInput) {
+            modelInput.value = persona.model || '';
+        }
+
+        // Generation parameters: one field per data-param attribute, empty when unset
+        const parameters = persona.parameters || {};
+        document.querySelectorAll('[data-param]').forEach(field => {
+            const value = parameters[field.dataset.param];
+            if (value === undefined || value === null) {
+                field.value = '';
+            } else {
+                field.value = Array.isArray(value) ? value.join(', ') : value;
+            }
+        });
     },
 
     /**
@@ -307,63 +802,198 @@ const Auth = {
 
     /**
      * Check if admin is currently unlocked
+     * Synchronous check of the in-memory session; use verifySession to also check the
+     * stored token's signature.
      * @returns {boolean} Authentication status
      */
     isUnlocked() {
-        return Storage.isAdminAuthenticated();
+        return this.isAuthenticated && this.sessionExpiresAt > Date.now();
     },
 
     /**
      * Verify admin passcode (legacy method for backward compatibility)
      * @param {string} inputPasscode - User input passcode
-     * @returns {boolean} Verification result
+     * @returns {Promise<boolean>} Verification result
      */
-    verifyPasscode(inputPasscode) {
-        const correctPasscode = Storage.getAdminCode();
-        this.isAuthenticated = (inputPasscode === correctPasscode);
+    async verifyPasscode(inputPasscode) {
+        const valid = await this.checkPasscode(inputPasscode);
         
-        // Update sessionStorage authentication status
-        if (this.isAuthenticated) {
-            Storage.setAdminAuth(true);
+        // Start a signed session, as unlocking does (never with the default code)
+        if (valid && inputPasscode !== Config.getAdminCode()) {
+            await this.startSession(inputPasscode);
         }
         
-        return this.isAuthenticated;
+        return valid;
     },
 
     /**
-     * Change admin passcode (legacy method for backward compatibility)
+     * Rate how hard a new passcode is to guess
+     * @param {string} passcode - Candidate passcode
+     * @returns {{score: number, label: string}} Score from 0 (too short) to 4 (strong)
+     */
+    getPasscodeStrength(passcode) {
+        const code = passcode || '';
+        const labels = ['Too short', 'Weak', 'Fair', 'Good', 'Strong'];
+        if (code.length < MIN_PASSCODE_LENGTH) {
+            return { score: 0, label: labels[0] };
+        }
+        if (code === Config.getAdminCode() || /^(.)\1*$/.test(code)) {
+            return { score: 1, label: labels[1] };
+        }
+
+        const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(code)).length;
+        let score = 1 + (code.length >= 8 ? 1 : 0) + (code.length >= 12 ? 1 : 0) + (classes >= 3 ? 1 : 0);
+        if (classes === 1) {
+            score--;
+        }
+        score = Math.max(1, Math.min(score, 4));
+        return { score: score, label: labels[score] };
+    },
+
+    /**
+     * Show strength feedback for the code typed into the change passcode form
+     */
+    updatePasscodeStrength() {
+        const input = document.getElementById('new-passcode');
+        const meter = document.getElementById('passcodeStrength');
+        const label = document.getElementById('passcodeStrengthLabel');
+        if (!input || !meter || !label) {
+            return;
+        }
+
+        const value = input.value.trim();
+        const strength = this.getPasscodeStrength(value);
+        meter.dataset.score = value ? strength.score : 0;
+        label.textContent = value ? strength.label : '';
+    },
+
+    /**
+     * Clear the change passcode form
+     */
+    resetPasscodeForm() {
+        ['current-passcode', 'new-passcode', 'confirm-passcode'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+            }
+        });
+        this.updatePasscodeStrength();
+    },
+
+    /**
+     * Handle the change passcode form
+     */
+    async submitPasscodeChange() {
+        const currentInput = document.getElementById('current-passcode');
+        const newInput = document.getElementById('new-passcode');
+        const confirmInput = document.getElementById('confirm-passcode');
+        const button = document.getElementById('change-passcode-btn');
+        const message = document.getElementById('passcode-message');
+
+        if (!currentInput || !newInput || !confirmInput || !message) {
+            console.error('Required change passcode elements not found');
+            return;
+        }
+
+        const showResult = (success, text) => {
+            message.textContent = `${success ? '✓' : '✗'} ${text}`;
+            message.className = `message ${success ? 'success' : 'error'}`;
+        };
+
+        if (newInput.value.trim() !== confirmInput.value.trim()) {
+            showResult(false, 'The new codes do not match.');
+            return;
+        }
+
+        // Re-hashing takes a moment; block double submits meanwhile
+        if (button) {
+            button.disabled = true;
+        }
+        let result;
+        try {
+            result = await this.changePasscode(currentInput.value, newInput.value);
+        } finally {
+            if (button) {
+                button.disabled = false;
+            }
+        }
+
+        showResult(result.success, result.message);
+        if (result.success) {
+            this.resetPasscodeForm();
+        } else {
+            currentInput.value = '';
+            currentInput.focus();
+        }
+    },
+
+    /**
+     * Change admin passcode
+     * The current passcode is re-verified (counting towards the unlock lockout) even
+     * though the panel is unlocked. On success the session is restarted with the new
+     * code, which invalidates the old signed token and the cached backend bearer token.
      * @param {string} currentPasscode - Current passcode for verification
      * @param {string} newPasscode - New passcode to set
-     * @returns {Object} Result object with success status and message
+     * @returns {Promise<Object>} Result object with success status and message
      */
-    changePasscode(currentPasscode, newPasscode) {
-        if (!this.isAuthenticated) {
+    async changePasscode(currentPasscode, newPasscode) {
+        if (!this.isUnlocked()) {
             return {
                 success: false,
                 message: 'Not authenticated. Please verify your current passcode first.'
             };
         }
 
-        if (!newPasscode || newPasscode.trim().length < 4) {
+        if (this.getLockoutRemaining() > 0) {
             return {
                 success: false,
-                message: 'New passcode must be at least 4 characters long.'
+                message: `Too many failed attempts. Try again in ${Math.ceil(this.getLockoutRemaining() / 1000)}s.`
             };
         }
 
-        const success = Storage.setAdminCode(newPasscode.trim());
-        
-        if (success) {
+        const current = (currentPasscode || '').trim();
+        if (!(await this.checkPasscode(current))) {
+            const delay = this.recordFailedAttempt();
             return {
-                success: true,
-                message: 'Passcode updated successfully!'
+                success: false,
+                message: delay
+                    ? `Current passcode is incorrect. Too many failed attempts; try again in ${Math.ceil(delay / 1000)}s.`
+                    : 'Current passcode is incorrect.'
             };
-        } else {
+        }
+        Storage.setAdminLockout(null);
+
+        const code = (newPasscode || '').trim();
+        if (code.length < MIN_PASSCODE_LENGTH) {
+            return {
+                success: false,
+                message: `New passcode must be at least ${MIN_PASSCODE_LENGTH} characters long.`
+            };
+        }
+
+        if (code === Config.getAdminCode() || code === current) {
+            return {
+                success: false,
+                message: 'New passcode must differ from the current and default passcodes.'
+            };
+        }
+
+        try {
+            await this.storePasscode(code);
+        } catch (error) {
+            console.error('[Auth] Failed to change passcode:', error);
             return {
                 success: false,
                 message: 'Failed to update passcode. Please try again.'
             };
         }
+
+        await this.startSession(code);
+        console.log('[Auth] Passcode changed; admin session restarted');
+        return {
+            success: true,
+            message: 'Passcode updated successfully! Set ADMIN_CODE on the server to the new code so persona sync keeps working.'
+        };
     },
 
     /**
@@ -378,10 +1008,8 @@ const Auth = {
      * @returns {boolean} Authentication status
      */
     checkAuth() {
-        // Check sessionStorage as source of truth
-        const sessionAuth = Storage.isAdminAuthenticated();
-        this.isAuthenticated = sessionAuth;
-        return this.isAuthenticated;
+        // The in-memory session is the source of truth; sessionStorage only holds its signed token
+        return this.isUnlocked();
     }
 };
 
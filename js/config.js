@@ -5,12 +5,25 @@
 
 const Config = {
     /**
-     * Get admin code for local development
+     * Get the default admin code
+     * It only unlocks the admin panel until a new code is chosen on first unlock.
      * @returns {string} Admin code
      */
     getAdminCode() {
         // Default admin code for local development
         return 'admin123';
+    },
+
+    /**
+     * Get backend API base URL
+     * Local development talks to the bundled server (node server/server.js)
+     * @returns {string} Backend API URL
+     */
+    getBackendUrl() {
+        const isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+        return isLocal
+            ? 'http://localhost:3000/api'
+            : 'https://shlangeai-backend.onrender.com/api';
     }
 };
 
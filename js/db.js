@@ -0,0 +1,489 @@
+/**
+ * db.js - IndexedDB storage engine for ShlangeAI
+ * Async counterpart of the Storage API: one record per message instead of one
+ * localStorage blob, so adding a message no longer rewrites the whole history.
+ *
+ * Object stores:
+ *   messages - { id, persona, threadId, seq, parentId, type, text, timestamp, ... }
+ *              indexes: persona, timestamp, persona_timestamp, thread (threadId + seq)
+ *   threads  - { id, persona, title, createdAt, updatedAt, activeLeafId, summary }, index: persona
+ *   kv       - { key, value } for personas, settings and active thread ids
+ *
+ * Schema changes are applied by the numbered steps in MIGRATIONS; bump
+ * SCHEMA_VERSION and add a step rather than editing an existing one.
+ *
+ * Dependencies: Storage (from storage.js)
+ * Note: This file must be loaded after storage.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before db.js');
+}
+
+const DB_NAME = 'shlangeai';
+
+// localStorage keys imported into IndexedDB by migration 2
+const LEGACY_KEYS = ['conversations', 'personas', 'settings'];
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Build a message record for the messages store
+ * @param {string} persona - Persona identifier
+ * @param {string} threadId - Thread id
+ * @param {Object} message - Message object (must have an id)
+ * @param {number} seq - Position of the message within its thread
+ * @returns {Object} Message record
+ */
+function toMessageRecord(persona, threadId, message, seq) {
+    return { ...message, persona: persona, threadId: threadId, seq: seq };
+}
+
+/**
+ * Strip storage-only fields from a message record
+ * @param {Object} record - Message record
+ * @returns {Object} Message object as used by the UI
+ */
+function fromMessageRecord(record) {
+    const { persona, threadId, seq, ...message } = record;
+    return message;
+}
+
+/**
+ * Schema migration steps, keyed by the version they upgrade to
+ * Each step runs inside the versionchange transaction.
+ */
+const MIGRATIONS = {
+    /**
+     * v1: create object stores and indexes
+     */
+    1(db) {
+        const messages = db.createObjectStore('messages', { keyPath: 'id' });
+        messages.createIndex('persona', 'persona');
+        messages.createIndex('timestamp', 'timestamp');
+        messages.createIndex('persona_timestamp', ['persona', 'timestamp']);
+        messages.createIndex('thread', ['threadId', 'seq']);
+
+        const threads = db.createObjectStore('threads', { keyPath: 'id' });
+        threads.createIndex('persona', 'persona');
+
+        db.createObjectStore('kv', { keyPath: 'key' });
+    },
+
+    /**
+     * v2: import conversations, personas and settings from localStorage
+     */
+    2(db, tx) {
+        const conversations = Storage.getConversations();
+        const activeThreads = {};
+        const messageStore = tx.objectStore('messages');
+        const threadStore = tx.objectStore('threads');
+        let imported = 0;
+
+        Object.keys(conversations).forEach(persona => {
+            const personaThreads = conversations[persona];
+            activeThreads[persona] = personaThreads.activeThreadId;
+
+            personaThreads.threads.forEach(thread => {
+                const { messages, ...meta } = thread;
+                threadStore.put({ ...meta, persona: persona });
+
+                messages.forEach((message, index) => {
+                    const withId = message.id ? message : { ...message, id: Storage.generateId('msg') };
+                    messageStore.put(toMessageRecord(persona, thread.id, withId, index));
+                    imported++;
+                });
+            });
+        });
+
+        const kv = tx.objectStore('kv');
+        kv.put({ key: 'activeThreads', value: activeThreads });
+
+        ['personas', 'settings'].forEach(key => {
+            try {
+                const raw = localStorage.getItem(key);
+                if (raw) {
+                    kv.put({ key: key, value: JSON.parse(raw) });
+                }
+            } catch (error) {
+                console.warn(`[StorageDB] Skipping unreadable localStorage key "${key}":`, error);
+            }
+        });
+
+        console.log(`[StorageDB] Imported ${imported} messages from localStorage`);
+        StorageDB.importedLegacyData = true;
+    }
+};
+
+const StorageDB = {
+    // Current schema version; must equal the highest key in MIGRATIONS
+    SCHEMA_VERSION: 2,
+
+    // Open database handle
+    db: null,
+
+    // Set when migration 2 ran during this open, so legacy keys can be removed
+    importedLegacyData: false,
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} Availability
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    },
+
+    /**
+     * Open the database, running any pending migrations
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        const request = indexedDB.open(DB_NAME, this.SCHEMA_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const tx = request.transaction;
+            for (let version = event.oldVersion + 1; version <= this.SCHEMA_VERSION; version++) {
+                console.log(`[StorageDB] Migrating schema to version ${version}`);
+                MIGRATIONS[version](db, tx);
+            }
+        };
+
+        request.onblocked = () => {
+            console.warn('[StorageDB] Upgrade blocked by another open tab');
+        };
+
+        this.db = await requestToPromise(request);
+
+        // Another tab upgrading the schema needs this connection closed
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+
+        // The upgrade transaction has committed, so the imported blobs can go
+        if (this.importedLegacyData) {
+            LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+            this.importedLegacyData = false;
+        }
+
+        return this.db;
+    },
+
+    /**
+     * Run work inside a transaction and wait for it to commit
+     * @param {Array<string>} storeNames - Stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the transaction; may return a value
+     * @returns {Promise<*>} Value returned by work
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = transactionDone(tx);
+
+        let result;
+        try {
+            result = await work(tx);
+        } catch (error) {
+            done.catch(() => {});
+            tx.abort();
+            throw error;
+        }
+
+        await done;
+        return result;
+    },
+
+    /**
+     * Read a value from the key-value store
+     * @param {string} key - Key
+     * @returns {Promise<*>} Value, or undefined
+     */
+    async getValue(key) {
+        return this.transaction(['kv'], 'readonly', async tx => {
+            const record = await requestToPromise(tx.objectStore('kv').get(key));
+            return record ? record.value : undefined;
+        });
+    },
+
+    /**
+     * Write a value to the key-value store
+     * @param {string} key - Key
+     * @param {*} value - Value (structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    async setValue(key, value) {
+        return this.transaction(['kv'], 'readwrite', tx => {
+            tx.objectStore('kv').put({ key: key, value: value });
+        });
+    },
+
+    /**
+     * Load every conversation in the threaded shape used by Storage
+     * @returns {Promise<Object>} Object keyed by persona, each { activeThreadId, threads }
+     */
+    async getConversations() {
+        return this.transaction(['messages', 'threads', 'kv'], 'readonly', async tx => {
+            const [threadRecords, messageRecords, active] = await Promise.all([
+                requestToPromise(tx.objectStore('threads').getAll()),
+                requestToPromise(tx.objectStore('messages').index('thread').getAll()),
+                requestToPromise(tx.objectStore('kv').get('activeThreads'))
+            ]);
+
+            const activeThreads = active ? active.value : {};
+            const threadsById = {};
+            const conversations = {};
+
+            threadRecords.forEach(record => {
+                const { persona, ...meta } = record;
+                const thread = { ...meta, messages: [] };
+                threadsById[thread.id] = thread;
+                if (!conversations[persona]) {
+                    conversations[persona] = { activeThreadId: activeThreads[persona], threads: [] };
+                }
+                conversations[persona].threads.push(thread);
+            });
+
+            // The thread index returns messages ordered by threadId, then seq
+            messageRecords.forEach(record => {
+                const thread = threadsById[record.threadId];
+                if (thread) {
+                    thread.messages.push(fromMessageRecord(record));
+                }
+            });
+
+            Object.keys(conversations).forEach(persona => {
+                conversations[persona] = Storage.normalizeThreads(conversations[persona]);
+            });
+
+            return conversations;
+        });
+    },
+
+    /**
+     * Get the messages of one thread, in order
+     * @param {string} threadId - Thread id
+     * @returns {Promise<Array>} Messages
+     */
+    async getChatHistory(threadId) {
+        return this.transaction(['messages'], 'readonly', async tx => {
+            const range = IDBKeyRange.bound([threadId, -Infinity], [threadId, Infinity]);
+            const records = await requestToPromise(tx.objectStore('messages').index('thread').getAll(range));
+            return records.map(fromMessageRecord);
+        });
+    },
+
+    /**
+     * Get messages of a persona within a time range, using the persona_timestamp index
+     * @param {string} persona - Persona identifier
+     * @param {string} [from] - Inclusive ISO start (defaults to the beginning)
+     * @param {string} [to] - Inclusive ISO end (defaults to now)
+     * @returns {Promise<Array>} Message records, oldest first
+     */
+    async getMessagesByPersona(persona, from, to) {
+        return this.transaction(['messages'], 'readonly', async tx => {
+            const range = IDBKeyRange.bound([persona, from || ''], [persona, to || '\uffff']);
+            return requestToPromise(tx.objectStore('messages').index('persona_timestamp').getAll(range));
+        });
+    },
+
+    /**
+     * Store one message
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
+     * @param {Object} message - Message object with an id
+     * @param {number} seq - Position within the thread
+     * @returns {Promise<void>}
+     */
+    async addMessage(persona, threadId, message, seq) {
+        return this.transaction(['messages'], 'readwrite', tx => {
+            tx.objectStore('messages').put(toMessageRecord(persona, threadId, message, seq));
+        });
+    },
+
+    /**
+     * Replace all messages of a thread
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
+     * @param {Array} messages - Messages, each with an id
+     * @returns {Promise<void>}
+     */
+    async saveConversation(persona, threadId, messages) {
+        return this.transaction(['messages'], 'readwrite', async tx => {
+            const store = tx.objectStore('messages');
+            const range = IDBKeyRange.bound([threadId, -Infinity], [threadId, Infinity]);
+            const keys = await requestToPromise(store.index('thread').getAllKeys(range));
+            keys.forEach(key => store.delete(key));
+            messages.forEach((message, index) => store.put(toMessageRecord(persona, threadId, message, index)));
+        });
+    },
+
+    /**
+     * Store a persona's thread list (titles, timestamps) and active thread
+     * @param {string} persona - Persona identifier
+     * @param {Object} personaThreads - { activeThreadId, threads }
+     * @returns {Promise<void>}
+     */
+    async saveThreadIndex(persona, personaThreads) {
+        return this.transaction(['threads', 'kv'], 'readwrite', async tx => {
+            const threadStore = tx.objectStore('threads');
+            personaThreads.threads.forEach(thread => {
+                const { messages, ...meta } = thread;
+                threadStore.put({ ...meta, persona: persona });
+            });
+
+            const kv = tx.objectStore('kv');
+            const active = await requestToPromise(kv.get('activeThreads'));
+            const activeThreads = active ? active.value : {};
+            activeThreads[persona] = personaThreads.activeThreadId;
+            kv.put({ key: 'activeThreads', value: activeThreads });
+        });
+    },
+
+    /**
+     * Delete a thread and all of its messages
+     * @param {string} threadId - Thread id
+     * @returns {Promise<void>}
+     */
+    async deleteThread(threadId) {
+        return this.transaction(['messages', 'threads'], 'readwrite', async tx => {
+            const store = tx.objectStore('messages');
+            const range = IDBKeyRange.bound([threadId, -Infinity], [threadId, Infinity]);
+            const keys = await requestToPromise(store.index('thread').getAllKeys(range));
+            keys.forEach(key => store.delete(key));
+            tx.objectStore('threads').delete(threadId);
+        });
+    },
+
+    /**
+     * Delete every thread and message of a persona
+     * @param {string} persona - Persona identifier
+     * @returns {Promise<void>}
+     */
+    async deletePersona(persona) {
+        return this.transaction(['messages', 'threads', 'kv'], 'readwrite', async tx => {
+            const [messageKeys, threadKeys, active] = await Promise.all([
+                requestToPromise(tx.objectStore('messages').index('persona').getAllKeys(persona)),
+                requestToPromise(tx.objectStore('threads').index('persona').getAllKeys(persona)),
+                requestToPromise(tx.objectStore('kv').get('activeThreads'))
+            ]);
+            messageKeys.forEach(key => tx.objectStore('messages').delete(key));
+            threadKeys.forEach(key => tx.objectStore('threads').delete(key));
+
+            const activeThreads = active ? active.value : {};
+            delete activeThreads[persona];
+            tx.objectStore('kv').put({ key: 'activeThreads', value: activeThreads });
+        });
+    },
+
+    /**
+     * Replace every conversation (used by clear-all and import)
+     * @param {Object} conversations - Object keyed by persona, each { activeThreadId, threads }
+     * @returns {Promise<void>}
+     */
+    async replaceConversations(conversations) {
+        return this.transaction(['messages', 'threads', 'kv'], 'readwrite', tx => {
+            const messageStore = tx.objectStore('messages');
+            const threadStore = tx.objectStore('threads');
+            messageStore.clear();
+            threadStore.clear();
+
+            const activeThreads = {};
+            Object.keys(conversations).forEach(persona => {
+                activeThreads[persona] = conversations[persona].activeThreadId;
+                conversations[persona].threads.forEach(thread => {
+                    const { messages, ...meta } = thread;
+                    threadStore.put({ ...meta, persona: persona });
+                    messages.forEach((message, index) => {
+                        messageStore.put(toMessageRecord(persona, thread.id, message, index));
+                    });
+                });
+            });
+            tx.objectStore('kv').put({ key: 'activeThreads', value: activeThreads });
+        });
+    },
+
+    /**
+     * Get persona configuration
+     * @param {string} aiType - Persona identifier
+     * @returns {Promise<Object|undefined>} Stored persona, if any
+     */
+    async getPersona(aiType) {
+        const personas = (await this.getValue('personas')) || {};
+        return personas[aiType];
+    },
+
+    /**
+     * Save persona configuration
+     * @param {string} aiType - Persona identifier
+     * @param {Object} persona - Persona object
+     * @returns {Promise<void>}
+     */
+    async savePersona(aiType, persona) {
+        const personas = (await this.getValue('personas')) || {};
+        personas[aiType] = persona;
+        return this.setValue('personas', personas);
+    },
+
+    /**
+     * Get all settings
+     * @returns {Promise<Object|undefined>} Stored settings, if any
+     */
+    async getSettings() {
+        return this.getValue('settings');
+    },
+
+    /**
+     * Merge and save settings
+     * @param {Object} settings - Settings to update
+     * @returns {Promise<void>}
+     */
+    async updateSettings(settings) {
+        const current = (await this.getValue('settings')) || {};
+        return this.setValue('settings', { ...current, ...settings });
+    },
+
+    /**
+     * Delete everything in the database
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        return this.transaction(['messages', 'threads', 'kv'], 'readwrite', tx => {
+            tx.objectStore('messages').clear();
+            tx.objectStore('threads').clear();
+            tx.objectStore('kv').clear();
+        });
+    }
+};
+
+// Make StorageDB available globally
+window.StorageDB = StorageDB;
@@ -0,0 +1,352 @@
+/**
+ * export.js - Shareable transcripts of conversations for ShlangeAI
+ * Turns one conversation, or all of a persona's conversations, into Markdown,
+ * a self-contained styled HTML page, or plain text. Unlike the JSON backup
+ * (Storage.exportData), transcripts are meant to be read: they follow the branch
+ * shown in the chat, name the persona, and can leave out timestamps or keep only
+ * a range of messages.
+ *
+ * Dependencies: Storage (from storage.js), API (from api.js), Markdown (from markdown.js)
+ * Note: This file must be loaded after markdown.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before export.js');
+}
+if (typeof API === 'undefined') {
+    throw new Error('API is not defined. Ensure api.js is loaded before export.js');
+}
+if (typeof Markdown === 'undefined') {
+    throw new Error('Markdown is not defined. Ensure markdown.js is loaded before export.js');
+}
+
+// Styles embedded in HTML transcripts, so the file needs nothing else to display
+const TRANSCRIPT_STYLES = `
+body { margin: 0; padding: 2rem 1rem; background: #eff6ff; color: #1f2937;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.5; }
+main { max-width: 760px; margin: 0 auto; }
+h1 { color: #2563eb; margin: 0 0 0.25rem; }
+h2 { color: #1d4ed8; margin: 2rem 0 1rem; padding-bottom: 0.25rem; border-bottom: 2px solid #dbeafe; }
+.exported { color: #6b7280; font-size: 0.9rem; margin: 0; }
+.message { margin: 0 0 1rem; padding: 0.75rem 1rem; border-radius: 12px; background: #dbeafe; }
+.message.user { background: #2563eb; color: #fff; margin-left: 15%; }
+.message.ai { margin-right: 15%; }
+.meta { font-size: 0.8rem; font-weight: 600; opacity: 0.8; margin-bottom: 0.25rem; }
+.note { font-size: 0.8rem; font-style: italic; opacity: 0.8; }
+.text.plain { white-space: pre-wrap; word-wrap: break-word; }
+.text p { margin: 0 0 0.5rem; }
+.text p:last-child { margin-bottom: 0; }
+.text a { color: #1d4ed8; }
+.text table { border-collapse: collapse; }
+.text th, .text td { border: 1px solid #93c5fd; padding: 0.25rem 0.5rem; }
+.text blockquote { margin: 0.5rem 0; padding-left: 0.75rem; border-left: 3px solid #60a5fa; }
+.text code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+.code-block { margin: 0.5rem 0; border-radius: 8px; overflow: hidden; background: #1f2937; color: #f3f4f6; }
+.code-block-header { padding: 0.25rem 0.75rem; font-size: 0.75rem; background: #374151; color: #9ca3af; }
+.code-block pre { margin: 0; padding: 0.75rem; overflow-x: auto; }
+.tok-comment { color: #9ca3af; font-style: italic; }
+.tok-string { color: #86efac; }
+.tok-number, .tok-literal { color: #fca5a5; }
+.tok-keyword { color: #93c5fd; font-weight: 600; }
+.sources { margin: 0.5rem 0 0; padding-left: 1.5rem; font-size: 0.85rem; }
+`;
+
+const Exporter = {
+    // Supported formats, keyed by id
+    FORMATS: {
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        html: { label: 'HTML transcript', extension: 'html', mimeType: 'text/html' },
+        text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+    },
+
+    /**
+     * Collect the messages to export
+     * @param {string} persona - Persona identifier
+     * @param {Object} [options] - Export options
+     * @param {string} [options.threadId] - One conversation; omit for all of the persona's conversations
+     * @param {number} [options.from] - First message number to include (1-based, one conversation only)
+     * @param {number} [options.to] - Last message number to include (inclusive)
+     * @returns {Object} { persona: { name, icon }, title, conversations: [{ title, createdAt, messages }] },
+     *     where each message is { number, type, author, text, timestamp, incomplete, pending, sources }
+     * @throws {Error} If the conversation does not exist or the range is empty
+     */
+    buildTranscript(persona, options = {}) {
+        const config = API.getPersonaConfig(persona);
+        let threads;
+        if (options.threadId) {
+            const thread = Storage.getThread(persona, options.threadId);
+            if (!thread) {
+                throw new Error('That conversation no longer exists.');
+            }
+            threads = [thread];
+        } else {
+            threads = Storage.getThreads(persona)
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        }
+
+        const conversations = threads.map(thread => {
+            const messages = Storage.getChatHistory(persona, thread.id).map((message, index) => ({
+                number: index + 1,
+                type: message.type,
+                author: message.type === 'user' ? 'You' : config.name,
+                text: message.text,
+                timestamp: message.timestamp,
+                incomplete: Boolean(message.incomplete),
+                pending: Boolean(message.pending),
+                sources: message.sources || []
+            }));
+            return { title: thread.title, createdAt: thread.createdAt, messages: messages };
+        }).filter(conversation => conversation.messages.length > 0);
+
+        if (options.threadId && (options.from || options.to)) {
+            const conversation = conversations[0];
+            const total = conversation ? conversation.messages.length : 0;
+            const from = options.from || 1;
+            const to = Math.min(options.to || total, total);
+            if (from < 1 || from > to) {
+                throw new Error(`Choose a message range between 1 and ${total}.`);
+            }
+            conversation.messages = conversation.messages.slice(from - 1, to);
+        }
+
+        if (conversations.length === 0) {
+            throw new Error('There are no messages to export.');
+        }
+
+        return {
+            persona: { name: config.name, icon: config.icon },
+            title: options.threadId ? `${config.name} — ${threads[0].title}` : `${config.name} — all conversations`,
+            conversations: conversations
+        };
+    },
+
+    /**
+     * Build a transcript file
+     * @param {string} persona - Persona identifier
+     * @param {Object} options - buildTranscript options, plus:
+     * @param {string} options.format - 'markdown', 'html' or 'text'
+     * @param {boolean} [options.timestamps=true] - Include message times and the export date
+     * @returns {{filename: string, content: string, mimeType: string}} File to download
+     * @throws {Error} If the format is unknown or there is nothing to export
+     */
+    createFile(persona, options) {
+        const format = this.FORMATS[options.format];
+        if (!format) {
+            throw new Error(`Unknown export format: ${options.format}`);
+        }
+
+        const transcript = this.buildTranscript(persona, options);
+        const renderOptions = { timestamps: options.timestamps !== false, exportedAt: new Date() };
+        const content = options.format === 'markdown'
+            ? this.toMarkdown(transcript, renderOptions)
+            : options.format === 'html'
+                ? this.toHtml(transcript, renderOptions)
+                : this.toText(transcript, renderOptions);
+
+        const scope = options.threadId ? transcript.conversations[0].title : 'all';
+        const filename = ['shlangeai', this.slugify(transcript.persona.name), this.slugify(scope),
+            renderOptions.exportedAt.toISOString().split('T')[0]].filter(Boolean).join('_');
+        return { filename: `${filename}.${format.extension}`, content: content, mimeType: format.mimeType };
+    },
+
+    /**
+     * Render a transcript as Markdown; AI replies are already Markdown and are kept as-is
+     * @param {Object} transcript - From buildTranscript
+     * @param {Object} options - { timestamps, exportedAt }
+     * @returns {string} Markdown document
+     */
+    toMarkdown(transcript, options) {
+        const lines = [`# ${transcript.persona.icon} ${transcript.title}`, ''];
+        if (options.timestamps) {
+            lines.push(`_Exported from ShlangeAI on ${this.formatDate(options.exportedAt)}_`, '');
+        }
+
+        transcript.conversations.forEach(conversation => {
+            lines.push(`## ${conversation.title}`, '');
+            conversation.messages.forEach(message => {
+                const time = options.timestamps ? ` · ${this.formatDate(message.timestamp)}` : '';
+                lines.push(`### ${message.author}${time}`, '');
+                lines.push(message.text, '');
+                const note = this.getNote(message);
+                if (note) {
+                    lines.push(`_${note}_`, '');
+                }
+                if (message.sources.length > 0) {
+                    lines.push('Sources:', '');
+                    message.sources.forEach((source, index) => {
+                        // Only safe URLs become links; anything else is listed as text
+                        lines.push(Markdown.safeUrl(source.url)
+                            ? `${index + 1}. [${source.title || source.url}](${source.url})`
+                            : `${index + 1}. ${source.title || ''} (${source.url})`);
+                    });
+                    lines.push('');
+                }
+            });
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Render a transcript as plain text
+     * @param {Object} transcript - From buildTranscript
+     * @param {Object} options - { timestamps, exportedAt }
+     * @returns {string} Text document
+     */
+    toText(transcript, options) {
+        const lines = [transcript.title];
+        if (options.timestamps) {
+            lines.push(`Exported from ShlangeAI on ${this.formatDate(options.exportedAt)}`);
+        }
+        lines.push('='.repeat(Math.max(transcript.title.length, 20)), '');
+
+        transcript.conversations.forEach(conversation => {
+            if (transcript.conversations.length > 1) {
+                lines.push(conversation.title, '-'.repeat(Math.max(conversation.title.length, 10)), '');
+            }
+            conversation.messages.forEach(message => {
+                const time = options.timestamps ? `[${this.formatDate(message.timestamp)}] ` : '';
+                lines.push(`${time}${message.author}:`, message.text);
+                const note = this.getNote(message);
+                if (note) {
+                    lines.push(`(${note})`);
+                }
+                if (message.sources.length > 0) {
+                    lines.push('Sources:');
+                    message.sources.forEach((source, index) => {
+                        lines.push(`  [${index + 1}] ${source.title && source.title !== source.url ? `${source.title} — ` : ''}${source.url}`);
+                    });
+                }
+                lines.push('');
+            });
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Render a transcript as a self-contained HTML page
+     * The page is built as a DOM document (AI replies through Markdown.render) and then
+     * serialized, so message text is never parsed as HTML.
+     * @param {Object} transcript - From buildTranscript
+     * @param {Object} options - { timestamps, exportedAt }
+     * @returns {string} HTML document
+     */
+    toHtml(transcript, options) {
+        const doc = document.implementation.createHTMLDocument(transcript.title);
+        const meta = doc.createElement('meta');
+        meta.setAttribute('charset', 'UTF-8');
+        doc.head.prepend(meta);
+        const style = doc.createElement('style');
+        style.textContent = TRANSCRIPT_STYLES;
+        doc.head.appendChild(style);
+
+        const main = doc.createElement('main');
+        const append = (parent, tag, className, text) => {
+            const element = doc.createElement(tag);
+            if (className) {
+                element.className = className;
+            }
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            parent.appendChild(element);
+            return element;
+        };
+
+        append(main, 'h1', null, `${transcript.persona.icon} ${transcript.title}`);
+        if (options.timestamps) {
+            append(main, 'p', 'exported', `Exported from ShlangeAI on ${this.formatDate(options.exportedAt)}`);
+        }
+
+        transcript.conversations.forEach(conversation => {
+            append(main, 'h2', null, conversation.title);
+            conversation.messages.forEach(message => {
+                const item = append(main, 'section', `message ${message.type}`);
+                const time = options.timestamps ? ` · ${this.formatDate(message.timestamp)}` : '';
+                append(item, 'div', 'meta', `${message.author}${time}`);
+
+                if (message.type === 'ai') {
+                    const text = append(item, 'div', 'text');
+                    text.appendChild(doc.importNode(Markdown.render(message.text), true));
+                    text.querySelectorAll('.code-copy-btn').forEach(button => button.remove());
+                } else {
+                    append(item, 'div', 'text plain', message.text);
+                }
+
+                const note = this.getNote(message);
+                if (note) {
+                    append(item, 'div', 'note', note);
+                }
+                if (message.sources.length > 0) {
+                    const list = append(item, 'ol', 'sources');
+                    message.sources.forEach(source => {
+                        const link = append(append(list, 'li'), 'a', null, source.title || source.url);
+                        const href = Markdown.safeUrl(source.url);
+                        if (href) {
+                            link.href = href;
+                        }
+                    });
+                }
+            });
+        });
+
+        doc.body.appendChild(main);
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+    },
+
+    /**
+     * Describe a message's state for the transcript
+     * @param {Object} message - Transcript message
+     * @returns {string|null} Note, or null for a normal message
+     */
+    getNote(message) {
+        if (message.incomplete) {
+            return 'Response interrupted — this reply is incomplete';
+        }
+        if (message.pending) {
+            return 'Not sent yet';
+        }
+        return null;
+    },
+
+    /**
+     * Format a date for transcripts
+     * @param {string|Date} value - ISO timestamp or Date
+     * @returns {string} Localized date and time
+     */
+    formatDate(value) {
+        return new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    },
+
+    /**
+     * Make a file-name-safe slug
+     * @param {string} text - e.g. a persona name or conversation title
+     * @returns {string} Lower-case slug (at most 40 characters)
+     */
+    slugify(text) {
+        return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    },
+
+    /**
+     * Download text as a file
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Make Exporter available globally
+window.Exporter = Exporter;
@@ -0,0 +1,572 @@
+/**
+ * markdown.js - Safe Markdown renderer for ShlangeAI
+ * Converts AI replies into DOM nodes: headings, paragraphs, lists, blockquotes,
+ * tables, fenced code blocks with syntax highlighting and copy buttons, inline
+ * code, emphasis and links. Numbered citation markers ([1], [2], ...) become
+ * buttons when the reply came with sources.
+ *
+ * Model output is never assigned to innerHTML: every node is created with
+ * createElement/textContent, so raw HTML and scripts in a reply render as text.
+ * Links are only created for http(s) and mailto URLs and always open in a new tab.
+ */
+
+// URL schemes allowed in links; anything else (javascript:, data:, ...) renders as text
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Keyword lists for the syntax highlighter
+const KEYWORDS = {
+    javascript: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield',
+    typescript: 'abstract any as async await boolean break case catch class const constructor continue declare default delete do else enum export extends finally for from function if implements import in instanceof interface keyof let module namespace never new number of private protected public readonly return static string super switch this throw try type typeof unknown var void while yield',
+    python: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+    java: 'abstract boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long new package private protected public return short static super switch synchronized this throw throws try void volatile while',
+    c: 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class namespace template typename public private protected virtual override new delete using bool',
+    csharp: 'abstract as async await base bool break case catch class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly ref return sealed short sizeof static string struct switch this throw try typeof uint ulong using var virtual void while',
+    go: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+    rust: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+    bash: 'if then else elif fi for while until do done case esac function in return local export echo exit',
+    sql: 'select from where insert into values update set delete create table drop alter add join left right inner outer on group by order having limit offset as and or not null primary key foreign references distinct union all',
+    css: ''
+};
+
+// Literal values highlighted separately from keywords
+const LITERALS = 'true false null undefined None True False nil NaN Infinity';
+
+// Aliases for fenced-code language labels
+const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cc: 'c',
+    cs: 'csharp', 'c#': 'csharp',
+    golang: 'go', rs: 'rust', kt: 'java', kotlin: 'java', scala: 'java',
+    json: 'javascript', scss: 'css', less: 'css'
+};
+
+// Languages whose line comments start with #
+const HASH_COMMENT_LANGUAGES = ['python', 'bash', 'ruby', 'yaml', 'yml', 'toml', 'r', 'perl'];
+
+const Markdown = {
+    // Number of sources [n] markers may refer to during the current render
+    citationCount: 0,
+
+    /**
+     * Render Markdown text into a DOM fragment
+     * @param {string} text - Markdown source
+     * @param {Object} [options] - Render options
+     * @param {number} [options.citationCount] - Number of sources; [n] markers up to this
+     *     number render as `.citation-marker` buttons carrying data-citation="n"
+     * @returns {DocumentFragment} Rendered nodes
+     */
+    render(text, options = {}) {
+        const fragment = document.createDocumentFragment();
+        const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+        this.citationCount = options.citationCount || 0;
+        try {
+            this.renderBlocks(lines, fragment);
+        } finally {
+            this.citationCount = 0;
+        }
+        return fragment;
+    },
+
+    /**
+     * Render block-level Markdown into a parent node
+     * @param {Array<string>} lines - Source lines
+     * @param {Node} parent - Node to append to
+     */
+    renderBlocks(lines, parent) {
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Blank lines separate blocks
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block (an unclosed fence runs to the end, e.g. while streaming)
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                const marker = fence[1];
+                const closing = new RegExp(`^\\s*\\${marker[0]}{${marker.length},}\\s*$`);
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !closing.test(lines[i])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++;
+                parent.appendChild(this.renderCodeBlock(codeLines.join('\n'), fence[2]));
+                continue;
+            }
+
+            // ATX heading
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const h = document.createElement(`h${heading[1].length}`);
+                this.renderInline(heading[2], h);
+                parent.appendChild(h);
+                i++;
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                parent.appendChild(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            // Blockquote
+            if (/^\s{0,3}>/.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                const blockquote = document.createElement('blockquote');
+                this.renderBlocks(quoteLines, blockquote);
+                parent.appendChild(blockquote);
+                continue;
+            }
+
+            // Table (header row followed by a delimiter row)
+            if (line.includes('|') && i + 1 < lines.length && this.isTableDelimiter(lines[i + 1])) {
+                const tableLines = [line, lines[i + 1]];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    tableLines.push(lines[i]);
+                    i++;
+                }
+                parent.appendChild(this.renderTable(tableLines));
+                continue;
+            }
+
+            // List
+            const listItem = this.matchListItem(line);
+            if (listItem) {
+                i = this.renderList(lines, i, parent);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraphLines = [];
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            if (paragraphLines.length === 0) {
+                // Defensive: never stall on a line no rule consumed
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            const p = document.createElement('p');
+            this.renderInline(paragraphLines.join('\n'), p);
+            parent.appendChild(p);
+        }
+    },
+
+    /**
+     * Check whether a line begins a non-paragraph block
+     * @param {Array<string>} lines - Source lines
+     * @param {number} i - Line index
+     * @returns {boolean} Whether lines[i] starts a new block
+     */
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^\s*(`{3,}|~{3,})/.test(line)
+            || /^\s{0,3}#{1,6}\s/.test(line)
+            || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)
+            || /^\s{0,3}>/.test(line)
+            || Boolean(this.matchListItem(line))
+            || (line.includes('|') && i + 1 < lines.length && this.isTableDelimiter(lines[i + 1]));
+    },
+
+    /**
+     * Match a list item line
+     * @param {string} line - Source line
+     * @returns {{indent: number, ordered: boolean, start: number, content: string}|null} Item info
+     */
+    matchListItem(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) {
+            return null;
+        }
+        const ordered = /\d/.test(match[2]);
+        return {
+            indent: match[1].replace(/\t/g, '    ').length,
+            ordered: ordered,
+            start: ordered ? parseInt(match[2], 10) : 1,
+            content: match[3]
+        };
+    },
+
+    /**
+     * Render a (possibly nested) list starting at line i
+     * @param {Array<string>} lines - Source lines
+     * @param {number} i - Index of the first item
+     * @param {Node} parent - Node to append to
+     * @returns {number} Index of the first line after the list
+     */
+    renderList(lines, i, parent) {
+        const first = this.matchListItem(lines[i]);
+        const list = document.createElement(first.ordered ? 'ol' : 'ul');
+        if (first.ordered && first.start !== 1) {
+            list.start = first.start;
+        }
+
+        while (i < lines.length) {
+            const item = this.matchListItem(lines[i]);
+            if (!item || item.indent !== first.indent || item.ordered !== first.ordered) {
+                break;
+            }
+
+            // Item content: the marker line plus following lines indented past the marker
+            const itemLines = [item.content];
+            i++;
+            while (i < lines.length) {
+                const next = lines[i];
+                const nextItem = this.matchListItem(next);
+                const indent = next.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+                if (!next.trim()) {
+                    // A blank line only continues the item if indented content follows
+                    const following = lines[i + 1];
+                    if (following && following.trim() && following.match(/^\s*/)[0].length > first.indent) {
+                        itemLines.push('');
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                if (nextItem && nextItem.indent <= first.indent) {
+                    break;
+                }
+                if (indent <= first.indent && !nextItem && this.startsBlock(lines, i)) {
+                    break;
+                }
+                itemLines.push(next.slice(Math.min(indent, first.indent + 2)));
+                i++;
+            }
+
+            const li = document.createElement('li');
+            this.renderBlocks(itemLines, li);
+
+            // Tight list items read better without paragraph margins
+            if (li.childNodes.length === 1 && li.firstChild.nodeName === 'P') {
+                const p = li.firstChild;
+                while (p.firstChild) {
+                    li.appendChild(p.firstChild);
+                }
+                p.remove();
+            }
+            list.appendChild(li);
+        }
+
+        parent.appendChild(list);
+        return i;
+    },
+
+    /**
+     * Check whether a line is a table delimiter row (e.g. | --- | :-: |)
+     * @param {string} line - Source line
+     * @returns {boolean} Whether the line is a delimiter row
+     */
+    isTableDelimiter(line) {
+        return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+    },
+
+    /**
+     * Split a table row into cell strings
+     * @param {string} line - Table row
+     * @returns {Array<string>} Cells
+     */
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) {
+            row = row.slice(1);
+        }
+        if (row.endsWith('|') && !row.endsWith('\\|')) {
+            row = row.slice(0, -1);
+        }
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    },
+
+    /**
+     * Render a GFM table
+     * @param {Array<string>} tableLines - Header, delimiter and body rows
+     * @returns {HTMLElement} Table wrapper
+     */
+    renderTable(tableLines) {
+        const header = this.splitTableRow(tableLines[0]);
+        const aligns = this.splitTableRow(tableLines[1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'md-table-wrapper';
+        const table = document.createElement('table');
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        header.forEach((cell, index) => {
+            const th = document.createElement('th');
+            if (aligns[index]) {
+                th.style.textAlign = aligns[index];
+            }
+            this.renderInline(cell, th);
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        tableLines.slice(2).forEach(line => {
+            const cells = this.splitTableRow(line);
+            const tr = document.createElement('tr');
+            header.forEach((_, index) => {
+                const td = document.createElement('td');
+                if (aligns[index]) {
+                    td.style.textAlign = aligns[index];
+                }
+                this.renderInline(cells[index] || '', td);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        wrapper.appendChild(table);
+        return wrapper;
+    },
+
+    /**
+     * Render a fenced code block with a language label, highlighting and a copy button
+     * @param {string} code - Code text
+     * @param {string} language - Language label from the fence (may be empty)
+     * @returns {HTMLElement} Code block element
+     */
+    renderCodeBlock(code, language) {
+        const block = document.createElement('div');
+        block.className = 'code-block';
+
+        const header = document.createElement('div');
+        header.className = 'code-block-header';
+
+        const label = document.createElement('span');
+        label.className = 'code-block-lang';
+        label.textContent = language || 'text';
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'code-copy-btn';
+        copyBtn.type = 'button';
+        copyBtn.textContent = 'Copy';
+        copyBtn.addEventListener('click', () => this.copyToClipboard(code, copyBtn));
+
+        header.appendChild(label);
+        header.appendChild(copyBtn);
+
+        const pre = document.createElement('pre');
+        const codeEl = document.createElement('code');
+        if (language) {
+            codeEl.className = `language-${language.toLowerCase()}`;
+        }
+        codeEl.appendChild(this.highlight(code, language));
+        pre.appendChild(codeEl);
+
+        block.appendChild(header);
+        block.appendChild(pre);
+        return block;
+    },
+
+    /**
+     * Copy text to the clipboard and give feedback on the button
+     * @param {string} text - Text to copy
+     * @param {HTMLButtonElement} button - Button to update
+     */
+    async copyToClipboard(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('[Markdown] Could not copy to clipboard:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    },
+
+    /**
+     * Syntax-highlight code into spans (comments, strings, numbers, keywords, literals)
+     * @param {string} code - Code text
+     * @param {string} language - Language label (unknown languages get generic rules)
+     * @returns {DocumentFragment} Highlighted nodes
+     */
+    highlight(code, language) {
+        const fragment = document.createDocumentFragment();
+        const lang = (language || '').toLowerCase();
+        const canonical = LANGUAGE_ALIASES[lang] || lang;
+
+        // Plain text and unknown markup are left uncolored
+        if (!canonical || canonical === 'text' || canonical === 'plaintext' || canonical === 'markdown' || canonical === 'md') {
+            fragment.appendChild(document.createTextNode(code));
+            return fragment;
+        }
+
+        const keywords = (KEYWORDS[canonical] !== undefined ? KEYWORDS[canonical] : KEYWORDS.javascript).split(' ').filter(Boolean);
+        const commentPattern = HASH_COMMENT_LANGUAGES.includes(canonical)
+            ? '#.*'
+            : canonical === 'sql'
+                ? '--.*'
+                : '\\/\\/.*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)';
+        const parts = [
+            `(${commentPattern})`,
+            '("(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?)',
+            '(\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b)',
+            `(\\b(?:${LITERALS.split(' ').join('|')})\\b)`,
+            keywords.length ? `(\\b(?:${keywords.join('|')})\\b)` : '($^)'
+        ];
+        const tokenRegex = new RegExp(parts.join('|'), canonical === 'sql' ? 'gi' : 'g');
+        const classes = ['tok-comment', 'tok-string', 'tok-number', 'tok-literal', 'tok-keyword'];
+
+        let lastIndex = 0;
+        let match;
+        while ((match = tokenRegex.exec(code)) !== null) {
+            if (match[0] === '') {
+                tokenRegex.lastIndex++;
+                continue;
+            }
+            if (match.index > lastIndex) {
+                fragment.appendChild(document.createTextNode(code.slice(lastIndex, match.index)));
+            }
+            const group = match.slice(1).findIndex(value => value !== undefined);
+            const span = document.createElement('span');
+            span.className = classes[group];
+            span.textContent = match[0];
+            fragment.appendChild(span);
+            lastIndex = match.index + match[0].length;
+        }
+        if (lastIndex < code.length) {
+            fragment.appendChild(document.createTextNode(code.slice(lastIndex)));
+        }
+
+        return fragment;
+    },
+
+    /**
+     * Render inline Markdown (code, links, emphasis, citations, line breaks) into a parent node
+     * @param {string} text - Inline source
+     * @param {Node} parent - Node to append to
+     * @param {boolean} [insideLink] - Render links as text (anchors must not nest)
+     */
+    renderInline(text, parent, insideLink = false) {
+        const pattern = /(`+)([\s\S]*?[^`])\1(?!`)|!?\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)|(https?:\/\/[^\s<]+[^\s<.,;:!?'")\]])|\*\*([\s\S]+?)\*\*|__([\s\S]+?)__|~~([\s\S]+?)~~|\*(?!\s)([\s\S]+?)(?<!\s)\*|(?<![\w])_(?!\s)([\s\S]+?)(?<!\s)_(?![\w])|(\n)|\[(\d{1,3})\]/g;
+
+        let lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            }
+
+            if (match[1]) {
+                // Inline code
+                const code = document.createElement('code');
+                code.textContent = match[2].trim() ? match[2].replace(/^ (.*) $/, '$1') : match[2];
+                parent.appendChild(code);
+            } else if (insideLink && (match[4] !== undefined || match[5])) {
+                parent.appendChild(document.createTextNode(match[0]));
+            } else if (match[4] !== undefined) {
+                // [text](url); images are rendered as links, never loaded
+                parent.appendChild(this.createLink(match[4], match[3] || match[4], match[0]));
+            } else if (match[5]) {
+                // Bare URL
+                parent.appendChild(this.createLink(match[5], match[5], match[0]));
+            } else if (match[6] !== undefined || match[7] !== undefined) {
+                const strong = document.createElement('strong');
+                this.renderInline(match[6] !== undefined ? match[6] : match[7], strong, insideLink);
+                parent.appendChild(strong);
+            } else if (match[8] !== undefined) {
+                const del = document.createElement('del');
+                this.renderInline(match[8], del, insideLink);
+                parent.appendChild(del);
+            } else if (match[9] !== undefined || match[10] !== undefined) {
+                const em = document.createElement('em');
+                this.renderInline(match[9] !== undefined ? match[9] : match[10], em, insideLink);
+                parent.appendChild(em);
+            } else if (match[11]) {
+                parent.appendChild(document.createElement('br'));
+            } else if (match[12]) {
+                parent.appendChild(this.createCitation(parseInt(match[12], 10), match[0], insideLink));
+            }
+
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (lastIndex < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+        }
+    },
+
+    /**
+     * Create a citation marker for source n, or plain text if there is no such source
+     * @param {number} number - 1-based source number
+     * @param {string} source - Original Markdown
+     * @param {boolean} insideLink - Whether the marker sits inside an anchor
+     * @returns {Node} Marker button or text node
+     */
+    createCitation(number, source, insideLink) {
+        if (insideLink || number < 1 || number > this.citationCount) {
+            return document.createTextNode(source);
+        }
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = 'citation-marker';
+        marker.dataset.citation = String(number);
+        marker.textContent = `[${number}]`;
+        marker.title = `Show source ${number}`;
+        return marker;
+    },
+
+    /**
+     * Resolve a URL if it uses an allowed scheme
+     * @param {string} href - Link target
+     * @returns {string|null} Absolute URL, or null if unparseable or unsafe
+     */
+    safeUrl(href) {
+        try {
+            const url = new URL(href, window.location.href);
+            return SAFE_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Create a link that opens safely in a new tab, or plain text for unsafe URLs
+     * @param {string} href - Link target
+     * @param {string} label - Link text (may contain inline Markdown)
+     * @param {string} source - Original Markdown, shown if the URL is unsafe
+     * @returns {Node} Anchor or text node
+     */
+    createLink(href, label, source) {
+        const safeHref = this.safeUrl(href);
+        if (!safeHref) {
+            return document.createTextNode(source);
+        }
+
+        const a = document.createElement('a');
+        a.href = safeHref;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer nofollow';
+        this.renderInline(label, a, true);
+        return a;
+    }
+};
+
+// Make Markdown available globally
+window.Markdown = Markdown;
@@ -0,0 +1,307 @@
+/**
+ * providers.js - Model provider adapters for ShlangeAI
+ * Each adapter normalizes request building, response parsing and error mapping
+ * for one kind of endpoint, so API and UI code never see provider-specific formats.
+ *
+ * Adapter shape:
+ *   buildRequest(request)          -> { url, init } for fetch
+ *   parseResponse(data)            -> { response, sources, usage } from a non-streamed JSON body
+ *   parseStreamLine(line)          -> { delta, done, error, sources, usage } or null for one stream line
+ *   mapError(status, data, req)    -> user-facing error message
+ *   connectionError()              -> message for network failures
+ *   execute(req, onChunk, signal)  -> optional; replaces fetch for offline providers
+ *
+ * where request is { model, messages, parameters, stream, endpoint } and parameters
+ * holds generation settings in chat-completions naming (e.g. { temperature }).
+ * usage is { promptTokens, completionTokens, totalTokens } when the provider reports
+ * token counts, otherwise null.
+ *
+ * Dependencies: Config (from config.js)
+ * Note: This file must be loaded after config.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Config === 'undefined') {
+    throw new Error('Config is not defined. Ensure config.js is loaded before providers.js');
+}
+
+// Default endpoint for a local Ollama server
+const OLLAMA_CHAT_ENDPOINT = 'http://localhost:11434/api/chat';
+
+// Chat-completions parameter names and their Ollama option equivalents
+const OLLAMA_OPTION_NAMES = {
+    temperature: 'temperature',
+    max_tokens: 'num_predict',
+    top_p: 'top_p',
+    presence_penalty: 'presence_penalty',
+    frequency_penalty: 'frequency_penalty'
+};
+
+/**
+ * Map an HTTP status to a generic user-facing message
+ * @param {string} label - Provider name for the message
+ * @param {number} status - HTTP status code
+ * @param {string} [detail] - Provider-supplied error message
+ * @returns {string} Error message
+ */
+function describeHttpError(label, status, detail) {
+    if (status === 401 || status === 403) {
+        return `${label} rejected the request credentials. Check the API key configured on the server.`;
+    }
+    if (status === 429) {
+        return `${label} rate limit reached. Please wait a moment and try again.`;
+    }
+    if (status >= 500 && !detail) {
+        return `${label} is temporarily unavailable (status ${status}). Please try again later.`;
+    }
+    return detail || `${label} request failed with status ${status}`;
+}
+
+/**
+ * Normalize web sources from a chat-completions body
+ * Perplexity returns `search_results` ({ title, url, date }) and/or `citations` (URLs);
+ * both map to [{ url, title, date }] in citation order.
+ * @param {Object} data - Response body or stream event
+ * @returns {Array<{url: string, title: string, date: (string|null)}>} Sources
+ */
+function extractSources(data) {
+    if (data && Array.isArray(data.search_results) && data.search_results.length > 0) {
+        return data.search_results
+            .filter(result => result && typeof result.url === 'string')
+            .map(result => ({ url: result.url, title: result.title || result.url, date: result.date || null }));
+    }
+    if (data && Array.isArray(data.citations)) {
+        return data.citations
+            .filter(url => typeof url === 'string')
+            .map(url => ({ url: url, title: url, date: null }));
+    }
+    return [];
+}
+
+/**
+ * Build a normalized usage object from token counts
+ * @param {number} promptTokens - Tokens in the request
+ * @param {number} completionTokens - Tokens in the reply
+ * @returns {Object|null} { promptTokens, completionTokens, totalTokens }, or null if the counts are missing
+ */
+function toUsage(promptTokens, completionTokens) {
+    if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+        return null;
+    }
+    const prompt = Number.isFinite(promptTokens) ? promptTokens : 0;
+    const completion = Number.isFinite(completionTokens) ? completionTokens : 0;
+    return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+/**
+ * Translate chat-completions generation parameters to Ollama's options object
+ * Search options have no Ollama equivalent and are dropped.
+ * @param {Object} [parameters] - e.g. { temperature, max_tokens }
+ * @returns {Object} Ollama options
+ */
+function toOllamaOptions(parameters) {
+    const options = {};
+    Object.keys(OLLAMA_OPTION_NAMES).forEach(key => {
+        if (parameters && parameters[key] !== undefined) {
+            options[OLLAMA_OPTION_NAMES[key]] = parameters[key];
+        }
+    });
+    return options;
+}
+
+const Providers = {
+    // Provider used when a persona does not name one
+    DEFAULT_PROVIDER: 'openai',
+
+    adapters: {
+        /**
+         * OpenAI-compatible chat completions (Perplexity, OpenAI, etc.)
+         * Requests go through the backend proxy unless the persona names an endpoint.
+         */
+        openai: {
+            label: 'The AI provider',
+
+            buildRequest(request) {
+                return {
+                    url: request.endpoint || `${Config.getBackendUrl()}/chat`,
+                    init: {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            ...request.parameters,
+                            model: request.model,
+                            messages: request.messages,
+                            stream: Boolean(request.stream)
+                        })
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                if (data && data.choices && data.choices.length > 0 && data.choices[0].message) {
+                    return {
+                        response: data.choices[0].message.content || '',
+                        sources: extractSources(data),
+                        usage: data.usage ? toUsage(data.usage.prompt_tokens, data.usage.completion_tokens) : null
+                    };
+                }
+                console.error('[Providers] Unexpected OpenAI-compatible response format:', data);
+                throw new Error('Unexpected response format from the AI provider');
+            },
+
+            parseStreamLine(line) {
+                // Server-sent events: only "data:" lines carry payloads
+                if (!line.startsWith('data:')) {
+                    return null;
+                }
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') {
+                    return { done: true };
+                }
+
+                const data = JSON.parse(payload);
+                if (data.error) {
+                    return { error: data.error.message || 'Stream reported an error' };
+                }
+
+                const choice = data.choices && data.choices[0];
+                return {
+                    delta: choice && choice.delta ? choice.delta.content : null,
+                    done: Boolean(choice && choice.finish_reason),
+                    sources: extractSources(data),
+                    usage: data.usage ? toUsage(data.usage.prompt_tokens, data.usage.completion_tokens) : null
+                };
+            },
+
+            mapError(status, data) {
+                const detail = data && ((data.error && data.error.message) || data.message);
+                return describeHttpError(this.label, status, detail);
+            },
+
+            connectionError() {
+                return 'Unable to connect to the ShlangeAI backend. Please check your internet connection and that the server is running.';
+            }
+        },
+
+        /**
+         * Local Ollama-style server (/api/chat with newline-delimited JSON streaming)
+         */
+        ollama: {
+            label: 'The local Ollama server',
+
+            buildRequest(request) {
+                return {
+                    url: request.endpoint || OLLAMA_CHAT_ENDPOINT,
+                    init: {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            model: request.model,
+                            messages: request.messages,
+                            stream: Boolean(request.stream),
+                            options: toOllamaOptions(request.parameters)
+                        })
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                if (data && data.message && typeof data.message.content === 'string') {
+                    return {
+                        response: data.message.content,
+                        sources: [],
+                        usage: toUsage(data.prompt_eval_count, data.eval_count)
+                    };
+                }
+                console.error('[Providers] Unexpected Ollama response format:', data);
+                throw new Error('Unexpected response format from the local Ollama server');
+            },
+
+            parseStreamLine(line) {
+                const data = JSON.parse(line);
+                if (data.error) {
+                    return { error: data.error };
+                }
+                // Token counts arrive on the final (done) line
+                return {
+                    delta: data.message ? data.message.content : null,
+                    done: Boolean(data.done),
+                    usage: data.done ? toUsage(data.prompt_eval_count, data.eval_count) : null
+                };
+            },
+
+            mapError(status, data, request) {
+                const detail = data && (typeof data.error === 'string' ? data.error : data.message);
+                if (status === 404) {
+                    return `Model "${request.model}" is not available on the local Ollama server. Pull it with "ollama pull ${request.model}".`;
+                }
+                return describeHttpError(this.label, status, detail);
+            },
+
+            connectionError() {
+                return 'Unable to connect to the local Ollama server. Make sure it is running (ollama serve).';
+            }
+        },
+
+        /**
+         * Deterministic offline provider that echoes the last user message
+         * Useful for demos and for testing the UI without any network.
+         */
+        mock: {
+            label: 'The mock provider',
+
+            async execute(request, onChunk, signal) {
+                const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+                const turns = request.messages.filter(message => message.role !== 'system').length;
+                const reply = `Echo: ${lastUser ? lastUser.content : ''} (${turns} turns in context)`;
+
+                // Rough counts (about four characters per token), like a real provider would report
+                const usage = toUsage(Math.ceil(JSON.stringify(request.messages).length / 4), Math.ceil(reply.length / 4));
+
+                if (request.stream && onChunk) {
+                    let fullText = '';
+                    for (const piece of reply.split(/(\s+)/)) {
+                        // Stopping keeps what was "streamed" so far
+                        if (signal && signal.aborted) {
+                            return { response: fullText, sources: [], usage: null };
+                        }
+                        fullText += piece;
+                        onChunk(piece, fullText);
+                        await new Promise(resolve => setTimeout(resolve, 15));
+                    }
+                }
+
+                return { response: reply, sources: [], usage: usage };
+            },
+
+            connectionError() {
+                return 'The mock provider failed unexpectedly.';
+            }
+        }
+    },
+
+    /**
+     * Get an adapter by provider id
+     * @param {string} providerId - Provider identifier (openai, ollama, or mock)
+     * @returns {Object} Adapter (falls back to the default provider)
+     */
+    get(providerId) {
+        const adapter = this.adapters[providerId || this.DEFAULT_PROVIDER];
+        if (!adapter) {
+            console.warn(`[Providers] Unknown provider: ${providerId}, using ${this.DEFAULT_PROVIDER} as fallback`);
+            return this.adapters[this.DEFAULT_PROVIDER];
+        }
+        return adapter;
+    },
+
+    /**
+     * List available provider ids
+     * @returns {Array<string>} Provider identifiers
+     */
+    list() {
+        return Object.keys(this.adapters);
+    }
+};
+
+// Make Providers available globally
+window.Providers = Providers;
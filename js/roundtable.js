@@ -0,0 +1,153 @@
+/**
+ * roundtable.js - Ask several personas the same question at once
+ * The question is stored in each chosen persona's current conversation and sent to all
+ * of them in parallel through API.getResponse. Every reply is saved into its persona's
+ * history as usual, so it can be continued, regenerated or searched like any other.
+ *
+ * Both the question and the reply carry `roundtable`: the id shared by all messages of
+ * one roundtable, so the replies can be found together later.
+ *
+ * A persona with messages still waiting in the outbox is not asked directly: its question
+ * is queued behind them (as the chat does), so its replies keep their order.
+ *
+ * Dependencies: Storage (from storage.js), API (from api.js)
+ * Note: This file must be loaded after storage.js and api.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before roundtable.js');
+}
+if (typeof API === 'undefined') {
+    throw new Error('API is not defined. Ensure api.js is loaded before roundtable.js');
+}
+
+// Fewest personas that make a roundtable
+const ROUNDTABLE_MIN_PERSONAS = 2;
+
+const Roundtable = {
+    MIN_PERSONAS: ROUNDTABLE_MIN_PERSONAS,
+
+    /**
+     * Ask each persona the same question, in parallel
+     * One persona failing does not affect the others; its error is reported in its result.
+     * @param {Array<string>} personas - Persona identifiers
+     * @param {string} text - The question
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.stream] - Stream the replies
+     * @param {AbortSignal} [options.signal] - Aborts every request
+     * @param {Function} [options.onChunk] - Called with (persona, fullText) as a streamed reply grows
+     * @param {Function} [options.onRetry] - Called with (persona, retry) before a request is retried
+     * @param {Function} [options.onSettled] - Called with a persona's result as soon as it is done
+     * @returns {Promise<Array<Object>>} One result per persona, in the order given:
+     *     { persona, threadId, question, reply, error, queued } where reply is the stored AI
+     *     message (marked incomplete if only part of it arrived), error is set if the request
+     *     failed and queued if the question went to the outbox instead
+     * @throws {Error} If fewer than MIN_PERSONAS known personas are given
+     */
+    async ask(personas, text, options = {}) {
+        const known = personas.filter(persona => Storage.hasPersona(persona));
+        if (known.length < ROUNDTABLE_MIN_PERSONAS) {
+            throw new Error(`Choose at least ${ROUNDTABLE_MIN_PERSONAS} personas for a roundtable.`);
+        }
+
+        const roundtableId = Storage.generateId('roundtable');
+        console.log(`[Roundtable] Asking ${known.join(', ')}`);
+        return Promise.all(known.map(async persona => {
+            const result = await this.askPersona(persona, text, roundtableId, options);
+            if (options.onSettled) {
+                options.onSettled(result);
+            }
+            return result;
+        }));
+    },
+
+    /**
+     * Store the question in a persona's current conversation and save its reply
+     * @param {string} persona - Persona identifier
+     * @param {string} text - The question
+     * @param {string} roundtableId - Id shared by the roundtable's messages
+     * @param {Object} options - Options of ask()
+     * @returns {Promise<Object>} Result (see ask()); never rejects
+     */
+    async askPersona(persona, text, roundtableId, options) {
+        const threadId = Storage.getActiveThreadId(persona);
+
+        // Behind messages still queued for this persona: queue the question too, so replies keep their order
+        if (Storage.getOutbox().some(entry => entry.persona === persona)) {
+            const pendingQuestion = {
+                id: Storage.generateId('msg'),
+                type: 'user',
+                text: text,
+                timestamp: new Date().toISOString(),
+                roundtable: roundtableId,
+                pending: true
+            };
+            await Storage.saveMessage(persona, pendingQuestion, threadId);
+            await Storage.queueOutboxMessage(persona, threadId, pendingQuestion, null);
+            console.log(`[Roundtable] Queued the question for ${persona} behind its unsent messages`);
+            return { persona, threadId, question: pendingQuestion, reply: null, error: null, queued: true };
+        }
+
+        // Queued questions have no answer yet, so they are left out of the context
+        const history = Storage.getChatHistory(persona, threadId).filter(message => !message.pending);
+        const question = {
+            id: Storage.generateId('msg'),
+            type: 'user',
+            text: text,
+            timestamp: new Date().toISOString(),
+            roundtable: roundtableId
+        };
+        await Storage.saveMessage(persona, question, threadId);
+
+        const reply = {
+            id: Storage.generateId('msg'),
+            type: 'ai',
+            parentId: question.id,
+            roundtable: roundtableId
+        };
+
+        try {
+            const result = await API.getResponse(persona, text, {
+                history,
+                summary: Storage.getThreadSummary(persona, threadId),
+                stream: options.stream,
+                signal: options.signal,
+                onRetry: options.onRetry && (retry => options.onRetry(persona, retry)),
+                onChunk: options.onChunk && ((delta, fullText) => options.onChunk(persona, fullText))
+            });
+            // Stamped on arrival: message routes find a message by timestamp, so it must differ from the question's
+            reply.timestamp = new Date().toISOString();
+            reply.text = result.response;
+            reply.usage = result.usage;
+            reply.model = result.model;
+            if (result.sources && result.sources.length > 0) {
+                reply.sources = result.sources;
+            }
+            await Storage.saveMessage(persona, reply, threadId);
+            return { persona, threadId, question, reply, error: null, queued: false };
+        } catch (error) {
+            console.error(`[Roundtable] ${persona} failed:`, error);
+
+            // Keep whatever part of a broken stream already arrived, marked as incomplete
+            if (!error.partialResponse) {
+                return { persona, threadId, question, reply: null, error, queued: false };
+            }
+            reply.timestamp = new Date().toISOString();
+            reply.text = error.partialResponse;
+            reply.incomplete = true;
+            if (error.partialSources && error.partialSources.length > 0) {
+                reply.sources = error.partialSources;
+            }
+            if (error.usage) {
+                reply.usage = error.usage;
+                reply.model = error.model;
+            }
+            await Storage.saveMessage(persona, reply, threadId);
+            return { persona, threadId, question, reply, error, queued: false };
+        }
+    }
+};
+
+// Make Roundtable available globally
+window.Roundtable = Roundtable;
@@ -0,0 +1,145 @@
+/**
+ * router.js - Hash routes for personas, conversations and messages
+ * Keeps the location hash in step with what the UI shows, so the back button,
+ * bookmarks and shared links work:
+ *   #/<persona>                    the persona's current conversation
+ *   #/<persona>/thread/<threadId>  one conversation
+ *   #/<persona>/msg/<timestamp>    the message sent at that ISO timestamp, in any of the
+ *                                  persona's conversations (the current one first)
+ * Anything else falls back to the default persona.
+ *
+ * Dependencies: Storage (from storage.js)
+ * Note: This file must be loaded after storage.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before router.js');
+}
+
+// Every route starts with this
+const ROUTE_PREFIX = '#/';
+
+const Router = {
+    // Hash of the route the UI last showed, so our own updates are not handled as navigation
+    currentHash: null,
+
+    /**
+     * Split a hash into decoded path segments
+     * @param {string} hash - Location hash, e.g. "#/code/thread/thread_abc"
+     * @returns {Array<string>|null} Segments, or null if the hash is not a route
+     */
+    parse(hash) {
+        if (typeof hash !== 'string' || !hash.startsWith(ROUTE_PREFIX)) {
+            return null;
+        }
+        try {
+            const segments = hash.slice(ROUTE_PREFIX.length).split('/').map(decodeURIComponent);
+            return segments[0] ? segments : null;
+        } catch (error) {
+            // Malformed percent-encoding
+            return null;
+        }
+    },
+
+    /**
+     * Build the hash for a route
+     * @param {Object} route - { persona, threadId, timestamp }; a timestamp wins over a threadId
+     * @returns {string} Location hash
+     */
+    build(route) {
+        // Colons are valid in a fragment; leaving them keeps timestamps readable
+        const encode = (value) => encodeURIComponent(value).replace(/%3A/gi, ':');
+        let hash = ROUTE_PREFIX + encode(route.persona);
+        if (route.timestamp) {
+            hash += `/msg/${encode(route.timestamp)}`;
+        } else if (route.threadId) {
+            hash += `/thread/${encode(route.threadId)}`;
+        }
+        return hash;
+    },
+
+    /**
+     * Turn a hash into a route that exists
+     * An unknown persona gives the default persona; an unknown conversation or message
+     * gives the persona's own route.
+     * @param {string} hash - Location hash
+     * @returns {Object} Route { persona, threadId, messageId, timestamp }; only persona is always set
+     */
+    resolve(hash) {
+        const segments = this.parse(hash);
+        if (!segments || !Storage.hasPersona(segments[0])) {
+            if (hash && hash !== '#') {
+                console.warn(`[Router] Unknown route ${hash}, showing ${Storage.DEFAULT_PERSONA}`);
+            }
+            return { persona: Storage.DEFAULT_PERSONA };
+        }
+
+        const persona = segments[0];
+        if (segments.length === 1) {
+            return { persona };
+        }
+        if (segments.length === 3 && segments[1] === 'thread' && Storage.getThread(persona, segments[2])) {
+            return { persona, threadId: segments[2] };
+        }
+        if (segments.length === 3 && segments[1] === 'msg') {
+            const found = this.findMessage(persona, segments[2]);
+            if (found) {
+                return { persona, threadId: found.threadId, messageId: found.messageId, timestamp: segments[2] };
+            }
+        }
+
+        console.warn(`[Router] Nothing found for ${hash}, showing ${persona}`);
+        return { persona };
+    },
+
+    /**
+     * Find a persona's message by its timestamp, looking in the current conversation first
+     * @param {string} persona - Persona identifier
+     * @param {string} timestamp - ISO timestamp of the message
+     * @returns {{threadId: string, messageId: string}|null} Where the message is, or null
+     */
+    findMessage(persona, timestamp) {
+        const activeId = Storage.getActiveThreadId(persona);
+        const threads = Storage.getThreads(persona).sort((a, b) => (b.id === activeId) - (a.id === activeId));
+        for (const thread of threads) {
+            const message = thread.messages.find(candidate => candidate.timestamp === timestamp);
+            if (message && message.id) {
+                return { threadId: thread.id, messageId: message.id };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Show a route in the location bar
+     * @param {Object} route - { persona, threadId, timestamp }
+     * @param {boolean} [replace] - Replace the current history entry instead of adding one
+     */
+    navigate(route, replace = false) {
+        const hash = this.build(route);
+        this.currentHash = hash;
+        if (window.location.hash !== hash) {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+    },
+
+    /**
+     * Follow the back and forward buttons and hand-edited hashes
+     * @param {Function} onRoute - Called with the resolved route whenever the hash changes
+     *     to something the UI is not showing
+     */
+    start(onRoute) {
+        const handleChange = () => {
+            if (window.location.hash !== this.currentHash) {
+                onRoute(this.resolve(window.location.hash));
+            }
+        };
+        // Browsers fire one or both for a hash change; the check above drops the repeat
+        window.addEventListener('popstate', handleChange);
+        window.addEventListener('hashchange', handleChange);
+    }
+};
+
+// Make Router available globally
+window.Router = Router;
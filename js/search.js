@@ -0,0 +1,168 @@
+/**
+ * search.js - Full-text search across every persona's conversations
+ * Keeps a flat index of all stored messages (every persona, thread and branch),
+ * newest first, with lower-cased text for matching. The index is rebuilt only when
+ * Storage.conversationsRevision changes, so repeated queries while typing stay fast
+ * even with thousands of messages.
+ *
+ * Dependencies: Storage (from storage.js)
+ * Note: This file must be loaded after storage.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before search.js');
+}
+
+// Most results returned by one query
+const MAX_SEARCH_RESULTS = 50;
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const Search = {
+    MAX_RESULTS: MAX_SEARCH_RESULTS,
+
+    // Index entries and the Storage revision they were built from
+    entries: [],
+    revision: -1,
+
+    /**
+     * Get the index, rebuilding it if conversations changed since it was built
+     * @returns {Array<Object>} Entries: { persona, threadId, threadTitle, messageId, type,
+     *     timestamp, time, text, lowerText }, newest first
+     */
+    getIndex() {
+        if (this.revision === Storage.conversationsRevision) {
+            return this.entries;
+        }
+
+        const conversations = Storage.getConversations();
+        const entries = [];
+        Object.keys(conversations).forEach(persona => {
+            conversations[persona].threads.forEach(thread => {
+                thread.messages.forEach(message => {
+                    if (!message.id || typeof message.text !== 'string') {
+                        return;
+                    }
+                    entries.push({
+                        persona: persona,
+                        threadId: thread.id,
+                        threadTitle: thread.title,
+                        messageId: message.id,
+                        type: message.type,
+                        timestamp: message.timestamp,
+                        time: Date.parse(message.timestamp) || 0,
+                        text: message.text,
+                        lowerText: message.text.toLowerCase()
+                    });
+                });
+            });
+        });
+        entries.sort((a, b) => b.time - a.time);
+
+        this.entries = entries;
+        this.revision = Storage.conversationsRevision;
+        console.log(`[Search] Indexed ${entries.length} messages`);
+        return entries;
+    },
+
+    /**
+     * Split a query into lower-cased terms; quoted phrases stay one term
+     * @param {string} query - Search text, e.g. 'python "list comprehension"'
+     * @returns {Array<string>} Terms
+     */
+    parseTerms(query) {
+        const terms = [];
+        const pattern = /"([^"]+)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec((query || '').toLowerCase())) !== null) {
+            const term = (match[1] || match[2]).trim();
+            if (term && !terms.includes(term)) {
+                terms.push(term);
+            }
+        }
+        return terms;
+    },
+
+    /**
+     * Find messages containing every term of a query
+     * @param {string} query - Search text
+     * @param {Object} [filters] - Narrow the results
+     * @param {string} [filters.persona] - Persona id
+     * @param {string} [filters.role] - 'user' or 'ai'
+     * @param {string} [filters.from] - First day, YYYY-MM-DD (local time)
+     * @param {string} [filters.to] - Last day, YYYY-MM-DD (local time)
+     * @returns {{results: Array<Object>, total: number, terms: Array<string>}} Newest results
+     *     first (at most MAX_RESULTS), each an index entry with a `snippet`, and the number
+     *     of messages that matched
+     */
+    query(query, filters = {}) {
+        const terms = this.parseTerms(query);
+        if (terms.length === 0) {
+            return { results: [], total: 0, terms: terms };
+        }
+
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : -Infinity;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : Infinity;
+        const results = [];
+        let total = 0;
+
+        this.getIndex().forEach(entry => {
+            if ((filters.persona && entry.persona !== filters.persona)
+                || (filters.role && entry.type !== filters.role)
+                || entry.time < from || entry.time > to
+                || !terms.every(term => entry.lowerText.includes(term))) {
+                return;
+            }
+            total++;
+            if (results.length < MAX_SEARCH_RESULTS) {
+                results.push({ ...entry, snippet: this.buildSnippet(entry.text, terms) });
+            }
+        });
+
+        return { results: results, total: total, terms: terms };
+    },
+
+    /**
+     * Cut a snippet around the first match, split into plain and matching parts
+     * so the UI can highlight matches without building HTML from message text
+     * @param {string} text - Message text
+     * @param {Array<string>} terms - Lower-cased terms
+     * @returns {Array<{text: string, match: boolean}>} Snippet parts, in order
+     */
+    buildSnippet(text, terms) {
+        const flat = text.replace(/\s+/g, ' ');
+        const lower = flat.toLowerCase();
+        const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index !== -1));
+        const start = Math.max(0, first - SNIPPET_CONTEXT);
+        const end = Math.min(flat.length, first + SNIPPET_CONTEXT * 2);
+
+        // Mark every occurrence of any term within the snippet, longest term first at each position
+        const sorted = [...terms].sort((a, b) => b.length - a.length);
+        const parts = [];
+        let plain = start > 0 ? '…' : '';
+        for (let i = start; i < end;) {
+            const term = sorted.find(candidate => lower.startsWith(candidate, i));
+            if (term) {
+                if (plain) {
+                    parts.push({ text: plain, match: false });
+                    plain = '';
+                }
+                parts.push({ text: flat.slice(i, i + term.length), match: true });
+                i += term.length;
+            } else {
+                plain += flat[i];
+                i++;
+            }
+        }
+        plain += end < flat.length ? '…' : '';
+        if (plain) {
+            parts.push({ text: plain, match: false });
+        }
+        return parts;
+    }
+};
+
+// Make Search available globally
+window.Search = Search;
@@ -1,8 +1,27 @@
 /**
  * storage.js - LocalStorage and SessionStorage wrapper for ShlangeAI
  * Handles all data persistence for conversations, personas, settings, and admin configuration
+ *
+ * When IndexedDB is available, Storage.init() switches conversations, personas and
+ * settings to the StorageDB engine (db.js): reads are served from an in-memory cache
+ * loaded at startup, and every change is written through as individual records.
+ *
+ * Reads are synchronous. Methods that change data update the cache at once (so a read
+ * right after sees the change) and return a promise that resolves once the engine has
+ * stored it: to true, or to false if the change could not be stored.
+ *
+ * Other open tabs write to the same database, so each write is announced on a
+ * BroadcastChannel; the other tabs reload their cache and dispatch "storage-changed"
+ * on window so the UI can redraw. (With localStorage, the browser's "storage" event
+ * does the announcing.)
  */
 
+// Channel tabs use to tell each other that they wrote to the database
+const STORAGE_CHANNEL_NAME = 'shlangeai-storage';
+
+// Wait this long after another tab's last write before reloading, so a burst reloads once
+const STORAGE_RELOAD_DELAY_MS = 100;
+
 const Storage = {
     // Default system prompts for each AI type
     DEFAULT_PROMPTS: {
@@ -11,144 +30,1264 @@ const Storage = {
         study: "You are a knowledgeable study helper and tutor. You break down complex concepts, provide clear explanations, and help students learn effectively using proven pedagogical techniques."
     },
 
+    // Built-in personas; they can be edited and reset to these defaults but not deleted
+    BUILT_IN_PERSONAS: {
+        companion: {
+            name: 'Companion',
+            icon: '💬',
+            description: 'Your friendly AI companion for general conversations',
+            personality: 'Friendly and empathetic'
+        },
+        code: {
+            name: 'Code Buddy',
+            icon: '💻',
+            description: 'Your expert programming assistant for coding help',
+            personality: 'Technical and helpful'
+        },
+        study: {
+            name: 'Study Helper',
+            icon: '📚',
+            description: 'Your knowledgeable tutor for learning and studying',
+            personality: 'Patient and educational'
+        }
+    },
+
+    // Persona shown when the requested one does not exist
+    DEFAULT_PERSONA: 'companion',
+
+    // Custom persona ids: a lowercase letter, then lowercase letters, digits or dashes
+    PERSONA_ID_PATTERN: /^[a-z][a-z0-9-]{0,31}$/,
+
+    // Default context budget (approximate tokens of prior turns sent with each request)
+    DEFAULT_CONTEXT_BUDGET: 3000,
+
+    // Title given to migrated and freshly created threads
+    DEFAULT_THREAD_TITLE: 'Default',
+    NEW_THREAD_TITLE: 'New conversation',
+
+    // Active storage engine (StorageDB) or null when using localStorage
+    engine: null,
+
+    // In-memory copies of engine data: { conversations, personas, settings, personaSync, outbox, usageLedger }
+    cache: {},
+
+    // Bumped on every conversation write, so derived data (e.g. the search index) knows when to rebuild
+    conversationsRevision: 0,
+
+    // BroadcastChannel to the other tabs, engine writes not yet finished, and the pending reload
+    channel: null,
+    pendingWrites: 0,
+    reloadTimer: null,
+
+    /**
+     * Switch to the IndexedDB engine if the browser supports it
+     * Runs schema migrations (including the one-time import of localStorage data)
+     * and loads everything into the cache. Falls back to localStorage on failure.
+     * @returns {Promise<boolean>} Whether the IndexedDB engine is active
+     */
+    async init() {
+        if (typeof StorageDB === 'undefined' || !StorageDB.isSupported()) {
+            console.warn('[Storage] IndexedDB unavailable, using localStorage');
+            this.watchOtherTabs();
+            return false;
+        }
+
+        try {
+            await StorageDB.open();
+            this.cache = await this.loadCache();
+            this.engine = StorageDB;
+            this.watchOtherTabs();
+            console.log('[Storage] Using IndexedDB storage engine');
+            return true;
+        } catch (error) {
+            console.error('[Storage] Could not open IndexedDB, using localStorage:', error);
+            this.watchOtherTabs();
+            return false;
+        }
+    },
+
+    /**
+     * Read everything the cache holds from the IndexedDB engine
+     * @returns {Promise<Object>} { conversations, personas, settings, personaSync, outbox, usageLedger }
+     */
+    async loadCache() {
+        const [conversations, personas, settings, personaSync, outbox, usageLedger] = await Promise.all([
+            StorageDB.getConversations(),
+            StorageDB.getValue('personas'),
+            StorageDB.getValue('settings'),
+            StorageDB.getValue('personaSync'),
+            StorageDB.getValue('outbox'),
+            StorageDB.getValue('usageLedger')
+        ]);
+        return { conversations, personas, settings, personaSync, outbox, usageLedger };
+    },
+
+    /**
+     * Follow writes made by other tabs, so this tab does not keep (and write back) stale data
+     */
+    watchOtherTabs() {
+        if (this.engine && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(STORAGE_CHANNEL_NAME);
+            this.channel.onmessage = () => {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reloadCache(), STORAGE_RELOAD_DELAY_MS);
+            };
+            return;
+        }
+
+        // localStorage is read directly, so only derived data and the UI need to catch up
+        window.addEventListener('storage', () => {
+            if (!this.engine) {
+                this.conversationsRevision++;
+                window.dispatchEvent(new CustomEvent('storage-changed'));
+            }
+        });
+    },
+
+    /**
+     * Replace the cache with what another tab left in the database
+     * Waits for this tab's own writes to land first, so the reload cannot undo them.
+     * @returns {Promise<void>}
+     */
+    async reloadCache() {
+        if (this.pendingWrites > 0) {
+            this.reloadTimer = setTimeout(() => this.reloadCache(), STORAGE_RELOAD_DELAY_MS);
+            return;
+        }
+        try {
+            const cache = await this.loadCache();
+            if (this.pendingWrites > 0) {
+                this.reloadTimer = setTimeout(() => this.reloadCache(), STORAGE_RELOAD_DELAY_MS);
+                return;
+            }
+            this.cache = cache;
+            this.conversationsRevision++;
+            console.log('[Storage] Reloaded data changed in another tab');
+            window.dispatchEvent(new CustomEvent('storage-changed'));
+        } catch (error) {
+            console.error('[Storage] Could not reload data changed in another tab:', error);
+        }
+    },
+
+    /**
+     * Run a write against the storage engine, reporting failures
+     * Failed writes dispatch a "storage-write-error" event on window so the UI can
+     * tell the user instead of losing data silently; finished writes are announced
+     * to the other tabs.
+     * @param {Function} write - Called with the engine; returns a promise
+     * @param {string} description - What was being saved, for error reporting
+     * @returns {Promise<boolean>} Whether the write was stored (true at once without an engine)
+     */
+    persist(write, description) {
+        if (!this.engine) {
+            return Promise.resolve(true);
+        }
+        this.pendingWrites++;
+        return write(this.engine).then(() => {
+            if (this.channel) {
+                this.channel.postMessage({ description: description });
+            }
+            return true;
+        }).catch(error => {
+            console.error(`[Storage] Failed to ${description}:`, error);
+            window.dispatchEvent(new CustomEvent('storage-write-error', {
+                detail: { description: description, error: error }
+            }));
+            return false;
+        }).finally(() => {
+            this.pendingWrites--;
+        });
+    },
+
+    /**
+     * Wait for several writes
+     * @param {Array<Promise<boolean>>} writes - Results of persist() or writeJson()
+     * @returns {Promise<boolean>} Whether every write was stored
+     */
+    async allWritten(writes) {
+        const results = await Promise.all(writes);
+        return results.every(Boolean);
+    },
+
+    /**
+     * Read a JSON value (personas, settings, personaSync, outbox, usageLedger) from the active engine
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value or null
+     */
+    readJson(key) {
+        if (this.engine) {
+            const value = this.cache[key];
+            return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+        }
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    },
+
+    /**
+     * Write a JSON value (personas, settings, personaSync, outbox, usageLedger) to the active engine
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    writeJson(key, value) {
+        if (this.engine) {
+            this.cache[key] = value;
+            return this.persist(engine => engine.setValue(key, value), `save ${key}`);
+        }
+        localStorage.setItem(key, JSON.stringify(value));
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Generate a unique identifier
+     * @param {string} prefix - Identifier prefix (e.g. 'thread')
+     * @returns {string} Unique identifier
+     */
+    generateId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Create a new thread object
+     * @param {string} title - Thread title
+     * @param {Array} [messages] - Initial messages
+     * @returns {Object} Thread with id, title, createdAt, updatedAt and messages
+     */
+    createThreadObject(title, messages = []) {
+        const now = new Date().toISOString();
+        const lastMessage = messages[messages.length - 1];
+        return {
+            id: this.generateId('thread'),
+            title: title,
+            createdAt: (messages[0] && messages[0].timestamp) || now,
+            updatedAt: (lastMessage && lastMessage.timestamp) || now,
+            messages: messages
+        };
+    },
+
+    /**
+     * Normalize one persona's stored conversation data into the threaded shape
+     * Legacy data (a flat message array) is migrated into a "Default" thread.
+     * @param {Array|Object|undefined} data - Stored data for one AI type
+     * @returns {Object} { activeThreadId, threads }
+     */
+    normalizeThreads(data) {
+        let threads;
+        if (Array.isArray(data)) {
+            threads = [this.createThreadObject(this.DEFAULT_THREAD_TITLE, data)];
+        } else if (data && Array.isArray(data.threads)) {
+            threads = data.threads.filter(thread => thread && thread.id && Array.isArray(thread.messages));
+        } else {
+            threads = [];
+        }
+
+        // Every persona always has at least one thread to write into
+        if (threads.length === 0) {
+            threads.push(this.createThreadObject(this.DEFAULT_THREAD_TITLE));
+        }
+
+        const activeThreadId = data && threads.some(thread => thread.id === data.activeThreadId)
+            ? data.activeThreadId
+            : threads[0].id;
+
+        return { activeThreadId, threads };
+    },
+
+    /**
+     * Get conversations for all AI types
+     * Migrates legacy single-array data on first load and persists the result,
+     * so thread ids stay stable between calls.
+     * @returns {Object} Object keyed by AI type, each { activeThreadId, threads }
+     */
+    getConversations() {
+        if (this.engine) {
+            this.getPersonaIds().forEach(aiType => this.getPersonaThreads(this.cache.conversations, aiType));
+            return this.cache.conversations;
+        }
+
+        try {
+            const conversations = localStorage.getItem('conversations');
+            const parsed = conversations ? JSON.parse(conversations) : {};
+            const result = {};
+            let changed = false;
+
+            // Ensure every configured persona exists alongside any others in storage
+            const aiTypes = new Set([...this.getPersonaIds(), ...Object.keys(parsed || {})]);
+            aiTypes.forEach(aiType => {
+                const data = parsed ? parsed[aiType] : undefined;
+                const normalized = this.normalizeThreads(data);
+                if (!data || Array.isArray(data)
+                    || !Array.isArray(data.threads)
+                    || data.threads.length !== normalized.threads.length
+                    || data.activeThreadId !== normalized.activeThreadId) {
+                    changed = true;
+                }
+                result[aiType] = normalized;
+            });
+
+            if (changed) {
+                this.writeConversations(result);
+                console.log('[Storage] Migrated conversations into threads');
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error reading conversations from localStorage:', error);
+            const result = {};
+            Object.keys(this.BUILT_IN_PERSONAS).forEach(aiType => {
+                result[aiType] = this.normalizeThreads();
+            });
+            return result;
+        }
+    },
+
+    /**
+     * Write conversations for all AI types
+     * @param {Object} conversations - Object keyed by AI type, each { activeThreadId, threads }
+     */
+    writeConversations(conversations) {
+        this.conversationsRevision++;
+        if (this.engine) {
+            this.cache.conversations = conversations;
+            return;
+        }
+        localStorage.setItem('conversations', JSON.stringify(conversations));
+    },
+
+    /**
+     * Write a persona's thread list and active thread through to the engine
+     * @param {string} aiType - AI type
+     * @param {Object} personaThreads - { activeThreadId, threads }
+     * @returns {Promise<boolean>} Whether the thread list was stored
+     */
+    persistThreadIndex(aiType, personaThreads) {
+        return this.persist(engine => engine.saveThreadIndex(aiType, personaThreads), `save threads for ${aiType}`);
+    },
+
+    /**
+     * Get the conversation data for one AI type, creating it if missing
+     * @param {Object} conversations - Result of getConversations()
+     * @param {string} aiType - AI type
+     * @returns {Object} { activeThreadId, threads }
+     */
+    getPersonaThreads(conversations, aiType) {
+        if (!conversations[aiType]) {
+            conversations[aiType] = this.normalizeThreads();
+            this.persistThreadIndex(aiType, conversations[aiType]);
+        }
+        return conversations[aiType];
+    },
+
+    /**
+     * Find a thread, defaulting to the active one
+     * @param {Object} personaThreads - { activeThreadId, threads }
+     * @param {string} [threadId] - Thread id (defaults to the active thread)
+     * @returns {Object|undefined} Thread object
+     */
+    findThread(personaThreads, threadId) {
+        const id = threadId || personaThreads.activeThreadId;
+        return personaThreads.threads.find(thread => thread.id === id);
+    },
+
+    /**
+     * Get all threads for an AI type, most recently updated first
+     * @param {string} aiType - AI type (persona identifier)
+     * @returns {Array} Thread objects
+     */
+    getThreads(aiType) {
+        const conversations = this.getConversations();
+        return [...this.getPersonaThreads(conversations, aiType).threads]
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    },
+
+    /**
+     * Get the active thread id for an AI type
+     * @param {string} aiType - AI type
+     * @returns {string} Thread id
+     */
+    getActiveThreadId(aiType) {
+        return this.getPersonaThreads(this.getConversations(), aiType).activeThreadId;
+    },
+
+    /**
+     * Get a thread by id (defaults to the active thread)
+     * @param {string} aiType - AI type
+     * @param {string} [threadId] - Thread id
+     * @returns {Object|null} Thread object
+     */
+    getThread(aiType, threadId) {
+        const conversations = this.getConversations();
+        return this.findThread(this.getPersonaThreads(conversations, aiType), threadId) || null;
+    },
+
+    /**
+     * Make a thread the active one for an AI type
+     * @param {string} aiType - AI type
+     * @param {string} threadId - Thread id
+     * @returns {Promise<boolean>} Success status
+     */
+    async setActiveThread(aiType, threadId) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            if (!this.findThread(personaThreads, threadId)) {
+                return false;
+            }
+            personaThreads.activeThreadId = threadId;
+            this.writeConversations(conversations);
+            return this.persistThreadIndex(aiType, personaThreads);
+        } catch (error) {
+            console.error(`Error switching thread for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Create a new thread and make it active
+     * @param {string} aiType - AI type
+     * @param {string} [title] - Thread title
+     * @returns {Promise<Object|null>} Created thread, or null on failure
+     */
+    async createThread(aiType, title) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.createThreadObject((title || '').trim() || this.NEW_THREAD_TITLE);
+            personaThreads.threads.push(thread);
+            personaThreads.activeThreadId = thread.id;
+            this.writeConversations(conversations);
+            return await this.persistThreadIndex(aiType, personaThreads) ? thread : null;
+        } catch (error) {
+            console.error(`Error creating thread for ${aiType}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Rename a thread
+     * @param {string} aiType - AI type
+     * @param {string} threadId - Thread id
+     * @param {string} title - New title
+     * @returns {Promise<boolean>} Success status
+     */
+    async renameThread(aiType, threadId, title) {
+        try {
+            const trimmed = (title || '').trim();
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            if (!thread || !trimmed) {
+                return false;
+            }
+            thread.title = trimmed;
+            this.writeConversations(conversations);
+            return this.persistThreadIndex(aiType, personaThreads);
+        } catch (error) {
+            console.error(`Error renaming thread for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Delete a thread; if it was the last one, an empty Default thread replaces it
+     * @param {string} aiType - AI type
+     * @param {string} threadId - Thread id
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteThread(aiType, threadId) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const remaining = personaThreads.threads.filter(thread => thread.id !== threadId);
+            if (remaining.length === personaThreads.threads.length) {
+                return false;
+            }
+            conversations[aiType] = this.normalizeThreads({
+                activeThreadId: personaThreads.activeThreadId,
+                threads: remaining
+            });
+            this.writeConversations(conversations);
+            return this.allWritten([
+                this.persist(engine => engine.deleteThread(threadId), `delete thread for ${aiType}`),
+                this.persistThreadIndex(aiType, conversations[aiType])
+            ]);
+        } catch (error) {
+            console.error(`Error deleting thread for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Save entire conversation for a specific AI type
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {Array} messages - Array of message objects
+     * @param {string} [threadId] - Thread to replace (defaults to the active thread)
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveConversation(aiType, messages, threadId) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            if (!thread) {
+                return false;
+            }
+            thread.messages = messages.map(message => message.id ? message : { ...message, id: this.generateId('msg') });
+            thread.updatedAt = new Date().toISOString();
+            delete thread.activeLeafId;
+            delete thread.summary;
+            this.writeConversations(conversations);
+            return this.allWritten([
+                this.persist(engine => engine.saveConversation(aiType, thread.id, thread.messages), `save conversation for ${aiType}`),
+                this.persistThreadIndex(aiType, personaThreads)
+            ]);
+        } catch (error) {
+            console.error(`Error saving conversation for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Find the parent of every message in a thread
+     * Messages saved before branching have no parentId and follow the previous message.
+     * @param {Array} messages - All messages of a thread, in the order they were added
+     * @returns {Array<number>} Parent position per message (-1 for a first message)
+     */
+    getParentIndexes(messages) {
+        const indexById = new Map(messages.map((message, index) => [message.id, index]));
+        return messages.map((message, index) => {
+            if (message.parentId === undefined) {
+                return index - 1;
+            }
+            return indexById.has(message.parentId) ? indexById.get(message.parentId) : -1;
+        });
+    },
+
+    /**
+     * Get the messages leading to one message, following parent links
+     * @param {Array} messages - All messages of a thread
+     * @param {number} index - Position of the last message of the path
+     * @returns {Array} Messages, oldest first
+     */
+    getPathTo(messages, index) {
+        const parents = this.getParentIndexes(messages);
+        const path = [];
+        const visited = new Set();
+        for (let i = index; i !== -1 && !visited.has(i); i = parents[i]) {
+            visited.add(i);
+            path.unshift(messages[i]);
+        }
+        return path;
+    },
+
+    /**
+     * Get the branch of a thread that is shown: the path to its active leaf, which is
+     * the last message added or the branch last switched to
+     * @param {Object} thread - Thread object
+     * @returns {Array} Messages, oldest first
+     */
+    getActivePath(thread) {
+        const leafIndex = thread.activeLeafId
+            ? thread.messages.findIndex(message => message.id === thread.activeLeafId)
+            : -1;
+        return this.getPathTo(thread.messages, leafIndex !== -1 ? leafIndex : thread.messages.length - 1);
+    },
+
+    /**
+     * Get the conversation leading to a message, whichever branch it is on
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread holding the message
+     * @param {string} messageId - Message id
+     * @returns {Array|null} Messages ending with messageId, or null if it no longer exists
+     */
+    getMessagePath(aiType, threadId, messageId) {
+        const thread = this.getThread(aiType, threadId);
+        const index = thread ? thread.messages.findIndex(message => message.id === messageId) : -1;
+        return index === -1 ? null : this.getPathTo(thread.messages, index);
+    },
+
+    /**
+     * Get the alternatives (regenerated replies, edited questions) of the messages shown in a thread
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} [threadId] - Thread id (defaults to the active thread)
+     * @returns {Object} Keyed by id, for shown messages that have siblings: { ids, index },
+     *     where ids lists the siblings oldest first and index is the shown one's position
+     */
+    getBranchAlternatives(aiType, threadId) {
+        const thread = this.getThread(aiType, threadId);
+        if (!thread) {
+            return {};
+        }
+
+        const parents = this.getParentIndexes(thread.messages);
+        const siblings = new Map();
+        thread.messages.forEach((message, index) => {
+            if (message.id) {
+                siblings.set(parents[index], [...(siblings.get(parents[index]) || []), message.id]);
+            }
+        });
+
+        const alternatives = {};
+        this.getActivePath(thread).forEach(message => {
+            const ids = siblings.get(parents[thread.messages.indexOf(message)]) || [];
+            if (ids.length > 1) {
+                alternatives[message.id] = { ids: ids, index: ids.indexOf(message.id) };
+            }
+        });
+        return alternatives;
+    },
+
+    /**
+     * Show another branch of a thread, continuing from a message down its most recent replies
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread holding the message
+     * @param {string} messageId - Message to switch to (e.g. a sibling reply)
+     * @returns {Promise<boolean>} Success status
+     */
+    async switchBranch(aiType, threadId, messageId) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            let index = thread ? thread.messages.findIndex(message => message.id === messageId) : -1;
+            if (index === -1) {
+                return false;
+            }
+
+            const parents = this.getParentIndexes(thread.messages);
+            const visited = new Set([index]);
+            for (let child = parents.lastIndexOf(index); child !== -1 && !visited.has(child); child = parents.lastIndexOf(index)) {
+                visited.add(child);
+                index = child;
+            }
+
+            thread.activeLeafId = thread.messages[index].id;
+            this.writeConversations(conversations);
+            return this.persistThreadIndex(aiType, personaThreads);
+        } catch (error) {
+            console.error(`Error switching branch for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Get a thread's rolling summary of its older messages
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} [threadId] - Thread id (defaults to the active thread)
+     * @returns {Object|null} { text, throughId, updatedAt, edited, editedAt, usage, model } where
+     *     throughId is the last message the summary covers, updatedAt the last summarization
+     *     and editedAt the last edit by hand, or null if there is none
+     */
+    getThreadSummary(aiType, threadId) {
+        const thread = this.getThread(aiType, threadId);
+        return thread && thread.summary ? thread.summary : null;
+    },
+
+    /**
+     * Store or remove a thread's rolling summary
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread id
+     * @param {Object|null} summary - Summary (see getThreadSummary), or null to remove it
+     * @returns {Promise<boolean>} Success status
+     */
+    async setThreadSummary(aiType, threadId, summary) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            if (!thread) {
+                return false;
+            }
+            if (summary) {
+                thread.summary = summary;
+            } else {
+                delete thread.summary;
+            }
+            this.writeConversations(conversations);
+            return this.persistThreadIndex(aiType, personaThreads);
+        } catch (error) {
+            console.error(`Error saving summary for ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Add a single message to a conversation
+     * The message continues the branch that is shown unless it names its own parentId
+     * (e.g. a regenerated reply, which is a sibling of the reply it replaces).
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {Object} message - Message object (must have text property)
+     * @param {string} [threadId] - Thread to add to (defaults to the active thread)
+     * @returns {Promise<boolean>} Success status
+     */
+    async addMessage(aiType, message, threadId) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            if (!thread) {
+                console.error(`Thread ${threadId} not found for ${aiType}`);
+                return false;
+            }
+            
+            // Add id, timestamp and parent if not present
+            const leaf = this.getActivePath(thread).pop();
+            const messageWithTimestamp = {
+                ...message,
+                id: message.id || this.generateId('msg'),
+                timestamp: message.timestamp || new Date().toISOString(),
+                parentId: message.parentId !== undefined ? message.parentId : (leaf ? leaf.id : null)
+            };
+
+            // Name untitled threads after their first question
+            if (thread.title === this.NEW_THREAD_TITLE && thread.messages.length === 0 && message.type === 'user') {
+                const text = message.text.trim().replace(/\s+/g, ' ');
+                thread.title = text.length > 40 ? text.slice(0, 40) + '…' : text;
+            }
+
+            // Recorded before the push, so a ledger seeded right now does not count it twice
+            const writes = [];
+            if (message.type === 'ai' && message.usage) {
+                writes.push(this.recordUsage(aiType, message.model, message.usage, messageWithTimestamp.timestamp));
+            }
+            
+            thread.messages.push(messageWithTimestamp);
+            thread.updatedAt = messageWithTimestamp.timestamp;
+            thread.activeLeafId = messageWithTimestamp.id;
+            this.writeConversations(conversations);
+
+            // Only the new record is written, not the whole history
+            const seq = thread.messages.length - 1;
+            writes.push(this.persist(engine => engine.addMessage(aiType, thread.id, messageWithTimestamp, seq), `save message for ${aiType}`));
+            writes.push(this.persistThreadIndex(aiType, personaThreads));
+            return this.allWritten(writes);
+        } catch (error) {
+            console.error(`Error adding message to ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Update fields of a stored message
+     * Fields set to undefined are removed from the message.
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread holding the message
+     * @param {string} messageId - Message id
+     * @param {Object} fields - Fields to merge
+     * @returns {Promise<boolean>} Success status (false if the message no longer exists)
+     */
+    async updateMessage(aiType, threadId, messageId, fields) {
+        try {
+            const conversations = this.getConversations();
+            const thread = this.findThread(this.getPersonaThreads(conversations, aiType), threadId);
+            const index = thread ? thread.messages.findIndex(message => message.id === messageId) : -1;
+            if (index === -1) {
+                return false;
+            }
+
+            const updated = { ...thread.messages[index], ...fields };
+            Object.keys(fields).forEach(key => {
+                if (fields[key] === undefined) {
+                    delete updated[key];
+                }
+            });
+            thread.messages[index] = updated;
+            this.writeConversations(conversations);
+            return this.persist(engine => engine.addMessage(aiType, thread.id, updated, index), `update message for ${aiType}`);
+        } catch (error) {
+            console.error(`Error updating message in ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Insert a message directly after another one (e.g. a reply after its queued question)
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread holding the message
+     * @param {string} afterId - Id of the message to insert after
+     * @param {Object} message - Message object (must have text property)
+     * @returns {Promise<boolean>} Success status (false if afterId no longer exists)
+     */
+    async insertMessageAfter(aiType, threadId, afterId, message) {
+        try {
+            const conversations = this.getConversations();
+            const personaThreads = this.getPersonaThreads(conversations, aiType);
+            const thread = this.findThread(personaThreads, threadId);
+            const index = thread ? thread.messages.findIndex(existing => existing.id === afterId) : -1;
+            if (index === -1) {
+                return false;
+            }
+
+            const leaf = this.getActivePath(thread).pop();
+            const inserted = {
+                ...message,
+                id: message.id || this.generateId('msg'),
+                timestamp: message.timestamp || new Date().toISOString(),
+                parentId: afterId
+            };
+
+            // Messages that followed afterId (e.g. a question queued behind it) now follow the inserted one
+            const writes = [];
+            this.getParentIndexes(thread.messages).forEach((parentIndex, childIndex) => {
+                if (parentIndex === index) {
+                    const child = { ...thread.messages[childIndex], parentId: inserted.id };
+                    thread.messages[childIndex] = child;
+                    writes.push(this.persist(engine => engine.addMessage(aiType, thread.id, child, childIndex), `update message for ${aiType}`));
+                }
+            });
+
+            if (message.type === 'ai' && message.usage) {
+                writes.push(this.recordUsage(aiType, message.model, message.usage, inserted.timestamp));
+            }
+
+            thread.messages.push(inserted);
+            thread.updatedAt = inserted.timestamp;
+            thread.activeLeafId = leaf.id === afterId ? inserted.id : leaf.id;
+            this.writeConversations(conversations);
+
+            const seq = thread.messages.length - 1;
+            writes.push(this.persist(engine => engine.addMessage(aiType, thread.id, inserted, seq), `save message for ${aiType}`));
+            writes.push(this.persistThreadIndex(aiType, personaThreads));
+            return this.allWritten(writes);
+        } catch (error) {
+            console.error(`Error inserting message into ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Get messages waiting to be sent, oldest first
+     * @returns {Array<Object>} Outbox entries: { id, persona, threadId, messageId, text,
+     *     queuedAt, attempts, lastError }
+     */
+    getOutbox() {
+        try {
+            const outbox = this.readJson('outbox');
+            return Array.isArray(outbox) ? outbox : [];
+        } catch (error) {
+            console.error('Error reading outbox:', error);
+            return [];
+        }
+    },
+
     /**
-     * Get conversations for all AI types
-     * @returns {Object} Object with companion, code, and study arrays
+     * Queue a stored user message for sending
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} threadId - Thread holding the message
+     * @param {Object} message - The stored user message (with id and text)
+     * @param {string} [lastError] - Why the message could not be sent
+     * @returns {Promise<Object|null>} Outbox entry, or null on failure
      */
-    getConversations() {
+    async queueOutboxMessage(aiType, threadId, message, lastError) {
         try {
-            const conversations = localStorage.getItem('conversations');
-            const parsed = conversations ? JSON.parse(conversations) : null;
-            
-            // Ensure all three types exist
-            return {
-                companion: (parsed && parsed.companion) || [],
-                code: (parsed && parsed.code) || [],
-                study: (parsed && parsed.study) || []
+            const entry = {
+                id: this.generateId('outbox'),
+                persona: aiType,
+                threadId: threadId,
+                messageId: message.id,
+                text: message.text,
+                queuedAt: new Date().toISOString(),
+                attempts: 0,
+                lastError: lastError || null
             };
+            return await this.writeJson('outbox', [...this.getOutbox(), entry]) ? entry : null;
         } catch (error) {
-            console.error('Error reading conversations from localStorage:', error);
-            return { companion: [], code: [], study: [] };
+            console.error(`Error queueing message for ${aiType}:`, error);
+            return null;
         }
     },
 
     /**
-     * Save entire conversation for a specific AI type
-     * @param {string} aiType - AI type (companion, code, or study)
-     * @param {Array} messages - Array of message objects
-     * @returns {boolean} Success status
+     * Update an outbox entry (e.g. after a failed attempt)
+     * @param {string} entryId - Outbox entry id
+     * @param {Object} fields - Fields to merge
+     * @returns {Promise<boolean>} Success status
      */
-    saveConversation(aiType, messages) {
+    async updateOutboxEntry(entryId, fields) {
         try {
-            const conversations = this.getConversations();
-            conversations[aiType] = messages;
-            localStorage.setItem('conversations', JSON.stringify(conversations));
-            return true;
+            return this.writeJson('outbox', this.getOutbox().map(entry => entry.id === entryId ? { ...entry, ...fields } : entry));
         } catch (error) {
-            console.error(`Error saving conversation for ${aiType}:`, error);
+            console.error('Error updating outbox entry:', error);
             return false;
         }
     },
 
     /**
-     * Add a single message to a conversation
-     * @param {string} aiType - AI type (companion, code, or study)
-     * @param {Object} message - Message object (must have text property)
-     * @returns {boolean} Success status
+     * Remove an outbox entry once it was sent (or its message was deleted)
+     * @param {string} entryId - Outbox entry id
+     * @returns {Promise<boolean>} Success status
      */
-    addMessage(aiType, message) {
+    async removeOutboxEntry(entryId) {
         try {
+            return this.writeJson('outbox', this.getOutbox().filter(entry => entry.id !== entryId));
+        } catch (error) {
+            console.error('Error removing outbox entry:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Local calendar day of a date
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM-DD
+     */
+    formatDay(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Get the usage ledger: token usage of every request, summed per day, persona and model
+     * Requests are added as they are answered and never taken out, so deleting messages,
+     * threads or personas does not lower the recorded spend. The first read seeds the
+     * ledger from the replies and thread summaries stored before it existed.
+     * @returns {Object} Rows keyed by "day|persona|model": { day, persona, model, requests,
+     *     promptTokens, completionTokens, totalTokens, estimated } where estimated counts
+     *     the requests whose token counts were estimated
+     */
+    getUsageLedger() {
+        try {
+            const ledger = this.readJson('usageLedger');
+            if (ledger && typeof ledger === 'object') {
+                return ledger;
+            }
+
+            const seeded = {};
             const conversations = this.getConversations();
-            
-            // Add timestamp if not present
-            const messageWithTimestamp = {
-                ...message,
-                timestamp: message.timestamp || new Date().toISOString()
-            };
-            
-            conversations[aiType].push(messageWithTimestamp);
-            localStorage.setItem('conversations', JSON.stringify(conversations));
-            return true;
+            Object.keys(conversations).forEach(persona => {
+                conversations[persona].threads.forEach(thread => {
+                    const sources = thread.messages.filter(message => message.type === 'ai');
+                    if (thread.summary) {
+                        sources.push({ ...thread.summary, timestamp: thread.summary.updatedAt });
+                    }
+                    sources.forEach(source => {
+                        if (source.usage) {
+                            this.addUsageRow(seeded, persona, source.model, source.usage, source.timestamp);
+                        }
+                    });
+                });
+            });
+            this.writeJson('usageLedger', seeded);
+            return seeded;
         } catch (error) {
-            console.error(`Error adding message to ${aiType}:`, error);
+            console.error('Error loading usage ledger:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Add one request's usage to a ledger
+     * @param {Object} ledger - Ledger (see getUsageLedger()), updated in place
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} [model] - Model that answered (null if not known)
+     * @param {Object} usage - { promptTokens, completionTokens, totalTokens, estimated }
+     * @param {string} [timestamp] - When the request was answered (defaults to now)
+     */
+    addUsageRow(ledger, aiType, model, usage, timestamp) {
+        const time = Date.parse(timestamp);
+        const day = this.formatDay(Number.isNaN(time) ? new Date() : new Date(time));
+        const key = `${day}|${aiType}|${model || ''}`;
+        const row = ledger[key] || {
+            day: day, persona: aiType, model: model || null, requests: 0,
+            promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: 0
+        };
+        row.requests++;
+        row.promptTokens += usage.promptTokens || 0;
+        row.completionTokens += usage.completionTokens || 0;
+        row.totalTokens += usage.totalTokens || 0;
+        row.estimated += usage.estimated ? 1 : 0;
+        ledger[key] = row;
+    },
+
+    /**
+     * Record the usage of one request (a reply, a partial reply or a summarization) in the ledger
+     * @param {string} aiType - AI type (persona identifier)
+     * @param {string} [model] - Model that answered
+     * @param {Object} usage - { promptTokens, completionTokens, totalTokens, estimated }
+     * @param {string} [timestamp] - When the request was answered (defaults to now)
+     * @returns {Promise<boolean>} Success status
+     */
+    async recordUsage(aiType, model, usage, timestamp) {
+        try {
+            const ledger = this.getUsageLedger();
+            this.addUsageRow(ledger, aiType, model, usage, timestamp);
+            return this.writeJson('usageLedger', ledger);
+        } catch (error) {
+            console.error(`Error recording usage for ${aiType}:`, error);
             return false;
         }
     },
 
+    /**
+     * Get the default configuration for a persona id
+     * Built-ins get their stock name, icon, description and prompt; other ids get
+     * a generic persona named after the id.
+     * @param {string} aiType - Persona identifier
+     * @returns {Object} Persona object
+     */
+    getDefaultPersona(aiType) {
+        const builtIn = this.BUILT_IN_PERSONAS[aiType];
+        return {
+            name: builtIn ? builtIn.name : aiType.charAt(0).toUpperCase() + aiType.slice(1),
+            icon: builtIn ? builtIn.icon : '🤖',
+            description: builtIn ? builtIn.description : '',
+            personality: builtIn ? builtIn.personality : 'Helpful',
+            tone: 5,
+            contextBudget: this.DEFAULT_CONTEXT_BUDGET,
+            model: '',
+            parameters: {},
+            systemPrompt: this.DEFAULT_PROMPTS[aiType] || ''
+        };
+    },
+
+    /**
+     * Whether a persona id is one of the built-ins
+     * @param {string} aiType - Persona identifier
+     * @returns {boolean} True for companion, code and study
+     */
+    isBuiltInPersona(aiType) {
+        return Object.prototype.hasOwnProperty.call(this.BUILT_IN_PERSONAS, aiType);
+    },
+
+    /**
+     * Read all personas in display order
+     * The stored object is keyed by persona id in display order. Missing fields are
+     * filled from the defaults and built-ins that were never saved are appended.
+     * @returns {Object} Personas keyed by id
+     */
+    readPersonas() {
+        const stored = this.readJson('personas') || {};
+        const personas = {};
+
+        Object.keys(stored).forEach(aiType => {
+            if (stored[aiType] && typeof stored[aiType] === 'object') {
+                personas[aiType] = { ...this.getDefaultPersona(aiType), ...stored[aiType] };
+            }
+        });
+        Object.keys(this.BUILT_IN_PERSONAS).forEach(aiType => {
+            if (!personas[aiType]) {
+                personas[aiType] = this.getDefaultPersona(aiType);
+            }
+        });
+
+        return personas;
+    },
+
+    /**
+     * Get all persona ids in display order
+     * @returns {Array<string>} Persona identifiers
+     */
+    getPersonaIds() {
+        try {
+            return Object.keys(this.readPersonas());
+        } catch (error) {
+            console.error('Error reading persona ids:', error);
+            return Object.keys(this.BUILT_IN_PERSONAS);
+        }
+    },
+
+    /**
+     * Get all personas in display order
+     * @returns {Array<Object>} Persona objects, each with its id
+     */
+    getPersonas() {
+        try {
+            const personas = this.readPersonas();
+            return Object.keys(personas).map(aiType => ({ id: aiType, ...personas[aiType] }));
+        } catch (error) {
+            console.error('Error reading personas:', error);
+            return Object.keys(this.BUILT_IN_PERSONAS).map(aiType => ({ id: aiType, ...this.getDefaultPersona(aiType) }));
+        }
+    },
+
+    /**
+     * Whether a persona exists (built-in or created by an admin)
+     * @param {string} aiType - Persona identifier
+     * @returns {boolean} True if the persona exists
+     */
+    hasPersona(aiType) {
+        return this.getPersonaIds().includes(aiType);
+    },
+
     /**
      * Get persona configuration for a specific AI type
-     * @param {string} aiType - AI type (companion, code, or study)
-     * @returns {Object} Persona object with name, personality, tone, and systemPrompt
+     * @param {string} aiType - Persona identifier
+     * @returns {Object} Persona object with name, icon, description, personality, tone,
+     *     contextBudget, model, parameters (generation settings) and systemPrompt
      */
     getPersona(aiType) {
         try {
-            const personas = localStorage.getItem('personas');
-            const parsed = personas ? JSON.parse(personas) : {};
-            
-            // Return existing persona or create default
-            if (parsed[aiType]) {
-                return parsed[aiType];
-            }
-            
-            // Create default persona
-            const defaultPersonas = {
-                companion: {
-                    name: 'Companion',
-                    personality: 'Friendly and empathetic',
-                    tone: 5,
-                    systemPrompt: this.DEFAULT_PROMPTS.companion
-                },
-                code: {
-                    name: 'Code Buddy',
-                    personality: 'Technical and helpful',
-                    tone: 5,
-                    systemPrompt: this.DEFAULT_PROMPTS.code
-                },
-                study: {
-                    name: 'Study Helper',
-                    personality: 'Patient and educational',
-                    tone: 5,
-                    systemPrompt: this.DEFAULT_PROMPTS.study
-                }
-            };
-            
-            return defaultPersonas[aiType] || {
-                name: aiType.charAt(0).toUpperCase() + aiType.slice(1),
-                personality: 'Helpful',
-                tone: 5,
-                systemPrompt: this.DEFAULT_PROMPTS[aiType] || ''
-            };
+            return this.readPersonas()[aiType] || this.getDefaultPersona(aiType);
         } catch (error) {
             console.error(`Error reading persona for ${aiType}:`, error);
-            return {
-                name: aiType.charAt(0).toUpperCase() + aiType.slice(1),
-                personality: 'Helpful',
-                tone: 5,
-                systemPrompt: this.DEFAULT_PROMPTS[aiType] || ''
-            };
+            return this.getDefaultPersona(aiType);
         }
     },
 
     /**
      * Save persona configuration for a specific AI type
-     * @param {string} aiType - AI type (companion, code, or study)
-     * @param {Object} persona - Persona object with name, personality, tone, systemPrompt
-     * @returns {boolean} Success status
+     * Fields not included in `persona` keep their current values.
+     * @param {string} aiType - Persona identifier
+     * @param {Object} persona - Persona fields to save
+     * @returns {Promise<boolean>} Success status
      */
-    savePersona(aiType, persona) {
+    async savePersona(aiType, persona) {
         try {
-            const personas = localStorage.getItem('personas');
-            const parsed = personas ? JSON.parse(personas) : {};
-            
-            parsed[aiType] = persona;
-            localStorage.setItem('personas', JSON.stringify(parsed));
-            return true;
+            const personas = this.readPersonas();
+            personas[aiType] = { ...(personas[aiType] || this.getDefaultPersona(aiType)), ...persona };
+            return this.writeJson('personas', personas);
         } catch (error) {
             console.error(`Error saving persona for ${aiType}:`, error);
             return false;
         }
     },
 
+    /**
+     * Check an id for a new persona
+     * @param {string} aiType - Proposed persona identifier
+     * @returns {string|null} Error message, or null if the id can be used
+     */
+    validatePersonaId(aiType) {
+        if (typeof aiType !== 'string' || !this.PERSONA_ID_PATTERN.test(aiType)) {
+            return 'Persona id must start with a lowercase letter and use only lowercase letters, digits and dashes (max 32 characters).';
+        }
+        if (this.hasPersona(aiType)) {
+            return `A persona with id "${aiType}" already exists.`;
+        }
+        return null;
+    },
+
+    /**
+     * Create a custom persona at the end of the list
+     * @param {string} aiType - New persona identifier (see validatePersonaId)
+     * @param {Object} persona - Persona fields; missing ones use the defaults
+     * @returns {Promise<boolean>} Success status
+     */
+    async createPersona(aiType, persona) {
+        try {
+            const error = this.validatePersonaId(aiType);
+            if (error) {
+                console.error(`Cannot create persona: ${error}`);
+                return false;
+            }
+            const personas = this.readPersonas();
+            personas[aiType] = { ...this.getDefaultPersona(aiType), ...persona };
+            return this.writeJson('personas', personas);
+        } catch (error) {
+            console.error(`Error creating persona ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Delete a custom persona and all of its conversations
+     * Built-in personas cannot be deleted; use resetPersona instead.
+     * @param {string} aiType - Persona identifier
+     * @returns {Promise<boolean>} Success status
+     */
+    async deletePersona(aiType) {
+        try {
+            const personas = this.readPersonas();
+            if (this.isBuiltInPersona(aiType) || !personas[aiType]) {
+                return false;
+            }
+            delete personas[aiType];
+            const writes = [this.writeJson('personas', personas)];
+
+            const conversations = this.getConversations();
+            delete conversations[aiType];
+            this.writeConversations(conversations);
+            writes.push(this.persist(engine => engine.deletePersona(aiType), `delete conversations for ${aiType}`));
+
+            if (this.getCurrentPersona() === aiType) {
+                this.setCurrentPersona(this.DEFAULT_PERSONA);
+            }
+            return this.allWritten(writes);
+        } catch (error) {
+            console.error(`Error deleting persona ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Change the display order of personas
+     * @param {Array<string>} orderedIds - Every persona id, in the new order
+     * @returns {Promise<boolean>} Success status (false if the ids do not match the existing personas)
+     */
+    async reorderPersonas(orderedIds) {
+        try {
+            const personas = this.readPersonas();
+            const ids = Object.keys(personas);
+            if (!Array.isArray(orderedIds) || orderedIds.length !== ids.length ||
+                !ids.every(aiType => orderedIds.includes(aiType))) {
+                return false;
+            }
+
+            const reordered = {};
+            orderedIds.forEach(aiType => {
+                reordered[aiType] = personas[aiType];
+            });
+            return this.writeJson('personas', reordered);
+        } catch (error) {
+            console.error('Error reordering personas:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Restore a built-in persona to its default configuration (keeping its position)
+     * @param {string} aiType - Built-in persona identifier
+     * @returns {Promise<boolean>} Success status
+     */
+    async resetPersona(aiType) {
+        try {
+            if (!this.isBuiltInPersona(aiType)) {
+                return false;
+            }
+            const personas = this.readPersonas();
+            personas[aiType] = this.getDefaultPersona(aiType);
+            return this.writeJson('personas', personas);
+        } catch (error) {
+            console.error(`Error resetting persona ${aiType}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Get the backend sync bookkeeping for every persona
+     * @returns {Object} Keyed by persona id: { remoteId, remoteUpdatedAt, syncedAt,
+     *     localUpdatedAt, deleted } (see PersonaSync)
+     */
+    getPersonaSyncState() {
+        try {
+            return this.readJson('personaSync') || {};
+        } catch (error) {
+            console.error('Error reading persona sync state:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Update the backend sync bookkeeping for one persona
+     * @param {string} aiType - Persona identifier
+     * @param {Object|null} entry - Fields to merge, or null to forget the persona
+     * @returns {Promise<boolean>} Success status
+     */
+    async updatePersonaSyncState(aiType, entry) {
+        try {
+            const state = this.getPersonaSyncState();
+            if (entry) {
+                state[aiType] = { ...state[aiType], ...entry };
+            } else {
+                delete state[aiType];
+            }
+            return this.writeJson('personaSync', state);
+        } catch (error) {
+            console.error(`Error saving persona sync state for ${aiType}:`, error);
+            return false;
+        }
+    },
+
     /**
      * Get API key from localStorage
      * @returns {string|null} API key or null if not set
@@ -178,81 +1317,133 @@ const Storage = {
     },
 
     /**
-     * Get admin code from localStorage with fallback to Config
-     * @returns {string} Admin code
+     * Get the stored admin passcode credential
+     * @returns {Object|null} { algorithm, iterations, salt, hash, isDefault } or null
+     *     when no passcode has been set yet (the Config default applies)
      */
-    getAdminCode() {
+    getAdminCredential() {
         try {
-            // First check localStorage for custom admin code
-            const code = localStorage.getItem('adminCode');
-            if (code) {
-                return code;
-            }
-            
-            // Fallback to Config (which handles deployment injection and default)
-            if (typeof Config !== 'undefined') {
-                return Config.getAdminCode();
+            const credential = JSON.parse(localStorage.getItem('adminCredential'));
+            if (credential && typeof credential.hash === 'string' && typeof credential.salt === 'string') {
+                return credential;
             }
-            
-            // Final fallback if Config is not available
-            return 'admin123';
+            return null;
         } catch (error) {
-            console.error('Error reading admin code:', error);
-            return 'admin123';
+            console.error('Error reading admin credential:', error);
+            return null;
         }
     },
 
     /**
-     * Set admin code in localStorage
-     * @param {string} code - New admin code
+     * Store the admin passcode credential and drop any legacy plaintext code
+     * @param {Object} credential - { algorithm, iterations, salt, hash, isDefault }
      * @returns {boolean} Success status
      */
-    setAdminCode(code) {
+    setAdminCredential(credential) {
         try {
-            localStorage.setItem('adminCode', code);
+            localStorage.setItem('adminCredential', JSON.stringify(credential));
+            localStorage.removeItem('adminCode');
             return true;
         } catch (error) {
-            console.error('Error setting admin code:', error);
+            console.error('Error setting admin credential:', error);
             return false;
         }
     },
 
     /**
-     * Check if admin is authenticated (using sessionStorage)
-     * @returns {boolean} Authentication status
+     * Get a plaintext admin code saved by older versions, pending migration to a hash
+     * @returns {string|null} Legacy admin code
      */
-    isAdminAuthenticated() {
+    getLegacyAdminCode() {
         try {
-            return sessionStorage.getItem('adminAuth') === 'true';
+            return localStorage.getItem('adminCode');
         } catch (error) {
-            console.error('Error checking admin authentication:', error);
-            return false;
+            console.error('Error reading admin code:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Get the failed unlock attempt record (kept across reloads)
+     * @returns {{failures: number, lockedUntil: number}} Lockout state
+     */
+    getAdminLockout() {
+        try {
+            const lockout = JSON.parse(localStorage.getItem('adminLockout'));
+            return {
+                failures: lockout && Number.isInteger(lockout.failures) ? lockout.failures : 0,
+                lockedUntil: lockout && typeof lockout.lockedUntil === 'number' ? lockout.lockedUntil : 0
+            };
+        } catch (error) {
+            return { failures: 0, lockedUntil: 0 };
         }
     },
 
     /**
-     * Set admin authentication status (using sessionStorage)
-     * @param {boolean} isAuthenticated - Authentication status
+     * Save the failed unlock attempt record
+     * @param {{failures: number, lockedUntil: number}|null} lockout - Lockout state, or null to clear
      * @returns {boolean} Success status
      */
-    setAdminAuth(isAuthenticated) {
+    setAdminLockout(lockout) {
         try {
-            sessionStorage.setItem('adminAuth', isAuthenticated ? 'true' : 'false');
+            if (lockout) {
+                localStorage.setItem('adminLockout', JSON.stringify(lockout));
+            } else {
+                localStorage.removeItem('adminLockout');
+            }
             return true;
         } catch (error) {
-            console.error('Error setting admin authentication:', error);
+            console.error('Error saving admin lockout:', error);
             return false;
         }
     },
 
     /**
-     * Clear all data from localStorage and sessionStorage
+     * Get the signed admin session token (using sessionStorage)
+     * The token is only meaningful to Auth, which verifies its signature and expiry.
+     * @returns {string|null} Session token
+     */
+    getAdminSession() {
+        try {
+            return sessionStorage.getItem('adminAuth');
+        } catch (error) {
+            console.error('Error reading admin session:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store or clear the signed admin session token (using sessionStorage)
+     * @param {string|null} token - Session token, or null to clear
      * @returns {boolean} Success status
      */
-    clearAll() {
+    setAdminSession(token) {
+        try {
+            if (token) {
+                sessionStorage.setItem('adminAuth', token);
+            } else {
+                sessionStorage.removeItem('adminAuth');
+            }
+            return true;
+        } catch (error) {
+            console.error('Error setting admin session:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Clear all data from localStorage, sessionStorage and the IndexedDB engine
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearAll() {
         try {
             localStorage.clear();
             sessionStorage.clear();
+            this.conversationsRevision++;
+            if (this.engine) {
+                this.cache = { conversations: {}, personas: null, settings: null, personaSync: null, outbox: null, usageLedger: null };
+                return this.persist(engine => engine.clearAll(), 'clear all data');
+            }
             return true;
         } catch (error) {
             console.error('Error clearing storage:', error);
@@ -268,79 +1459,325 @@ const Storage = {
         try {
             return {
                 conversations: this.getConversations(),
-                personas: {
-                    companion: this.getPersona('companion'),
-                    code: this.getPersona('code'),
-                    study: this.getPersona('study')
-                },
+                personas: this.readPersonas(),
                 exportDate: new Date().toISOString()
             };
         } catch (error) {
             console.error('Error exporting data:', error);
             return {
-                conversations: { companion: [], code: [], study: [] },
+                conversations: {},
                 personas: {},
                 exportDate: new Date().toISOString()
             };
         }
     },
 
+    // Import modes accepted by importData
+    IMPORT_MODES: ['replace', 'merge', 'personas'],
+
+    /**
+     * Validate a backup produced by exportData before importing it
+     * Accepts both the threaded format and legacy per-persona message arrays.
+     * @param {*} data - Parsed backup
+     * @returns {{valid: boolean, errors: Array<string>, summary: Object}} Validation result;
+     *     summary maps each persona to { threads, messages, hasPersona }
+     */
+    validateImportData(data) {
+        const errors = [];
+        const summary = {};
+        const MAX_ERRORS = 10;
+        const addError = (message) => {
+            if (errors.length < MAX_ERRORS) {
+                errors.push(message);
+            }
+        };
+        const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isPlainObject(data)) {
+            return { valid: false, errors: ['The file does not contain a backup object.'], summary };
+        }
+        if (data.conversations === undefined && data.personas === undefined) {
+            return { valid: false, errors: ['The file has neither "conversations" nor "personas"; it is not a ShlangeAI export.'], summary };
+        }
+
+        const validateMessage = (message, path) => {
+            if (!isPlainObject(message)) {
+                addError(`${path} is not a message object.`);
+                return;
+            }
+            if (message.type !== 'user' && message.type !== 'ai') {
+                addError(`${path}.type must be "user" or "ai" (found ${JSON.stringify(message.type)}).`);
+            }
+            if (typeof message.text !== 'string') {
+                addError(`${path}.text must be a string.`);
+            }
+            if (typeof message.timestamp !== 'string' || isNaN(Date.parse(message.timestamp))) {
+                addError(`${path}.timestamp must be an ISO date string.`);
+            }
+            if (message.sources !== undefined &&
+                (!Array.isArray(message.sources) || !message.sources.every(source => isPlainObject(source) && typeof source.url === 'string'))) {
+                addError(`${path}.sources must be a list of { url, title } objects.`);
+            }
+            if (message.parentId !== undefined && message.parentId !== null && typeof message.parentId !== 'string') {
+                addError(`${path}.parentId must be a message id or null.`);
+            }
+            if (message.usage !== undefined && (!isPlainObject(message.usage) ||
+                !['promptTokens', 'completionTokens', 'totalTokens'].every(key => Number.isFinite(message.usage[key]) && message.usage[key] >= 0))) {
+                addError(`${path}.usage must be { promptTokens, completionTokens, totalTokens } counts.`);
+            }
+            if (message.sendError !== undefined && typeof message.sendError !== 'string') {
+                addError(`${path}.sendError must be a string.`);
+            }
+            if (message.roundtable !== undefined && typeof message.roundtable !== 'string') {
+                addError(`${path}.roundtable must be a roundtable id.`);
+            }
+        };
+
+        if (data.conversations !== undefined) {
+            if (!isPlainObject(data.conversations)) {
+                addError('"conversations" must be an object keyed by persona.');
+            } else {
+                Object.keys(data.conversations).forEach(aiType => {
+                    const personaData = data.conversations[aiType];
+                    const path = `conversations.${aiType}`;
+                    if (!this.PERSONA_ID_PATTERN.test(aiType)) {
+                        addError(`${path}: "${aiType}" is not a valid persona id.`);
+                        return;
+                    }
+                    const entry = { threads: 0, messages: 0, hasPersona: false };
+                    summary[aiType] = entry;
+
+                    // Legacy format: a flat array of messages
+                    if (Array.isArray(personaData)) {
+                        entry.threads = 1;
+                        entry.messages = personaData.length;
+                        personaData.forEach((message, i) => validateMessage(message, `${path}[${i}]`));
+                        return;
+                    }
+
+                    if (!isPlainObject(personaData) || !Array.isArray(personaData.threads)) {
+                        addError(`${path} must be a message array or an object with a "threads" array.`);
+                        return;
+                    }
+
+                    personaData.threads.forEach((thread, t) => {
+                        const threadPath = `${path}.threads[${t}]`;
+                        if (!isPlainObject(thread)) {
+                            addError(`${threadPath} is not a thread object.`);
+                            return;
+                        }
+                        if (typeof thread.id !== 'string' || !thread.id) {
+                            addError(`${threadPath}.id is missing.`);
+                        }
+                        if (!Array.isArray(thread.messages)) {
+                            addError(`${threadPath}.messages must be an array.`);
+                            return;
+                        }
+                        if (thread.summary !== undefined && (!isPlainObject(thread.summary) ||
+                            typeof thread.summary.text !== 'string' || typeof thread.summary.throughId !== 'string')) {
+                            addError(`${threadPath}.summary must be { text, throughId }.`);
+                        }
+                        entry.threads++;
+                        entry.messages += thread.messages.length;
+                        thread.messages.forEach((message, i) => validateMessage(message, `${threadPath}.messages[${i}]`));
+                    });
+                });
+            }
+        }
+
+        if (data.personas !== undefined) {
+            if (!isPlainObject(data.personas)) {
+                addError('"personas" must be an object keyed by persona.');
+            } else {
+                Object.keys(data.personas).forEach(aiType => {
+                    const persona = data.personas[aiType];
+                    const path = `personas.${aiType}`;
+                    // Ids the app could not create itself would break routes and the persona order
+                    if (!this.PERSONA_ID_PATTERN.test(aiType)) {
+                        addError(`${path}: "${aiType}" is not a valid persona id (a lowercase letter, then lowercase letters, digits or dashes; max 32 characters).`);
+                        return;
+                    }
+                    if (!isPlainObject(persona)) {
+                        addError(`${path} is not a persona object.`);
+                        return;
+                    }
+                    if (typeof persona.name !== 'string' || !persona.name.trim()) {
+                        addError(`${path}.name must be a non-empty string.`);
+                    }
+                    ['icon', 'description', 'personality', 'systemPrompt'].forEach(field => {
+                        if (persona[field] !== undefined && typeof persona[field] !== 'string') {
+                            addError(`${path}.${field} must be a string.`);
+                        }
+                    });
+                    // An empty model means the default one
+                    if (persona.model !== undefined && persona.model !== '' && !API.isValidModel(persona.model)) {
+                        addError(`${path}.model must be empty or a model name (letters, digits and . _ : / - characters).`);
+                    }
+                    if (persona.contextBudget !== undefined && !(Number.isInteger(persona.contextBudget) && persona.contextBudget >= 0)) {
+                        addError(`${path}.contextBudget must be a whole number of tokens, zero or more.`);
+                    }
+                    if (persona.tone !== undefined && !(Number(persona.tone) >= 1 && Number(persona.tone) <= 10)) {
+                        addError(`${path}.tone must be a number from 1 to 10.`);
+                    }
+                    if (persona.parameters !== undefined && !isPlainObject(persona.parameters)) {
+                        addError(`${path}.parameters must be an object.`);
+                    }
+                    summary[aiType] = summary[aiType] || { threads: 0, messages: 0, hasPersona: false };
+                    summary[aiType].hasPersona = true;
+                });
+            }
+        }
+
+        return { valid: errors.length === 0, errors, summary };
+    },
+
     /**
      * Import data from JSON backup
+     * The backup is validated first; nothing is changed if it is invalid.
+     * Modes:
+     *   replace  - overwrite all conversations and personas
+     *   merge    - add threads and messages not already present (messages are
+     *              de-duplicated by timestamp per persona); only personas that
+     *              do not exist locally are added
+     *   personas - import persona settings only, leaving conversations untouched
      * @param {Object} data - Data object with conversations and personas
-     * @returns {boolean} Success status
+     * @param {string} [mode] - 'replace' (default), 'merge' or 'personas'
+     * @returns {Promise<boolean>} Success status
      */
-    importData(data) {
+    async importData(data, mode = 'replace') {
         try {
             // Validate data structure
-            if (!data || typeof data !== 'object') {
-                console.error('Invalid data format for import');
+            const validation = this.validateImportData(data);
+            if (!validation.valid) {
+                console.error('Invalid data format for import:', validation.errors);
+                return false;
+            }
+            if (!this.IMPORT_MODES.includes(mode)) {
+                console.error(`Unknown import mode: ${mode}`);
                 return false;
             }
 
             // Import conversations
-            if (data.conversations) {
-                localStorage.setItem('conversations', JSON.stringify(data.conversations));
+            const writes = [];
+            if (data.conversations && mode === 'replace') {
+                writes.push(this.replaceConversations(data.conversations));
+            } else if (data.conversations && mode === 'merge') {
+                writes.push(this.mergeConversations(data.conversations));
             }
 
             // Import personas
             if (data.personas) {
-                localStorage.setItem('personas', JSON.stringify(data.personas));
+                const existing = this.readJson('personas') || {};
+                let merged;
+                if (mode === 'replace') {
+                    merged = data.personas;
+                } else if (mode === 'merge') {
+                    // Keep the user's order; personas new to this browser go at the end
+                    const onlyNew = {};
+                    Object.keys(data.personas).filter(aiType => !existing[aiType]).forEach(aiType => {
+                        onlyNew[aiType] = data.personas[aiType];
+                    });
+                    merged = { ...existing, ...onlyNew };
+                } else {
+                    merged = { ...existing, ...data.personas };
+                }
+                writes.push(this.writeJson('personas', merged));
             }
 
-            return true;
+            return this.allWritten(writes);
         } catch (error) {
             console.error('Error importing data:', error);
             return false;
         }
     },
 
+    /**
+     * Merge imported conversations into existing ones
+     * Threads with a matching id receive the messages they are missing; other threads
+     * are added. Messages whose timestamp already exists for the persona are skipped.
+     * @param {Object} conversations - Imported conversations keyed by AI type
+     * @returns {Promise<boolean>} Whether the change was stored
+     */
+    mergeConversations(conversations) {
+        const current = this.getConversations();
+
+        Object.keys(conversations).forEach(aiType => {
+            const imported = this.normalizeThreads(conversations[aiType]);
+            const personaThreads = this.getPersonaThreads(current, aiType);
+            const seen = new Set();
+            personaThreads.threads.forEach(thread => thread.messages.forEach(message => seen.add(message.timestamp)));
+
+            imported.threads.forEach(importedThread => {
+                const newMessages = importedThread.messages
+                    .filter(message => !seen.has(message.timestamp))
+                    .map(message => message.id ? message : { ...message, id: this.generateId('msg') });
+                newMessages.forEach(message => seen.add(message.timestamp));
+                if (newMessages.length === 0) {
+                    return;
+                }
+
+                const existingThread = personaThreads.threads.find(thread => thread.id === importedThread.id);
+                if (existingThread) {
+                    existingThread.messages = [...existingThread.messages, ...newMessages]
+                        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+                    existingThread.updatedAt = existingThread.messages[existingThread.messages.length - 1].timestamp;
+                } else {
+                    personaThreads.threads.push({ ...importedThread, messages: newMessages });
+                }
+            });
+        });
+
+        return this.replaceConversations(current);
+    },
+
+    /**
+     * Replace every conversation, normalizing legacy or partial data
+     * @param {Object} conversations - Conversations keyed by AI type (threaded or legacy arrays)
+     * @returns {Promise<boolean>} Whether the change was stored
+     */
+    replaceConversations(conversations) {
+        const normalized = {};
+        new Set([...this.getPersonaIds(), ...Object.keys(conversations || {})]).forEach(aiType => {
+            const personaData = this.normalizeThreads(conversations ? conversations[aiType] : undefined);
+            personaData.threads.forEach(thread => {
+                thread.messages = thread.messages.map(message => message.id ? message : { ...message, id: this.generateId('msg') });
+            });
+            normalized[aiType] = personaData;
+        });
+
+        this.writeConversations(normalized);
+        return this.persist(engine => engine.replaceConversations(normalized), 'replace conversations');
+    },
+
     // Backward compatibility methods for existing UI code
 
     /**
      * Get chat history for a specific persona (backward compatibility)
+     * Only the branch that is shown is returned, not alternatives switched away from.
      * @param {string} persona - Persona identifier
+     * @param {string} [threadId] - Thread id (defaults to the active thread)
      * @returns {Array} Array of messages
      */
-    getChatHistory(persona) {
-        const conversations = this.getConversations();
-        return conversations[persona] || [];
+    getChatHistory(persona, threadId) {
+        const thread = this.getThread(persona, threadId);
+        return thread ? this.getActivePath(thread) : [];
     },
 
     /**
      * Save message to chat history (backward compatibility)
      * @param {string} persona - Persona identifier
      * @param {Object} message - Message object
-     * @returns {boolean} Success status
+     * @param {string} [threadId] - Thread id (defaults to the active thread)
+     * @returns {Promise<boolean>} Success status
      */
-    saveMessage(persona, message) {
-        return this.addMessage(persona, message);
+    saveMessage(persona, message, threadId) {
+        return this.addMessage(persona, message, threadId);
     },
 
     /**
-     * Clear chat history for a specific persona (backward compatibility)
+     * Clear chat history for a specific persona's active thread (backward compatibility)
      * @param {string} persona - Persona identifier
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
     clearChatHistory(persona) {
         return this.saveConversation(persona, []);
@@ -348,16 +1785,11 @@ const Storage = {
 
     /**
      * Clear all chat history for all personas (backward compatibility)
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    clearAllChatHistory() {
+    async clearAllChatHistory() {
         try {
-            localStorage.setItem('conversations', JSON.stringify({
-                companion: [],
-                code: [],
-                study: []
-            }));
-            return true;
+            return this.replaceConversations({});
         } catch (error) {
             console.error('Error clearing all chat history:', error);
             return false;
@@ -378,10 +1810,11 @@ const Storage = {
      */
     getCurrentPersona() {
         try {
-            return localStorage.getItem('currentPersona') || 'companion';
+            const persona = localStorage.getItem('currentPersona');
+            return persona && this.hasPersona(persona) ? persona : this.DEFAULT_PERSONA;
         } catch (error) {
             console.error('Error reading current persona:', error);
-            return 'companion';
+            return this.DEFAULT_PERSONA;
         }
     },
 
@@ -406,16 +1839,18 @@ const Storage = {
      */
     getSettings() {
         try {
-            const settings = localStorage.getItem('settings');
-            return settings ? JSON.parse(settings) : {
+            const settings = this.readJson('settings');
+            return settings ? settings : {
                 companionName: 'Companion',
-                theme: 'blue'
+                theme: 'blue',
+                streamResponses: true
             };
         } catch (error) {
             console.error('Error reading settings:', error);
             return {
                 companionName: 'Companion',
-                theme: 'blue'
+                theme: 'blue',
+                streamResponses: true
             };
         }
     },
@@ -423,14 +1858,13 @@ const Storage = {
     /**
      * Update settings (backward compatibility)
      * @param {Object} settings - Settings to update
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    updateSettings(settings) {
+    async updateSettings(settings) {
         try {
             const currentSettings = this.getSettings();
             const newSettings = { ...currentSettings, ...settings };
-            localStorage.setItem('settings', JSON.stringify(newSettings));
-            return true;
+            return this.writeJson('settings', newSettings);
         } catch (error) {
             console.error('Error updating settings:', error);
             return false;
@@ -0,0 +1,242 @@
+/**
+ * summary.js - Rolling summaries that compact long conversations
+ * Once the part of a thread's active branch that is not yet summarized outgrows the
+ * persona's context budget, its older turns are condensed (through API.summarize)
+ * into a summary stored on the thread. API.buildMessages then sends that summary in
+ * place of the turns it covers, so long chats keep their early context.
+ *
+ * A summary is { text, throughId, updatedAt, edited, editedAt, usage, model }: throughId
+ * is the last message it covers, updatedAt when it was last summarized, editedAt when
+ * the user last edited it, and usage adds up every summarization of the thread. Each
+ * summarization is also recorded in the usage ledger as soon as it is answered.
+ *
+ * Dependencies: Storage (from storage.js), API (from api.js)
+ * Note: This file must be loaded after storage.js and api.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before summary.js');
+}
+if (typeof API === 'undefined') {
+    throw new Error('API is not defined. Ensure api.js is loaded before summary.js');
+}
+
+// Summarize once the unsummarized history passes this share of the context budget...
+const SUMMARY_TRIGGER_RATIO = 0.8;
+
+// ...and keep about this share of the budget as recent turns sent word for word
+const SUMMARY_KEEP_RATIO = 0.4;
+
+// Most history sent to the summarizer at once, as a multiple of the context budget;
+// longer stretches are condensed in several passes, each building on the last
+const SUMMARY_CHUNK_RATIO = 2;
+
+const Summarizer = {
+    // Threads being summarized ("persona:threadId"), so one thread is never summarized twice at once
+    running: new Set(),
+
+    /**
+     * Count the estimated tokens of some messages
+     * @param {Array} messages - Stored messages
+     * @returns {number} Estimated tokens
+     */
+    countTokens(messages) {
+        return messages.reduce((sum, message) => sum + API.estimateTokens(message.text), 0);
+    },
+
+    /**
+     * Find where a thread's summary ends on a branch
+     * @param {Array} path - Messages of the branch, oldest first
+     * @param {Object|null} summary - Stored summary
+     * @returns {number} Index of the first message the summary does not cover (0 if the
+     *     summary is missing or belongs to another branch)
+     */
+    getSummarizedCount(path, summary) {
+        return summary ? path.findIndex(message => message.id === summary.throughId) + 1 : 0;
+    },
+
+    /**
+     * Choose the last message to summarize
+     * The rest, about keepTokens of the newest turns, stays word for word. The cut always
+     * falls on an AI reply, so the kept turns start with a question, and never inside the
+     * latest exchange.
+     * @param {Array} path - Messages of the branch, oldest first
+     * @param {number} start - Index of the first message not summarized yet
+     * @param {number} keepTokens - Estimated tokens of recent turns to keep
+     * @returns {number} Index of the last message to summarize, or -1 if there is nothing to summarize
+     */
+    findCutoff(path, start, keepTokens) {
+        // First message (from the end) that no longer fits in the kept part
+        let overflow = path.length - 1;
+        let kept = 0;
+        while (overflow >= start) {
+            kept += API.estimateTokens(path[overflow].text);
+            if (kept > keepTokens) {
+                break;
+            }
+            overflow--;
+        }
+
+        const lastQuestion = path.map(message => message.type).lastIndexOf('user');
+        const candidates = [];
+        for (let i = start; i < lastQuestion; i++) {
+            if (path[i].type === 'ai') {
+                candidates.push(i);
+            }
+        }
+        if (candidates.length === 0) {
+            return -1;
+        }
+        const fitting = candidates.find(index => index >= overflow);
+        return fitting !== undefined ? fitting : candidates[candidates.length - 1];
+    },
+
+    /**
+     * Split messages into consecutive groups of at most maxTokens each
+     * @param {Array} messages - Stored messages
+     * @param {number} maxTokens - Estimated tokens per group (a longer message gets its own group)
+     * @returns {Array<Array>} Groups, oldest first
+     */
+    chunkMessages(messages, maxTokens) {
+        const chunks = [];
+        let current = [];
+        let size = 0;
+        messages.forEach(message => {
+            const tokens = API.estimateTokens(message.text);
+            if (current.length > 0 && size + tokens > maxTokens) {
+                chunks.push(current);
+                current = [];
+                size = 0;
+            }
+            current.push(message);
+            size += tokens;
+        });
+        if (current.length > 0) {
+            chunks.push(current);
+        }
+        return chunks;
+    },
+
+    /**
+     * Add token counts into a running total
+     * @param {Object} total - { promptTokens, completionTokens, totalTokens }, updated in place
+     * @param {Object} usage - Usage to add; an estimated one marks the total as estimated
+     */
+    addUsage(total, usage) {
+        ['promptTokens', 'completionTokens', 'totalTokens'].forEach(field => {
+            total[field] += usage[field] || 0;
+        });
+        if (usage.estimated) {
+            total.estimated = true;
+        }
+    },
+
+    /**
+     * Whether a thread's unsummarized history has outgrown its persona's context budget
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
+     * @returns {boolean} Whether compact() would summarize
+     */
+    needsSummary(persona, threadId) {
+        const path = Storage.getChatHistory(persona, threadId).filter(message => !message.pending);
+        const start = this.getSummarizedCount(path, Storage.getThreadSummary(persona, threadId));
+        const budget = API.getContextBudget(Storage.getPersona(persona));
+        return budget > 0 && this.countTokens(path.slice(start)) > budget * SUMMARY_TRIGGER_RATIO;
+    },
+
+    /**
+     * Summarize a thread's older turns into its rolling summary
+     * Without `force`, nothing happens until the unsummarized history outgrows the
+     * budget, and the existing summary (including edits) is extended. With `force`,
+     * the summary is rebuilt from the start of the branch.
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.force] - Summarize now, from scratch (the manual "Re-summarize")
+     * @param {AbortSignal} [options.signal] - Aborts the summarizer requests
+     * @returns {Promise<Object|null>} The stored summary, or null if nothing was summarized
+     * @throws {Error} From API.summarize, or with `force` if there is nothing to summarize yet
+     */
+    async compact(persona, threadId, options = {}) {
+        const key = `${persona}:${threadId}`;
+        if (this.running.has(key) || (!options.force && !this.needsSummary(persona, threadId))) {
+            return null;
+        }
+        this.running.add(key);
+
+        try {
+            const path = Storage.getChatHistory(persona, threadId).filter(message => !message.pending);
+            const previous = Storage.getThreadSummary(persona, threadId);
+            const start = options.force ? 0 : this.getSummarizedCount(path, previous);
+            const budget = API.getContextBudget(Storage.getPersona(persona));
+
+            const cutoff = this.findCutoff(path, start, budget * SUMMARY_KEEP_RATIO);
+            if (cutoff === -1) {
+                if (options.force) {
+                    throw new Error('There are not enough messages to summarize yet.');
+                }
+                return null;
+            }
+
+            let text = start > 0 ? previous.text : '';
+            const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+            let model = null;
+            for (const chunk of this.chunkMessages(path.slice(start, cutoff + 1), Math.max(budget, 1) * SUMMARY_CHUNK_RATIO)) {
+                const result = await API.summarize(persona, chunk, text, { signal: options.signal });
+                text = result.summary;
+                model = result.model;
+                this.addUsage(usage, result.usage);
+                await Storage.recordUsage(persona, result.model, result.usage);
+            }
+
+            // Earlier summaries of the thread were paid for too; their usage carries over
+            if (previous && previous.usage) {
+                this.addUsage(usage, previous.usage);
+            }
+
+            // The thread may have been cleared or deleted while the summary was written
+            if (!Storage.getMessagePath(persona, threadId, path[cutoff].id)) {
+                return null;
+            }
+
+            const summary = {
+                text: text,
+                throughId: path[cutoff].id,
+                updatedAt: new Date().toISOString(),
+                edited: false,
+                usage: usage,
+                model: model
+            };
+            await Storage.setThreadSummary(persona, threadId, summary);
+            console.log(`[Summarizer] Summarized ${cutoff + 1 - start} messages of ${persona} thread ${threadId}`);
+            return summary;
+        } finally {
+            this.running.delete(key);
+        }
+    },
+
+    /**
+     * Replace a summary's text with the user's edit
+     * updatedAt is left alone: it records the last summarization, which an edit is not.
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
+     * @param {string} text - Edited summary
+     * @returns {Promise<boolean>} Success status (false if the thread has no summary)
+     */
+    async saveEdit(persona, threadId, text) {
+        const summary = Storage.getThreadSummary(persona, threadId);
+        if (!summary) {
+            return false;
+        }
+        return Storage.setThreadSummary(persona, threadId, {
+            ...summary,
+            text: text.trim(),
+            edited: true,
+            editedAt: new Date().toISOString()
+        });
+    }
+};
+
+// Make Summarizer available globally
+window.Summarizer = Summarizer;
@@ -0,0 +1,380 @@
+/**
+ * sync.js - Two-way persona sync between Storage and the backend /personas API
+ * Maps between the frontend persona shape (keyed by id: name, systemPrompt, ...)
+ * and backend records ({ id, slug, companion_name, system_prompt, ..., updated_at }),
+ * linking the two through the record's slug.
+ *
+ * Each persona's bookkeeping (Storage.getPersonaSyncState) remembers the backend
+ * record it is linked to, that record's updated_at at the last sync, when the last
+ * sync happened and when the persona was last edited locally. A persona edited
+ * locally whose record also changed on the server since the last sync is a
+ * conflict and is held until the admin keeps one side.
+ *
+ * Dependencies: Storage (from storage.js), Auth (from auth.js), API (from api.js)
+ * Note: This file must be loaded after api.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before sync.js');
+}
+if (typeof Auth === 'undefined') {
+    throw new Error('Auth is not defined. Ensure auth.js is loaded before sync.js');
+}
+if (typeof API === 'undefined') {
+    throw new Error('API is not defined. Ensure api.js is loaded before sync.js');
+}
+
+// Backend fields kept in sync; icon, description, provider, context budget and
+// generation parameters have no backend column and stay local
+const SYNCED_FIELDS = ['companion_name', 'personality', 'tone', 'system_prompt', 'model'];
+
+const PersonaSync = {
+    // Backend field names shown in the conflict prompt
+    FIELD_LABELS: {
+        companion_name: 'Name',
+        personality: 'Personality',
+        tone: 'Tone',
+        system_prompt: 'System prompt',
+        model: 'Model'
+    },
+
+    // Unresolved conflicts keyed by persona id: { personaId, record, localUpdatedAt }
+    conflicts: {},
+
+    // Outcome of the last sync: { state: 'idle'|'syncing'|'synced'|'conflict'|'error', message, at }
+    status: { state: 'idle', message: '', at: null },
+
+    /**
+     * Map a frontend persona to a backend record body
+     * @param {string} personaId - Persona identifier (the record's slug)
+     * @param {Object} persona - Persona from Storage
+     * @returns {Object} Backend fields
+     */
+    toBackend(personaId, persona) {
+        return {
+            slug: personaId,
+            companion_name: persona.name,
+            personality: persona.personality || '',
+            tone: API.normalizeTone(persona.tone),
+            system_prompt: persona.systemPrompt || '',
+            // An empty local model means the default, which the backend stores explicitly
+            model: persona.model || API.DEFAULT_MODEL
+        };
+    },
+
+    /**
+     * Map a backend record to frontend persona fields
+     * @param {Object} record - Backend persona record
+     * @returns {Object} Persona fields to merge into Storage
+     */
+    fromBackend(record) {
+        return {
+            name: record.companion_name,
+            personality: record.personality || '',
+            tone: API.normalizeTone(record.tone),
+            systemPrompt: record.system_prompt || '',
+            model: !record.model || record.model === API.DEFAULT_MODEL ? '' : record.model
+        };
+    },
+
+    /**
+     * List the synced fields whose values differ between a persona and a record
+     * @param {string} personaId - Persona identifier
+     * @param {Object} record - Backend persona record
+     * @returns {Array<{field: string, local: *, server: *}>} Differences
+     */
+    diff(personaId, record) {
+        const persona = Storage.getPersona(personaId);
+        const local = this.toBackend(personaId, persona);
+        // Round-trip the record so both sides are normalized the same way
+        const server = this.toBackend(personaId, { ...persona, ...this.fromBackend(record) });
+
+        return SYNCED_FIELDS
+            .filter(field => local[field] !== server[field])
+            .map(field => ({ field: field, local: local[field], server: server[field] }));
+    },
+
+    /**
+     * Whether a persona was edited locally since its last sync
+     * @param {Object} [entry] - Sync bookkeeping for the persona
+     * @returns {boolean} True if there are unsynced local edits
+     */
+    hasLocalChanges(entry) {
+        return Boolean(entry && entry.localUpdatedAt && (!entry.syncedAt || entry.localUpdatedAt > entry.syncedAt));
+    },
+
+    /**
+     * Note a local edit and push it when an admin session is open
+     * Without a session the edit stays pending and is pushed on the next sync.
+     * @param {string} personaId - Persona identifier
+     * @returns {Promise<Object>} Sync status
+     */
+    async recordLocalEdit(personaId) {
+        await Storage.updatePersonaSyncState(personaId, { localUpdatedAt: Date.now(), deleted: false });
+        if (!Auth.isUnlocked()) {
+            return this.status;
+        }
+        return this.push(personaId);
+    },
+
+    /**
+     * Stop syncing a persona deleted locally, so the next pull does not restore it
+     * @param {string} personaId - Persona identifier
+     * @returns {Promise<boolean>} Whether the change was stored
+     */
+    markDeleted(personaId) {
+        delete this.conflicts[personaId];
+        return Storage.updatePersonaSyncState(personaId, { deleted: true });
+    },
+
+    /**
+     * Pull every backend persona and push pending local edits
+     * @returns {Promise<Object>} Sync status
+     */
+    async sync() {
+        if (this.status.state === 'syncing') {
+            return this.status;
+        }
+        this.setStatus('syncing', 'Syncing personas with the server…');
+
+        try {
+            const records = await Auth.fetchPersonasFromBackend();
+            const bySlug = {};
+            records.forEach(record => {
+                if (record && typeof record.slug === 'string') {
+                    bySlug[record.slug] = record;
+                }
+            });
+
+            const counts = {};
+            const personaIds = new Set([...Storage.getPersonaIds(), ...Object.keys(bySlug)]);
+            for (const personaId of personaIds) {
+                const result = await this.reconcile(personaId, bySlug[personaId]);
+                counts[result] = (counts[result] || 0) + 1;
+            }
+
+            this.finish(counts);
+        } catch (error) {
+            this.fail(error);
+        }
+        return this.status;
+    },
+
+    /**
+     * Push one persona after a local edit (or report the conflict it causes)
+     * @param {string} personaId - Persona identifier
+     * @returns {Promise<Object>} Sync status
+     */
+    async push(personaId) {
+        this.setStatus('syncing', 'Saving persona to the server…');
+
+        try {
+            const entry = Storage.getPersonaSyncState()[personaId] || {};
+            const records = await Auth.fetchPersonasFromBackend();
+            const record = records.find(candidate => entry.remoteId && candidate.id === entry.remoteId) ||
+                records.find(candidate => candidate.slug === personaId);
+
+            this.finish({ [await this.reconcile(personaId, record)]: 1 });
+        } catch (error) {
+            this.fail(error);
+        }
+        return this.status;
+    },
+
+    /**
+     * Bring one persona and its backend record into agreement
+     * @param {string} personaId - Persona identifier
+     * @param {Object} [record] - Backend record with the persona's slug, if any
+     * @returns {Promise<string>} 'pulled', 'pushed', 'conflict', 'unchanged' or 'skipped'
+     */
+    async reconcile(personaId, record) {
+        const entry = Storage.getPersonaSyncState()[personaId];
+        if (entry && entry.deleted) {
+            return 'skipped';
+        }
+
+        const exists = Storage.hasPersona(personaId);
+        const localChanged = exists && this.hasLocalChanges(entry);
+
+        if (!record) {
+            // Not on the server (never created there, or deleted): only local edits go up
+            if (localChanged) {
+                await this.pushRecord(personaId, null);
+                return 'pushed';
+            }
+            if (entry && entry.remoteId) {
+                await Storage.updatePersonaSyncState(personaId, { remoteId: null, remoteUpdatedAt: null });
+            }
+            return 'unchanged';
+        }
+
+        if (!exists) {
+            const idError = Storage.validatePersonaId(personaId);
+            if (idError) {
+                console.warn(`[PersonaSync] Skipping backend persona "${personaId}": ${idError}`);
+                return 'skipped';
+            }
+            await this.applyRecord(personaId, record);
+            return 'pulled';
+        }
+
+        if (this.diff(personaId, record).length === 0) {
+            await this.recordSynced(personaId, record);
+            return 'unchanged';
+        }
+
+        // Without a previous sync there is no way to tell which side is newer
+        const linked = Boolean(entry && entry.remoteId === record.id && entry.remoteUpdatedAt);
+        const remoteChanged = !linked || record.updated_at !== entry.remoteUpdatedAt;
+
+        if (!linked || (remoteChanged && localChanged)) {
+            this.conflicts[personaId] = {
+                personaId: personaId,
+                record: record,
+                localUpdatedAt: entry && entry.localUpdatedAt ? entry.localUpdatedAt : null
+            };
+            return 'conflict';
+        }
+        if (remoteChanged) {
+            await this.applyRecord(personaId, record);
+            return 'pulled';
+        }
+
+        await this.pushRecord(personaId, record);
+        return 'pushed';
+    },
+
+    /**
+     * Settle a conflict by keeping one side
+     * @param {string} personaId - Persona identifier
+     * @param {string} choice - 'local' to overwrite the server, 'server' to overwrite this browser
+     * @returns {Promise<Object>} Sync status
+     */
+    async resolveConflict(personaId, choice) {
+        const conflict = this.conflicts[personaId];
+        if (!conflict) {
+            return this.status;
+        }
+
+        try {
+            if (choice === 'server') {
+                await this.applyRecord(personaId, conflict.record);
+            } else {
+                await this.pushRecord(personaId, conflict.record);
+            }
+            this.finish({ [choice === 'server' ? 'pulled' : 'pushed']: 1 });
+        } catch (error) {
+            this.fail(error);
+        }
+        return this.status;
+    },
+
+    /**
+     * Create or update the backend record from the local persona
+     * @param {string} personaId - Persona identifier
+     * @param {Object|null} record - Existing backend record, or null to create one
+     * @returns {Promise<Object>} Saved backend record
+     */
+    async pushRecord(personaId, record) {
+        const response = await Auth.makeAuthenticatedRequest(record ? `/personas/${record.id}` : '/personas', {
+            method: record ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.toBackend(personaId, Storage.getPersona(personaId)))
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            console.error('[PersonaSync] Failed to save persona:', response.status, errorData);
+            throw new Error(errorData.message || `Failed to save persona: ${response.status}`);
+        }
+
+        const saved = await response.json();
+        await this.recordSynced(personaId, saved);
+        console.log(`[PersonaSync] ${record ? 'Updated' : 'Created'} backend persona ${saved.id} (${personaId})`);
+        return saved;
+    },
+
+    /**
+     * Overwrite (or create) the local persona from a backend record
+     * @param {string} personaId - Persona identifier
+     * @param {Object} record - Backend persona record
+     * @returns {Promise<void>}
+     */
+    async applyRecord(personaId, record) {
+        if (Storage.hasPersona(personaId)) {
+            await Storage.savePersona(personaId, this.fromBackend(record));
+        } else {
+            await Storage.createPersona(personaId, this.fromBackend(record));
+        }
+        await this.recordSynced(personaId, record);
+        console.log(`[PersonaSync] Pulled backend persona ${record.id} (${personaId})`);
+    },
+
+    /**
+     * Remember that a persona now matches a backend record
+     * @param {string} personaId - Persona identifier
+     * @param {Object} record - Backend persona record
+     * @returns {Promise<boolean>} Whether the bookkeeping was stored
+     */
+    recordSynced(personaId, record) {
+        delete this.conflicts[personaId];
+        return Storage.updatePersonaSyncState(personaId, {
+            remoteId: record.id,
+            remoteUpdatedAt: record.updated_at,
+            syncedAt: Date.now()
+        });
+    },
+
+    /**
+     * Set the final status after reconciling personas
+     * @param {Object} counts - Number of personas per reconcile result
+     */
+    finish(counts) {
+        const conflicts = Object.keys(this.conflicts).length;
+        if (conflicts > 0) {
+            this.setStatus('conflict', `${conflicts} persona${conflicts === 1 ? '' : 's'} changed both here and on the server. Choose which version to keep.`);
+            return;
+        }
+
+        const parts = [];
+        if (counts.pulled) {
+            parts.push(`${counts.pulled} updated from the server`);
+        }
+        if (counts.pushed) {
+            parts.push(`${counts.pushed} saved to the server`);
+        }
+        this.setStatus('synced', parts.length > 0 ? `Personas synced: ${parts.join(', ')}.` : 'Personas are in sync with the server.');
+    },
+
+    /**
+     * Set the status after a failed sync; local edits stay pending
+     * @param {Error} error - What went wrong
+     */
+    fail(error) {
+        console.warn('[PersonaSync] Sync failed, keeping local personas:', error);
+
+        let message = error.message;
+        if (error.message === 'Invalid admin credentials' || error.message === 'Authentication required') {
+            message = 'The server rejected the admin code. Set ADMIN_CODE on the server to the current passcode.';
+        } else if (error.message === 'Admin session expired') {
+            message = 'Admin session expired.';
+        } else if (error instanceof TypeError) {
+            message = 'The server is unreachable.';
+        }
+        this.setStatus('error', `${message} Changes are kept in this browser and sync on the next unlock.`);
+    },
+
+    /**
+     * Update the sync status and announce it with a "persona-sync" event on window
+     * @param {string} state - 'syncing', 'synced', 'conflict' or 'error'
+     * @param {string} message - Status text for the admin panel
+     */
+    setStatus(state, message) {
+        this.status = { state: state, message: message, at: new Date().toISOString() };
+        window.dispatchEvent(new CustomEvent('persona-sync', { detail: this.status }));
+    }
+};
+
+// Make PersonaSync available globally
+window.PersonaSync = PersonaSync;
@@ -2,7 +2,10 @@
  * ui.js - UI controller for ShlangeAI
  * Handles all DOM manipulation and user interactions
  * 
- * Dependencies: Storage (from storage.js), Auth (from auth.js), API (from api.js)
+ * Dependencies: Storage (from storage.js), Auth (from auth.js), Providers (from providers.js),
+ *               API (from api.js), Usage (from usage.js), Summarizer (from summary.js),
+ *               PersonaSync (from sync.js), Search (from search.js), Markdown (from markdown.js),
+ *               Exporter (from export.js), Router (from router.js), Roundtable (from roundtable.js)
  * Note: This file must be loaded last after all other modules
  */
 
@@ -13,36 +16,93 @@ if (typeof Storage === 'undefined') {
 if (typeof Auth === 'undefined') {
     throw new Error('Auth is not defined. Ensure auth.js is loaded before ui.js');
 }
+if (typeof Providers === 'undefined') {
+    throw new Error('Providers is not defined. Ensure providers.js is loaded before ui.js');
+}
 if (typeof API === 'undefined') {
     throw new Error('API is not defined. Ensure api.js is loaded before ui.js');
 }
+if (typeof Usage === 'undefined') {
+    throw new Error('Usage is not defined. Ensure usage.js is loaded before ui.js');
+}
+if (typeof Summarizer === 'undefined') {
+    throw new Error('Summarizer is not defined. Ensure summary.js is loaded before ui.js');
+}
+if (typeof PersonaSync === 'undefined') {
+    throw new Error('PersonaSync is not defined. Ensure sync.js is loaded before ui.js');
+}
+if (typeof Search === 'undefined') {
+    throw new Error('Search is not defined. Ensure search.js is loaded before ui.js');
+}
+if (typeof Markdown === 'undefined') {
+    throw new Error('Markdown is not defined. Ensure markdown.js is loaded before ui.js');
+}
+if (typeof Exporter === 'undefined') {
+    throw new Error('Exporter is not defined. Ensure export.js is loaded before ui.js');
+}
+if (typeof Router === 'undefined') {
+    throw new Error('Router is not defined. Ensure router.js is loaded before ui.js');
+}
+if (typeof Roundtable === 'undefined') {
+    throw new Error('Roundtable is not defined. Ensure roundtable.js is loaded before ui.js');
+}
 
 const UI = {
     // Current state
     currentPersona: 'companion',
     isWaitingForResponse: false,
 
+    // Aborts the request in flight (Stop button), and the countdown shown while a retry waits
+    abortController: null,
+    retryTimer: null,
+
+    // Another tab changed the data while a reply was coming in; redraw once it is done
+    storageChangedWhileBusy: false,
+
+    // Validated backup waiting for the admin to confirm an import mode
+    pendingImport: null,
+
+    // Results of the last search (clicked by index), and the debounce timer while typing
+    searchResults: [],
+    searchTimer: null,
+
+    // Persona open in the admin editor (null when creating a new one)
+    editingPersonaId: null,
+
+    // Persona shown in the admin settings form, and unsaved form values per persona
+    adminPersonaId: null,
+    personaDrafts: {},
+
     // DOM elements (cached)
     elements: {},
 
     /**
      * Initialize the UI and set up event listeners
      */
-    init() {
+    async init() {
+        // Open the storage engine (IndexedDB when available) before reading any data
+        await Storage.init();
+
         // Cache DOM elements
         this.cacheElements();
         
-        // Load current persona from storage
-        this.currentPersona = Storage.getCurrentPersona();
+        // A link or bookmark (the location hash) wins over the persona used last
+        const route = Router.resolve(window.location.hash || Router.build({ persona: Storage.getCurrentPersona() }));
+        this.currentPersona = route.persona;
         
         // Set up event listeners
         this.setupEventListeners();
         
-        // Load initial state
-        this.switchPersona(this.currentPersona);
-        
-        // Load settings
-        this.loadSettings();
+        // Load initial state, then follow the back and forward buttons
+        this.renderPersonaNav();
+        this.applyRoute(route);
+        Router.start(nextRoute => this.applyRoute(nextRoute));
+
+        // Messages queued before the last reload go out as soon as we're online
+        this.renderOutbox();
+        if (navigator.onLine) {
+            this.flushOutbox();
+        }
         
         console.log('ShlangeAI initialized successfully!');
     },
@@ -52,8 +112,12 @@ const UI = {
      */
     cacheElements() {
         this.elements = {
-            // Persona buttons
-            personaBtns: document.querySelectorAll('.persona-btn'),
+            // Persona buttons (generated from Storage)
+            personaNav: document.getElementById('personaNav'),
+
+            // Conversation threads
+            threadList: document.getElementById('threadList'),
+            newThreadBtn: document.getElementById('newThreadBtn'),
             
             // Chat area
             personaTitle: document.getElementById('personaTitle'),
@@ -61,6 +125,61 @@ const UI = {
             messagesContainer: document.getElementById('messagesContainer'),
             messageInput: document.getElementById('messageInput'),
             sendBtn: document.getElementById('sendBtn'),
+            stopBtn: document.getElementById('stopBtn'),
+            outboxBar: document.getElementById('outboxBar'),
+            outboxStatus: document.getElementById('outboxStatus'),
+            retryOutboxBtn: document.getElementById('retryOutboxBtn'),
+            discardOutboxBtn: document.getElementById('discardOutboxBtn'),
+
+            // Search
+            searchBtn: document.getElementById('searchBtn'),
+            searchPanel: document.getElementById('searchPanel'),
+            searchInput: document.getElementById('searchInput'),
+            closeSearchBtn: document.getElementById('closeSearchBtn'),
+            searchPersona: document.getElementById('searchPersona'),
+            searchRole: document.getElementById('searchRole'),
+            searchFrom: document.getElementById('searchFrom'),
+            searchTo: document.getElementById('searchTo'),
+            searchSummary: document.getElementById('searchSummary'),
+            searchResults: document.getElementById('searchResults'),
+
+            // Roundtable
+            roundtableBtn: document.getElementById('roundtableBtn'),
+            roundtablePanel: document.getElementById('roundtablePanel'),
+            closeRoundtableBtn: document.getElementById('closeRoundtableBtn'),
+            roundtablePersonas: document.getElementById('roundtablePersonas'),
+            roundtableInput: document.getElementById('roundtableInput'),
+            roundtableAskBtn: document.getElementById('roundtableAskBtn'),
+            roundtableStopBtn: document.getElementById('roundtableStopBtn'),
+            roundtableMessage: document.getElementById('roundtableMessage'),
+            roundtableColumns: document.getElementById('roundtableColumns'),
+
+            // Conversation export
+            exportChatBtn: document.getElementById('exportChatBtn'),
+            exportModal: document.getElementById('exportModal'),
+            closeExportBtn: document.getElementById('closeExportBtn'),
+            exportScopeInputs: document.querySelectorAll('input[name="exportScope"]'),
+            exportThreadTitle: document.getElementById('exportThreadTitle'),
+            exportPersonaName: document.getElementById('exportPersonaName'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportTimestamps: document.getElementById('exportTimestamps'),
+            exportRangeGroup: document.getElementById('exportRangeGroup'),
+            exportFrom: document.getElementById('exportFrom'),
+            exportTo: document.getElementById('exportTo'),
+            exportTotal: document.getElementById('exportTotal'),
+            exportMessage: document.getElementById('exportMessage'),
+            downloadExportBtn: document.getElementById('downloadExportBtn'),
+
+            // Conversation summary
+            summaryBtn: document.getElementById('summaryBtn'),
+            summaryModal: document.getElementById('summaryModal'),
+            closeSummaryBtn: document.getElementById('closeSummaryBtn'),
+            summaryMeta: document.getElementById('summaryMeta'),
+            summaryText: document.getElementById('summaryText'),
+            summaryMessage: document.getElementById('summaryMessage'),
+            resummarizeBtn: document.getElementById('resummarizeBtn'),
+            removeSummaryBtn: document.getElementById('removeSummaryBtn'),
+            saveSummaryBtn: document.getElementById('saveSummaryBtn'),
             clearChatBtn: document.getElementById('clearChatBtn'),
             
             // Admin modal
@@ -76,14 +195,72 @@ const UI = {
             adminLogoutBtn: document.getElementById('admin-logout-btn'),
             
             // Persona settings
+            adminPersonaSelect: document.getElementById('admin-persona-select'),
+            personaDirtyIndicator: document.getElementById('personaDirtyIndicator'),
+            resetPromptBtn: document.getElementById('resetPromptBtn'),
+            promptPreview: document.getElementById('promptPreview'),
+            promptPreviewMeta: document.getElementById('promptPreviewMeta'),
             companionName: document.getElementById('companion-name'),
             companionPersonality: document.getElementById('companion-personality'),
             companionTone: document.getElementById('companion-tone'),
             toneValue: document.getElementById('tone-value'),
             companionPrompt: document.getElementById('companion-prompt'),
+            companionContextBudget: document.getElementById('companion-context-budget'),
+            personaModel: document.getElementById('persona-model'),
+            parameterFields: document.querySelectorAll('[data-param]'),
+            temperatureField: document.getElementById('param-temperature'),
+            generationErrors: document.getElementById('generationErrors'),
+
+            // Persona management
+            personaAdminList: document.getElementById('personaAdminList'),
+            addPersonaBtn: document.getElementById('addPersonaBtn'),
+            personaEditor: document.getElementById('personaEditor'),
+            personaEditorTitle: document.getElementById('personaEditorTitle'),
+            personaEditId: document.getElementById('persona-edit-id'),
+            personaEditName: document.getElementById('persona-edit-name'),
+            personaEditIcon: document.getElementById('persona-edit-icon'),
+            personaEditDescription: document.getElementById('persona-edit-description'),
+            personaEditProvider: document.getElementById('persona-edit-provider'),
+            personaEditModel: document.getElementById('persona-edit-model'),
+            personaEditPrompt: document.getElementById('persona-edit-prompt'),
+            personaEditorError: document.getElementById('personaEditorError'),
+            savePersonaBtn: document.getElementById('savePersonaBtn'),
+            cancelPersonaBtn: document.getElementById('cancelPersonaBtn'),
+
+            // Backend persona sync
+            personaSyncStatus: document.getElementById('personaSyncStatus'),
+            syncPersonasBtn: document.getElementById('syncPersonasBtn'),
+            personaSyncConflicts: document.getElementById('personaSyncConflicts'),
             
+            // Request settings
+            requestTimeout: document.getElementById('request-timeout'),
+            requestRetries: document.getElementById('request-retries'),
+
+            // Usage dashboard
+            usagePeriod: document.getElementById('usagePeriod'),
+            usageBudgetStatus: document.getElementById('usageBudgetStatus'),
+            usageTotals: document.getElementById('usageTotals'),
+            usageByPersona: document.getElementById('usageByPersona'),
+            usageByModel: document.getElementById('usageByModel'),
+            usageByDay: document.getElementById('usageByDay'),
+            usagePriceRows: document.getElementById('usagePriceRows'),
+            usagePriceErrors: document.getElementById('usagePriceErrors'),
+            addUsagePriceBtn: document.getElementById('addUsagePriceBtn'),
+            resetUsagePricesBtn: document.getElementById('resetUsagePricesBtn'),
+            saveUsagePricesBtn: document.getElementById('saveUsagePricesBtn'),
+            usageSoftBudget: document.getElementById('usage-soft-budget'),
+            usageHardBudget: document.getElementById('usage-hard-budget'),
+
             // Action buttons
             exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+            importHistoryBtn: document.getElementById('importHistoryBtn'),
+            importFileInput: document.getElementById('importFileInput'),
+            importPreview: document.getElementById('importPreview'),
+            importFileName: document.getElementById('importFileName'),
+            importCounts: document.getElementById('importCounts'),
+            importErrors: document.getElementById('importErrors'),
+            confirmImportBtn: document.getElementById('confirmImportBtn'),
+            cancelImportBtn: document.getElementById('cancelImportBtn'),
             clearAllHistoryBtn: document.getElementById('clearAllHistoryBtn'),
             saveSettingsBtn: document.getElementById('saveSettingsBtn'),
             settingsSuccess: document.getElementById('settingsSuccess')
@@ -95,15 +272,19 @@ const UI = {
      */
     setupEventListeners() {
         // Persona switching
-        this.elements.personaBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const persona = btn.dataset.persona;
-                this.switchPersona(persona);
-            });
+        this.elements.personaNav.addEventListener('click', (e) => {
+            const btn = e.target.closest('.persona-btn');
+            if (btn) {
+                this.switchPersona(btn.dataset.persona);
+            }
         });
 
+        // Conversation threads
+        this.elements.newThreadBtn.addEventListener('click', () => this.createThread());
+
         // Send message
         this.elements.sendBtn.addEventListener('click', () => this.sendMessage());
+        this.elements.stopBtn.addEventListener('click', () => this.stopResponse());
         
         // Enter key to send message (Shift+Enter for new line)
         this.elements.messageInput.addEventListener('keydown', (e) => {
@@ -119,6 +300,107 @@ const UI = {
             this.elements.messageInput.style.height = this.elements.messageInput.scrollHeight + 'px';
         });
 
+        // Outbox: send queued messages when the connection returns, or on demand
+        this.elements.retryOutboxBtn.addEventListener('click', () => this.flushOutbox());
+        this.elements.discardOutboxBtn.addEventListener('click', () => this.discardOutbox());
+        window.addEventListener('online', () => this.flushOutbox());
+        window.addEventListener('offline', () => this.renderOutbox());
+
+        // Citation markers jump to their entry in the message's source list
+        this.elements.messagesContainer.addEventListener('click', (e) => {
+            const marker = e.target.closest('.citation-marker');
+            if (marker) {
+                this.showSource(marker.closest('.message'), parseInt(marker.dataset.citation, 10));
+            }
+        });
+
+        // Message actions: edit and resend, regenerate, and flip between alternatives
+        this.elements.messagesContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.message-action');
+            if (!button || button.disabled) {
+                return;
+            }
+            const messageDiv = button.closest('.message');
+            const messageId = messageDiv.dataset.messageId;
+            if (button.dataset.action === 'edit') {
+                this.editUserMessage(messageDiv);
+            } else if (button.dataset.action === 'regenerate') {
+                this.regenerateReply(messageId);
+            } else {
+                this.showAlternative(messageId, button.dataset.action === 'next-branch' ? 1 : -1);
+            }
+        });
+
+        // Search: results update while typing (debounced) and when a filter changes
+        this.elements.searchBtn.addEventListener('click', () => this.openSearch());
+        this.elements.closeSearchBtn.addEventListener('click', () => this.closeSearch());
+        this.elements.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(), 150);
+        });
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeSearch();
+            }
+        });
+        [
+            this.elements.searchPersona,
+            this.elements.searchRole,
+            this.elements.searchFrom,
+            this.elements.searchTo
+        ].forEach(input => input.addEventListener('change', () => this.runSearch()));
+        this.elements.searchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                this.openSearchResult(this.searchResults[parseInt(item.dataset.index, 10)]);
+            }
+        });
+
+        // Roundtable: one question to several personas, answered side by side
+        this.elements.roundtableBtn.addEventListener('click', () => this.openRoundtable());
+        this.elements.closeRoundtableBtn.addEventListener('click', () => this.closeRoundtable());
+        this.elements.roundtableAskBtn.addEventListener('click', () => this.askRoundtable());
+        this.elements.roundtableStopBtn.addEventListener('click', () => this.stopResponse());
+        this.elements.roundtableInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.askRoundtable();
+            } else if (e.key === 'Escape') {
+                this.closeRoundtable();
+            }
+        });
+        this.elements.roundtableColumns.addEventListener('click', (e) => {
+            const marker = e.target.closest('.citation-marker');
+            if (marker) {
+                this.showSource(marker.closest('.roundtable-column'), parseInt(marker.dataset.citation, 10));
+            }
+        });
+
+        // Conversation export
+        this.elements.exportChatBtn.addEventListener('click', () => this.openExportModal());
+        this.elements.closeExportBtn.addEventListener('click', () => this.closeExportModal());
+        this.elements.exportModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.exportModal) {
+                this.closeExportModal();
+            }
+        });
+        this.elements.exportScopeInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateExportRange());
+        });
+
+        // Conversation summary: view, edit, re-summarize or remove
+        this.elements.summaryBtn.addEventListener('click', () => this.openSummaryModal());
+        this.elements.closeSummaryBtn.addEventListener('click', () => this.closeSummaryModal());
+        this.elements.summaryModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.summaryModal) {
+                this.closeSummaryModal();
+            }
+        });
+        this.elements.saveSummaryBtn.addEventListener('click', () => this.saveSummary());
+        this.elements.resummarizeBtn.addEventListener('click', () => this.resummarize());
+        this.elements.removeSummaryBtn.addEventListener('click', () => this.removeSummary());
+        this.elements.downloadExportBtn.addEventListener('click', () => this.downloadExport());
+
         // Clear chat
         this.elements.clearChatBtn.addEventListener('click', () => this.clearCurrentChat());
 
@@ -133,66 +415,360 @@ const UI = {
             }
         });
 
+        // Persona settings: pick the persona to edit and track unsaved changes
+        this.elements.adminPersonaSelect.addEventListener('change', (e) => this.selectAdminPersona(e.target.value));
+        [
+            this.elements.companionName,
+            this.elements.companionPersonality,
+            this.elements.companionTone,
+            this.elements.companionPrompt,
+            this.elements.companionContextBudget,
+            this.elements.personaModel,
+            ...this.elements.parameterFields
+        ].forEach(input => input.addEventListener('input', () => this.updatePersonaDirtyState()));
+        this.elements.resetPromptBtn.addEventListener('click', () => this.resetPersonaPrompt());
+
         // Save settings
         this.elements.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
 
+        // Request timeout and retries apply as soon as they are changed
+        [this.elements.requestTimeout, this.elements.requestRetries].forEach(input => {
+            input.addEventListener('change', () => this.saveRequestSettings());
+        });
+
+        // Usage dashboard: period, price table and budgets
+        Object.keys(Usage.PERIODS).forEach(period => {
+            const option = document.createElement('option');
+            option.value = period;
+            option.textContent = Usage.PERIODS[period];
+            this.elements.usagePeriod.appendChild(option);
+        });
+        this.elements.usagePeriod.addEventListener('change', () => this.renderUsageDashboard());
+        this.elements.addUsagePriceBtn.addEventListener('click', () => this.addUsagePriceRow('', null).querySelector('input').focus());
+        this.elements.resetUsagePricesBtn.addEventListener('click', () => this.resetUsagePrices());
+        this.elements.saveUsagePricesBtn.addEventListener('click', () => this.saveUsagePrices());
+        this.elements.usagePriceRows.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.usage-price-remove');
+            if (removeBtn) {
+                removeBtn.closest('tr').remove();
+            }
+        });
+        [this.elements.usageSoftBudget, this.elements.usageHardBudget].forEach(input => {
+            input.addEventListener('change', () => this.saveUsageBudget());
+        });
+
+        // Persona management
+        this.elements.addPersonaBtn.addEventListener('click', () => this.openPersonaEditor(null));
+        this.elements.savePersonaBtn.addEventListener('click', () => this.savePersonaEditor());
+        this.elements.cancelPersonaBtn.addEventListener('click', () => this.closePersonaEditor());
+
+        // Backend persona sync: pull on unlock or on demand, and show progress and conflicts
+        this.elements.syncPersonasBtn.addEventListener('click', () => PersonaSync.sync());
+        window.addEventListener('admin-unlocked', () => PersonaSync.sync());
+        window.addEventListener('persona-sync', (e) => this.renderPersonaSync(e.detail));
+
         // Export history
         this.elements.exportHistoryBtn.addEventListener('click', () => this.exportHistory());
 
+        // Import backup
+        this.elements.importHistoryBtn.addEventListener('click', () => this.elements.importFileInput.click());
+        this.elements.importFileInput.addEventListener('change', (e) => this.previewImport(e.target.files[0]));
+        this.elements.confirmImportBtn.addEventListener('click', () => this.confirmImport());
+        this.elements.cancelImportBtn.addEventListener('click', () => this.resetImport());
+
         // Clear all history
         this.elements.clearAllHistoryBtn.addEventListener('click', () => this.clearAllHistory());
+
+        // Surface storage write failures instead of losing data silently
+        window.addEventListener('storage-write-error', (e) => {
+            this.appendMessage('ai', `❌ Could not save data (${e.detail.description}). Your browser storage may be full.`, new Date().toISOString(), true, { isError: true });
+        });
+
+        // Show what another open tab saved
+        window.addEventListener('storage-changed', () => this.refreshFromStorage());
+    },
+
+    /**
+     * Redraw personas, threads, the conversation and the outbox from Storage
+     * Used after another tab changed the data. A reply being streamed would be wiped by
+     * the redraw, so while one is coming in the redraw waits until it is done.
+     */
+    refreshFromStorage() {
+        if (this.isWaitingForResponse) {
+            this.storageChangedWhileBusy = true;
+            return;
+        }
+        this.storageChangedWhileBusy = false;
+
+        this.renderPersonaNav();
+        if (!Storage.hasPersona(this.currentPersona)) {
+            this.switchPersona(Storage.DEFAULT_PERSONA);
+        } else {
+            this.refreshPersonaHeader();
+            this.renderThreadList();
+            if (this.elements.roundtablePanel.style.display === 'none') {
+                this.loadChatHistory();
+            }
+        }
+        this.renderOutbox();
     },
 
     /**
      * Switch to a different persona
      * @param {string} persona - Persona identifier
      */
-    switchPersona(persona) {
+    switchPersona(persona, options = {}) {
+        if (!Storage.hasPersona(persona)) {
+            persona = Storage.DEFAULT_PERSONA;
+        }
         this.currentPersona = persona;
         Storage.setCurrentPersona(persona);
+        this.hideRoundtable();
+
+        // Update active button and header
+        this.refreshPersonaHeader();
+
+        // Show this persona's threads and the active thread's history
+        this.renderThreadList();
+        this.loadChatHistory();
+
+        if (!options.fromRoute) {
+            Router.navigate({ persona: persona });
+        }
+    },
+
+    /**
+     * Show what a route points at: a persona, one of its conversations, or a message
+     * @param {Object} route - Resolved route from Router.resolve
+     * @param {boolean} [addToHistory] - Add a history entry (for in-app navigation) instead
+     *     of replacing the current one with the route's canonical hash
+     */
+    async applyRoute(route, addToHistory = false) {
+        if (route.threadId && route.threadId !== Storage.getActiveThreadId(route.persona)) {
+            await Storage.setActiveThread(route.persona, route.threadId);
+        }
+        if (route.messageId && !Storage.getChatHistory(route.persona, route.threadId).some(message => message.id === route.messageId)) {
+            await Storage.switchBranch(route.persona, route.threadId, route.messageId);
+        }
+
+        this.switchPersona(route.persona, { fromRoute: true });
+        Router.navigate(route, !addToHistory);
 
-        // Update active button
-        this.elements.personaBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.persona === persona);
+        if (route.messageId) {
+            const messageDiv = [...this.elements.messagesContainer.querySelectorAll('.message')]
+                .find(div => div.dataset.messageId === route.messageId);
+            if (messageDiv) {
+                messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                messageDiv.classList.remove('search-hit');
+                void messageDiv.offsetWidth; // restart the highlight animation on repeated visits
+                messageDiv.classList.add('search-hit');
+            }
+        }
+    },
+
+    /**
+     * Build the sidebar persona buttons from Storage, in display order
+     */
+    renderPersonaNav() {
+        this.elements.personaNav.innerHTML = '';
+
+        Storage.getPersonas().forEach(persona => {
+            const btn = document.createElement('button');
+            btn.className = 'persona-btn';
+            btn.dataset.persona = persona.id;
+            btn.classList.toggle('active', persona.id === this.currentPersona);
+
+            const icon = document.createElement('span');
+            icon.className = 'icon';
+            icon.textContent = persona.icon;
+
+            const label = document.createElement('span');
+            label.className = 'label';
+            label.textContent = persona.name;
+
+            btn.appendChild(icon);
+            btn.appendChild(label);
+            this.elements.personaNav.appendChild(btn);
         });
+    },
 
-        // Update header
-        const config = API.getPersonaConfig(persona);
+    /**
+     * Update the active persona button and the chat header for the current persona
+     */
+    refreshPersonaHeader() {
+        this.elements.personaNav.querySelectorAll('.persona-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.persona === this.currentPersona);
+        });
+
+        const config = API.getPersonaConfig(this.currentPersona);
         this.elements.personaTitle.textContent = config.name;
         this.elements.personaDescription.textContent = config.description;
+    },
 
-        // Load chat history
-        this.loadChatHistory();
+    /**
+     * Render the thread list for the current persona
+     */
+    renderThreadList() {
+        const threads = Storage.getThreads(this.currentPersona);
+        const activeThreadId = Storage.getActiveThreadId(this.currentPersona);
+        this.elements.threadList.innerHTML = '';
+
+        threads.forEach(thread => {
+            const item = document.createElement('li');
+            item.className = 'thread-item';
+            item.classList.toggle('active', thread.id === activeThreadId);
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'thread-open-btn';
+            openBtn.textContent = thread.title;
+            openBtn.title = `${thread.title} — ${thread.messages.length} messages`;
+            openBtn.addEventListener('click', () => this.switchThread(thread.id));
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'thread-action-btn';
+            renameBtn.textContent = '✏️';
+            renameBtn.title = 'Rename conversation';
+            renameBtn.addEventListener('click', () => this.renameThread(thread.id, thread.title));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'thread-action-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete conversation';
+            deleteBtn.addEventListener('click', () => this.deleteThread(thread.id, thread.title));
+
+            item.appendChild(openBtn);
+            item.appendChild(renameBtn);
+            item.appendChild(deleteBtn);
+            this.elements.threadList.appendChild(item);
+        });
+    },
+
+    /**
+     * Switch to another thread of the current persona
+     * @param {string} threadId - Thread id
+     */
+    async switchThread(threadId) {
+        if (await Storage.setActiveThread(this.currentPersona, threadId)) {
+            this.hideRoundtable();
+            this.renderThreadList();
+            this.loadChatHistory();
+            Router.navigate({ persona: this.currentPersona, threadId: threadId });
+        }
+    },
+
+    /**
+     * Start a new thread for the current persona
+     */
+    async createThread() {
+        if (await Storage.createThread(this.currentPersona)) {
+            this.hideRoundtable();
+            this.renderThreadList();
+            this.loadChatHistory();
+            Router.navigate({ persona: this.currentPersona, threadId: Storage.getActiveThreadId(this.currentPersona) });
+            this.elements.messageInput.focus();
+        }
+    },
+
+    /**
+     * Rename a thread of the current persona
+     * @param {string} threadId - Thread id
+     * @param {string} currentTitle - Current title, pre-filled in the prompt
+     */
+    async renameThread(threadId, currentTitle) {
+        const title = prompt('Rename conversation:', currentTitle);
+        if (title && title.trim() && await Storage.renameThread(this.currentPersona, threadId, title)) {
+            this.renderThreadList();
+        }
+    },
+
+    /**
+     * Delete a thread of the current persona
+     * @param {string} threadId - Thread id
+     * @param {string} title - Thread title, shown in the confirmation
+     */
+    async deleteThread(threadId, title) {
+        if (confirm(`Delete the conversation "${title}"? This cannot be undone!`)) {
+            await Storage.deleteThread(this.currentPersona, threadId);
+            this.renderThreadList();
+            this.loadChatHistory();
+
+            // A link to the deleted conversation would lead nowhere
+            Router.navigate({ persona: this.currentPersona }, true);
+        }
     },
 
     /**
      * Load chat history for current persona
+     * @param {Array} [messages] - Branch to show (defaults to the thread's active branch)
      */
-    loadChatHistory() {
-        const history = Storage.getChatHistory(this.currentPersona);
+    loadChatHistory(messages) {
+        const history = messages || Storage.getChatHistory(this.currentPersona);
+        const alternatives = Storage.getBranchAlternatives(this.currentPersona);
         this.elements.messagesContainer.innerHTML = '';
 
         if (history.length === 0) {
             this.showWelcomeMessage();
         } else {
             history.forEach(msg => {
-                this.appendMessage(msg.type, msg.text, msg.timestamp, false);
+                this.appendMessage(msg.type, msg.text, msg.timestamp, false, {
+                    incomplete: msg.incomplete,
+                    pending: msg.pending,
+                    sendError: msg.sendError,
+                    sources: msg.sources,
+                    usage: msg.usage,
+                    roundtable: msg.roundtable,
+                    id: msg.id,
+                    alternative: alternatives[msg.id]
+                });
             });
+            this.renderSummaryMarker();
             this.scrollToBottom();
         }
     },
 
+    /**
+     * Mark where the rolling summary ends in the shown conversation
+     * Nothing is shown if the summary belongs to another branch or covers every shown message.
+     */
+    renderSummaryMarker() {
+        const container = this.elements.messagesContainer;
+        const existing = container.querySelector('.summary-marker');
+        if (existing) {
+            existing.remove();
+        }
+
+        const summary = Storage.getThreadSummary(this.currentPersona);
+        const lastSummarized = summary && [...container.querySelectorAll('.message')]
+            .find(div => div.dataset.messageId === summary.throughId);
+        if (!lastSummarized || !lastSummarized.nextElementSibling) {
+            return;
+        }
+
+        const marker = document.createElement('button');
+        marker.className = 'summary-marker';
+        marker.textContent = '📝 Messages above are summarized for the AI · View summary';
+        marker.addEventListener('click', () => this.openSummaryModal());
+        lastSummarized.after(marker);
+    },
+
     /**
      * Show welcome message
      */
     showWelcomeMessage() {
         const config = API.getPersonaConfig(this.currentPersona);
-        this.elements.messagesContainer.innerHTML = `
-            <div class="welcome-message">
-                <h3>${config.icon} Welcome to ${config.name}!</h3>
-                <p>${config.description}</p>
-            </div>
-        `;
+
+        // Persona fields are user data (admin edits, imports, sync), so they are set as text
+        const welcome = document.createElement('div');
+        welcome.className = 'welcome-message';
+        const heading = document.createElement('h3');
+        heading.textContent = `${config.icon} Welcome to ${config.name}!`;
+        const description = document.createElement('p');
+        description.textContent = config.description;
+        welcome.appendChild(heading);
+        welcome.appendChild(description);
+
+        this.elements.messagesContainer.innerHTML = '';
+        this.elements.messagesContainer.appendChild(welcome);
     },
 
     /**
@@ -201,7 +777,7 @@ const UI = {
     async sendMessage() {
         const text = this.elements.messageInput.value.trim();
         
-        if (!text || this.isWaitingForResponse) {
+        if (!text || this.isWaitingForResponse || !this.checkUsageBudget()) {
             return;
         }
 
@@ -209,75 +785,557 @@ const UI = {
         this.elements.messageInput.value = '';
         this.elements.messageInput.style.height = 'auto';
 
-        // Create message object
+        // Remember which persona and thread this exchange belongs to, in case the user switches mid-stream
+        const persona = this.currentPersona;
+        const threadId = Storage.getActiveThreadId(persona);
+
+        // Capture prior turns before the new message is stored
+        await this.submitUserMessage(persona, threadId, text, Storage.getChatHistory(persona, threadId));
+    },
+
+    /**
+     * Store a user message and get the reply, or queue it in the outbox
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread to add to
+     * @param {string} text - Message text
+     * @param {Array} history - Turns the message follows (its branch of the conversation)
+     * @param {Object} [fields] - Extra message fields (e.g. parentId for an edited question)
+     */
+    async submitUserMessage(persona, threadId, text, history, fields = {}) {
         const timestamp = new Date().toISOString();
         const userMessage = {
+            ...fields,
+            id: Storage.generateId('msg'),
             type: 'user',
             text: text,
             timestamp: timestamp
         };
 
-        // Save and display user message
-        Storage.saveMessage(this.currentPersona, userMessage);
-        this.appendMessage('user', text, timestamp);
+        // Queued questions have no answer yet, so they are left out of the context
+        const context = history.filter(message => !message.pending);
+
+        // Offline, or behind messages still queued for this persona: queue it so replies keep their order
+        if (!navigator.onLine || Storage.getOutbox().some(entry => entry.persona === persona)) {
+            const pendingMessage = { ...userMessage, pending: true };
+            if (!await Storage.saveMessage(persona, pendingMessage, threadId)) {
+                this.reportUnsavedMessage(persona, threadId, pendingMessage);
+                return;
+            }
+            await Storage.queueOutboxMessage(persona, threadId, pendingMessage, navigator.onLine ? null : 'You are offline.');
+            this.loadChatHistory();
+            this.renderThreadList();
+            this.renderOutbox();
+            if (navigator.onLine) {
+                this.flushOutbox();
+            }
+            return;
+        }
+
+        // Save and display user message (an edited question shows its alternatives);
+        // one that could not be stored is not sent, so its reply cannot be lost either
+        if (!await Storage.saveMessage(persona, userMessage, threadId)) {
+            this.reportUnsavedMessage(persona, threadId, userMessage);
+            return;
+        }
+        const userMessageDiv = this.appendMessage('user', text, timestamp, true, {
+            id: userMessage.id,
+            alternative: Storage.getBranchAlternatives(persona, threadId)[userMessage.id]
+        });
+        this.renderThreadList();
+
+        await this.requestReply(persona, threadId, userMessage, context, userMessageDiv);
+    },
+
+    /**
+     * Show that a message was not sent because it could not be stored
+     * A message the engine failed to write may still be held in memory; it is marked as
+     * not sent, like a rejected one, so it is neither sent later nor used as context.
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread it was added to
+     * @param {Object} message - The user message
+     */
+    reportUnsavedMessage(persona, threadId, message) {
+        const reason = 'It could not be saved. Your browser storage may be full.';
+        Storage.updateMessage(persona, threadId, message.id, { pending: undefined, sendError: reason });
+        this.loadChatHistory();
+
+        // Nothing was kept at all: say why and give the text back
+        if (!Storage.getMessagePath(persona, threadId, message.id)) {
+            this.appendMessage('ai', `❌ Not sent: ${reason}`, new Date().toISOString(), true, { isError: true });
+            if (!this.elements.messageInput.value.trim()) {
+                this.elements.messageInput.value = message.text;
+            }
+        }
+    },
+
+    /**
+     * Regenerate an AI reply; the new reply is kept as an alternative next to the old one
+     * @param {string} messageId - Id of the reply to regenerate
+     */
+    async regenerateReply(messageId) {
+        const persona = this.currentPersona;
+        const threadId = Storage.getActiveThreadId(persona);
+        const path = Storage.getMessagePath(persona, threadId, messageId);
+        const question = path && path[path.length - 2];
+        if (this.isWaitingForResponse || !question || question.type !== 'user' || !this.checkUsageBudget()) {
+            return;
+        }
+
+        // Show the conversation up to the question while the new reply comes in
+        const questionPath = path.slice(0, -1);
+        this.loadChatHistory(questionPath);
+        await this.requestReply(persona, threadId, question, questionPath.slice(0, -1));
+    },
+
+    /**
+     * Turn a user message into an editor; sending it starts a new branch from that point
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     */
+    editUserMessage(messageDiv) {
+        const persona = this.currentPersona;
+        const threadId = Storage.getActiveThreadId(persona);
+        const path = Storage.getMessagePath(persona, threadId, messageDiv.dataset.messageId);
+        if (this.isWaitingForResponse || !path || messageDiv.querySelector('.message-editor')) {
+            return;
+        }
+        const original = path[path.length - 1];
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        const input = document.createElement('textarea');
+        input.value = original.text;
+        input.rows = Math.min(8, original.text.split('\n').length + 1);
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'primary-btn';
+        sendBtn.textContent = 'Send';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'secondary-btn';
+        cancelBtn.textContent = 'Cancel';
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-actions';
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(sendBtn);
+        editor.appendChild(input);
+        editor.appendChild(buttons);
+
+        const content = messageDiv.querySelector('.message-content');
+        content.classList.add('editing');
+        content.appendChild(editor);
+        input.focus();
+
+        cancelBtn.addEventListener('click', () => {
+            editor.remove();
+            content.classList.remove('editing');
+        });
+        sendBtn.addEventListener('click', () => {
+            const text = input.value.trim();
+            if (!text || this.isWaitingForResponse || !this.checkUsageBudget()) {
+                return;
+            }
+
+            // The edited question is a sibling of the original, so it answers from the same point
+            const history = path.slice(0, -1);
+            const parent = history[history.length - 1];
+            this.loadChatHistory(history);
+            this.submitUserMessage(persona, threadId, text, history, { parentId: parent ? parent.id : null });
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                sendBtn.click();
+            } else if (e.key === 'Escape') {
+                cancelBtn.click();
+            }
+        });
+    },
+
+    /**
+     * Show the previous or next alternative of a message
+     * @param {string} messageId - Shown message
+     * @param {number} offset - -1 for the previous alternative, 1 for the next
+     */
+    async showAlternative(messageId, offset) {
+        if (this.isWaitingForResponse) {
+            return;
+        }
+        const threadId = Storage.getActiveThreadId(this.currentPersona);
+        const alternative = Storage.getBranchAlternatives(this.currentPersona, threadId)[messageId];
+        const targetId = alternative && alternative.ids[alternative.index + offset];
+        if (targetId && await Storage.switchBranch(this.currentPersona, threadId, targetId)) {
+            this.loadChatHistory();
+        }
+    },
 
-        // Show typing indicator
-        this.isWaitingForResponse = true;
-        this.elements.sendBtn.disabled = true;
+    /**
+     * Get the AI reply to a stored user message and save it as that message's reply
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread holding the question
+     * @param {Object} userMessage - The stored question (with id and text)
+     * @param {Array} history - Turns before the question, sent as context
+     * @param {HTMLElement} [userMessageDiv] - The question's element; when given, a temporary
+     *     failure queues the question in the outbox instead of showing an error
+     */
+    async requestReply(persona, threadId, userMessage, history, userMessageDiv) {
+        // Show typing indicator; Stop replaces Send until the reply is done
+        this.setWaitingForResponse(true);
         this.showTypingIndicator();
 
+        // Streamed replies render into this bubble as tokens arrive, at most once per frame
+        let streamingMessage = null;
+        let latestText = '';
+        let renderScheduled = false;
+        const aiTimestamp = new Date().toISOString();
+        const stream = Storage.getSettings().streamResponses !== false;
+
         try {
             // Get AI response
-            const result = await API.getResponse(this.currentPersona, text);
+            const result = await API.getResponse(persona, userMessage.text, {
+                history,
+                summary: Storage.getThreadSummary(persona, threadId),
+                stream,
+                signal: this.abortController.signal,
+                onRetry: (retry) => this.showRetryStatus(retry),
+                onChunk: (delta, fullText) => {
+                    if (!streamingMessage) {
+                        this.hideTypingIndicator();
+                        streamingMessage = this.appendMessage('ai', '', aiTimestamp, true);
+                        streamingMessage.classList.add('streaming');
+                    }
+                    latestText = fullText;
+                    if (!renderScheduled) {
+                        renderScheduled = true;
+                        requestAnimationFrame(() => {
+                            renderScheduled = false;
+                            this.updateMessageText(streamingMessage, latestText);
+                        });
+                    }
+                }
+            });
             const aiResponse = typeof result === 'string' ? result : result.response;
+            const sources = (result && result.sources) || [];
             
             // Remove typing indicator
             this.hideTypingIndicator();
 
-            // Create AI message object
-            const aiTimestamp = new Date().toISOString();
+            // Create AI message object, with the tokens it used for the usage dashboard
             const aiMessage = {
+                id: Storage.generateId('msg'),
                 type: 'ai',
                 text: aiResponse,
-                timestamp: aiTimestamp
+                timestamp: aiTimestamp,
+                parentId: userMessage.id,
+                usage: result.usage,
+                model: result.model
             };
+            if (sources.length > 0) {
+                aiMessage.sources = sources;
+            }
+
+            // Save the final text once, then display it (or finalize the streamed bubble)
+            await Storage.saveMessage(persona, aiMessage, threadId);
+            const alternative = Storage.getBranchAlternatives(persona, threadId)[aiMessage.id];
+            if (streamingMessage) {
+                streamingMessage.classList.remove('streaming');
+                this.renderSources(streamingMessage, sources);
+                this.updateMessageText(streamingMessage, aiResponse);
+                this.renderUsage(streamingMessage, aiMessage.usage);
+                this.renderMessageActions(streamingMessage, aiMessage.id, alternative);
+            } else {
+                this.appendMessage('ai', aiResponse, aiTimestamp, true, {
+                    sources,
+                    usage: aiMessage.usage,
+                    id: aiMessage.id,
+                    alternative
+                });
+            }
 
-            // Save and display AI message
-            Storage.saveMessage(this.currentPersona, aiMessage);
-            this.appendMessage('ai', aiResponse, aiTimestamp, true);
+            // Condense older turns in the background once the conversation gets long
+            this.compactThread(persona, threadId);
 
         } catch (error) {
             console.error('Error getting AI response:', error);
             this.hideTypingIndicator();
+
+            // Keep whatever part of a broken stream already arrived, marked as incomplete
+            if (error.partialResponse) {
+                const partialSources = error.partialSources || [];
+                const partialMessage = {
+                    id: Storage.generateId('msg'),
+                    type: 'ai',
+                    text: error.partialResponse,
+                    timestamp: aiTimestamp,
+                    parentId: userMessage.id,
+                    incomplete: true
+                };
+                if (partialSources.length > 0) {
+                    partialMessage.sources = partialSources;
+                }
+                if (error.usage) {
+                    partialMessage.usage = error.usage;
+                    partialMessage.model = error.model;
+                }
+                await Storage.saveMessage(persona, partialMessage, threadId);
+                const alternative = Storage.getBranchAlternatives(persona, threadId)[partialMessage.id];
+
+                if (streamingMessage) {
+                    streamingMessage.classList.remove('streaming');
+                    this.renderSources(streamingMessage, partialSources);
+                    this.updateMessageText(streamingMessage, error.partialResponse);
+                    this.renderUsage(streamingMessage, partialMessage.usage);
+                    this.markIncomplete(streamingMessage);
+                    this.renderMessageActions(streamingMessage, partialMessage.id, alternative);
+                } else {
+                    this.appendMessage('ai', error.partialResponse, aiTimestamp, true, {
+                        incomplete: true,
+                        sources: partialSources,
+                        usage: partialMessage.usage,
+                        id: partialMessage.id,
+                        alternative
+                    });
+                }
+            } else if (streamingMessage) {
+                streamingMessage.remove();
+            }
+
+            // A failed regeneration goes back to showing the reply it was meant to replace
+            if (!userMessageDiv && !error.partialResponse) {
+                this.loadChatHistory();
+            }
+
+            // Temporary failures leave a new question in the outbox, to be sent again when possible
+            if (userMessageDiv && error.retryable && !error.partialResponse) {
+                await Storage.updateMessage(persona, threadId, userMessage.id, { pending: true });
+                await Storage.queueOutboxMessage(persona, threadId, userMessage, error.message);
+                this.markPending(userMessageDiv, error.message);
+                this.renderOutbox();
+                return;
+            }
             
-            // Display the error message from the API
+            // Display the error message from the API (stopping on purpose is not an error)
             // Note: Error messages are NOT saved to storage as they are temporary and session-specific
-            const errorMessage = error.message || 'Sorry, I encountered an error. Please try again.';
-            this.appendMessage('ai', '❌ ' + errorMessage, new Date().toISOString());
+            if (!error.aborted) {
+                const errorMessage = error.message || 'Sorry, I encountered an error. Please try again.';
+                this.appendMessage('ai', '❌ ' + errorMessage, new Date().toISOString(), true, { isError: true });
+            }
         } finally {
-            this.isWaitingForResponse = false;
-            this.elements.sendBtn.disabled = false;
+            this.setWaitingForResponse(false);
             this.elements.messageInput.focus();
+            this.renderThreadList();
         }
     },
 
     /**
-     * Append a message to the chat
-     * @param {string} type - Message type ('user' or 'ai')
-     * @param {string} text - Message text
-     * @param {string} timestamp - ISO timestamp
-     * @param {boolean} shouldScroll - Whether to scroll to bottom
+     * Summarize a thread's older turns if it has outgrown its context budget
+     * Runs in the background; a failure only means the next reply sees fewer old turns.
+     * @param {string} persona - Persona identifier
+     * @param {string} threadId - Thread id
      */
-    appendMessage(type, text, timestamp, shouldScroll = true) {
-        // Remove welcome message if it exists
-        const welcomeMsg = this.elements.messagesContainer.querySelector('.welcome-message');
-        if (welcomeMsg) {
-            welcomeMsg.remove();
+    async compactThread(persona, threadId) {
+        if (Usage.checkBudget().status === 'blocked') {
+            return;
+        }
+        try {
+            const summary = await Summarizer.compact(persona, threadId);
+            if (summary && persona === this.currentPersona && threadId === Storage.getActiveThreadId(persona)) {
+                this.renderSummaryMarker();
+            }
+        } catch (error) {
+            console.warn(`[UI] Could not summarize older messages for ${persona}:`, error);
+        }
+    },
+
+    /**
+     * Enter or leave the waiting state: Stop replaces Send while a request is in flight
+     * @param {boolean} waiting - Whether a request is starting (true) or finished (false)
+     */
+    setWaitingForResponse(waiting) {
+        this.isWaitingForResponse = waiting;
+        this.abortController = waiting ? new AbortController() : null;
+        this.elements.sendBtn.disabled = waiting;
+        this.elements.sendBtn.style.display = waiting ? 'none' : '';
+        this.elements.stopBtn.style.display = waiting ? '' : 'none';
+        this.elements.retryOutboxBtn.disabled = waiting;
+        this.elements.discardOutboxBtn.disabled = waiting;
+        this.elements.roundtableAskBtn.disabled = waiting;
+        this.elements.roundtableAskBtn.style.display = waiting ? 'none' : '';
+        this.elements.roundtableStopBtn.style.display = waiting ? '' : 'none';
+        if (!waiting && this.storageChangedWhileBusy) {
+            this.refreshFromStorage();
+        }
+    },
+
+    /**
+     * Send queued messages, oldest first
+     * A temporary failure holds back that persona's later messages so replies stay in
+     * order; other personas' messages still go out. A permanent failure (e.g. a rejected
+     * request) takes the message out of the outbox and marks it as not sent.
+     */
+    async flushOutbox() {
+        if (this.isWaitingForResponse || Storage.getOutbox().length === 0) {
+            this.renderOutbox();
+            return;
+        }
+
+        this.setWaitingForResponse(true);
+        const blocked = new Set();
+        let sent = 0;
+
+        try {
+            for (const entry of Storage.getOutbox()) {
+                if (blocked.has(entry.persona)) {
+                    continue;
+                }
+                if (!this.checkUsageBudget()) {
+                    break;
+                }
+
+                // The question may have been deleted along with its conversation
+                const path = Storage.getMessagePath(entry.persona, entry.threadId, entry.messageId);
+                if (!path) {
+                    await Storage.removeOutboxEntry(entry.id);
+                    continue;
+                }
+
+                const visible = entry.persona === this.currentPersona &&
+                    entry.threadId === Storage.getActiveThreadId(this.currentPersona);
+                if (visible) {
+                    this.showTypingIndicator();
+                }
+
+                try {
+                    const result = await API.getResponse(entry.persona, entry.text, {
+                        history: path.slice(0, -1).filter(message => !message.pending),
+                        summary: Storage.getThreadSummary(entry.persona, entry.threadId),
+                        signal: this.abortController.signal,
+                        onRetry: visible ? (retry) => this.showRetryStatus(retry) : null
+                    });
+
+                    const aiMessage = {
+                        type: 'ai',
+                        text: result.response,
+                        timestamp: new Date().toISOString(),
+                        usage: result.usage,
+                        model: result.model
+                    };
+                    if (result.sources.length > 0) {
+                        aiMessage.sources = result.sources;
+                    }
+                    // A question queued from a roundtable gets a reply that belongs to it too
+                    if (path[path.length - 1].roundtable) {
+                        aiMessage.roundtable = path[path.length - 1].roundtable;
+                    }
+                    await Storage.insertMessageAfter(entry.persona, entry.threadId, entry.messageId, aiMessage);
+                    await Storage.updateMessage(entry.persona, entry.threadId, entry.messageId, { pending: undefined });
+                    await Storage.removeOutboxEntry(entry.id);
+                    this.compactThread(entry.persona, entry.threadId);
+                    sent++;
+                } catch (error) {
+                    if (error.aborted) {
+                        break;
+                    }
+                    console.warn(`[UI] Could not send queued message for ${entry.persona}:`, error);
+                    if (error.retryable) {
+                        await Storage.updateOutboxEntry(entry.id, { attempts: entry.attempts + 1, lastError: error.message });
+                        blocked.add(entry.persona);
+                    } else {
+                        await this.dropOutboxEntry(entry, error.message || 'The request was rejected.');
+                    }
+                } finally {
+                    this.hideTypingIndicator();
+                    if (visible) {
+                        this.loadChatHistory();
+                    }
+                }
+            }
+        } finally {
+            this.setWaitingForResponse(false);
+            this.renderThreadList();
+            this.renderOutbox();
+        }
+
+        if (sent > 0) {
+            console.log(`[UI] Sent ${sent} queued message(s)`);
+        }
+    },
+
+    /**
+     * Take a message out of the outbox, keeping it in its conversation marked as not sent
+     * (left out of the context of later requests; editing it sends it again)
+     * @param {Object} entry - Outbox entry
+     * @param {string} reason - Why it was not sent
+     * @returns {Promise<boolean>} Whether the change was stored
+     */
+    async dropOutboxEntry(entry, reason) {
+        const marked = await Storage.updateMessage(entry.persona, entry.threadId, entry.messageId, { pending: undefined, sendError: reason });
+        const removed = await Storage.removeOutboxEntry(entry.id);
+        return marked && removed;
+    },
+
+    /**
+     * Give up on every queued message, after confirmation
+     */
+    async discardOutbox() {
+        const outbox = Storage.getOutbox();
+        if (this.isWaitingForResponse || outbox.length === 0) {
+            return;
+        }
+        const count = `${outbox.length} queued message${outbox.length === 1 ? '' : 's'}`;
+        if (!confirm(`Discard ${count}? They stay in their conversations, marked as not sent.`)) {
+            return;
+        }
+        for (const entry of outbox) {
+            await this.dropOutboxEntry(entry, 'Discarded from the outbox.');
+        }
+        this.loadChatHistory();
+        this.renderOutbox();
+    },
+
+    /**
+     * Show how many messages are waiting to be sent, with Discard and Retry All buttons
+     */
+    renderOutbox() {
+        const count = Storage.getOutbox().length;
+        this.elements.outboxBar.style.display = count > 0 ? '' : 'none';
+
+        const waiting = `${count} message${count === 1 ? '' : 's'} waiting to send`;
+        this.elements.outboxStatus.textContent = navigator.onLine
+            ? waiting
+            : `📴 You are offline. ${waiting} when the connection returns.`;
+    },
+
+    /**
+     * Append a message to the chat
+     * @param {string} type - Message type ('user' or 'ai')
+     * @param {string} text - Message text
+     * @param {string} timestamp - ISO timestamp
+     * @param {boolean} shouldScroll - Whether to scroll to bottom
+     * @param {Object} [options] - Extra display options
+     * @param {boolean} [options.incomplete] - Mark the message as an interrupted reply
+     * @param {boolean} [options.pending] - Mark the message as queued in the outbox
+     * @param {string} [options.sendError] - Mark the message as not sent, for this reason
+     * @param {boolean} [options.isError] - Show as a plain-text error bubble
+     * @param {Array} [options.sources] - Web sources ({ url, title, date }) cited by [n] markers
+     * @param {Object} [options.usage] - Token usage of an AI reply, shown next to the time
+     * @param {string} [options.roundtable] - Roundtable id; the message is labelled as part of one
+     * @param {string} [options.id] - Stored message id; adds the Edit or Regenerate action
+     *     unless the message is pending
+     * @param {Object} [options.alternative] - { ids, index } from Storage.getBranchAlternatives
+     * @returns {HTMLElement} The message element
+     */
+    appendMessage(type, text, timestamp, shouldScroll = true, options = {}) {
+        // Remove welcome message if it exists
+        const welcomeMsg = this.elements.messagesContainer.querySelector('.welcome-message');
+        if (welcomeMsg) {
+            welcomeMsg.remove();
+        }
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+        messageDiv.classList.toggle('error', Boolean(options.isError));
+        if (options.id) {
+            messageDiv.dataset.messageId = options.id;
         }
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${type}`;
-
         const avatar = document.createElement('div');
         avatar.className = 'message-avatar';
         avatar.textContent = type === 'user' ? '👤' : API.getPersonaConfig(this.currentPersona).icon;
@@ -287,7 +1345,6 @@ const UI = {
 
         const textDiv = document.createElement('div');
         textDiv.className = 'message-text';
-        textDiv.textContent = text;
 
         const time = document.createElement('div');
         time.className = 'message-time';
@@ -299,11 +1356,293 @@ const UI = {
         messageDiv.appendChild(avatar);
         messageDiv.appendChild(content);
 
+        // Sources first, so the text can link its [n] markers to them
+        this.renderSources(messageDiv, options.sources);
+        this.renderMessageText(textDiv, type, text, options.isError, this.getSourceCount(messageDiv));
+
+        if (options.usage) {
+            this.renderUsage(messageDiv, options.usage);
+        }
+        if (options.roundtable) {
+            const label = document.createElement('span');
+            label.className = 'message-roundtable';
+            label.textContent = ' · 👥 Roundtable';
+            label.title = 'Asked to several personas at once';
+            time.appendChild(label);
+        }
+        if (options.incomplete) {
+            this.markIncomplete(messageDiv);
+        }
+        if (options.sendError) {
+            this.markSendFailed(messageDiv, options.sendError);
+        }
+        if (options.pending) {
+            this.markPending(messageDiv);
+        } else if (options.id) {
+            this.renderMessageActions(messageDiv, options.id, options.alternative);
+        }
+
         this.elements.messagesContainer.appendChild(messageDiv);
 
         if (shouldScroll) {
             this.scrollToBottom();
         }
+
+        return messageDiv;
+    },
+
+    /**
+     * Replace the text of a rendered message (used while streaming)
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {string} text - New message text
+     */
+    updateMessageText(messageDiv, text) {
+        const textDiv = messageDiv.querySelector('.message-text');
+        if (textDiv) {
+            const type = messageDiv.classList.contains('user') ? 'user' : 'ai';
+            this.renderMessageText(textDiv, type, text, false, this.getSourceCount(messageDiv));
+        }
+
+        // Only follow the stream if the user hasn't scrolled up to read
+        const container = this.elements.messagesContainer;
+        if (container.scrollHeight - container.scrollTop - container.clientHeight < 80) {
+            this.scrollToBottom();
+        }
+    },
+
+    /**
+     * Fill a message text element: AI replies are rendered as sanitized Markdown,
+     * user messages and error bubbles as plain text
+     * @param {HTMLElement} textDiv - The .message-text element
+     * @param {string} type - Message type ('user' or 'ai')
+     * @param {string} text - Message text
+     * @param {boolean} isError - Whether this is an error bubble
+     * @param {number} [citationCount] - Number of sources the reply's [n] markers may cite
+     */
+    renderMessageText(textDiv, type, text, isError, citationCount = 0) {
+        if (type === 'ai' && !isError) {
+            textDiv.classList.add('markdown');
+            textDiv.replaceChildren(Markdown.render(text, { citationCount }));
+        } else {
+            textDiv.textContent = text;
+        }
+    },
+
+    /**
+     * Add a collapsible, numbered source list under a rendered reply
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {Array} [sources] - Web sources ({ url, title, date }); nothing is shown if empty
+     */
+    renderSources(messageDiv, sources) {
+        const content = messageDiv.querySelector('.message-content');
+        if (!content || !Array.isArray(sources) || sources.length === 0) {
+            return;
+        }
+
+        const details = document.createElement('details');
+        details.className = 'message-sources';
+
+        const summary = document.createElement('summary');
+        summary.textContent = `Sources (${sources.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ol');
+        sources.forEach((source, index) => {
+            const item = document.createElement('li');
+            item.dataset.citation = String(index + 1);
+
+            const href = Markdown.safeUrl(source.url);
+            const title = source.title || source.url;
+            let label;
+            if (href) {
+                label = document.createElement('a');
+                label.href = href;
+                label.target = '_blank';
+                label.rel = 'noopener noreferrer nofollow';
+                label.textContent = title;
+            } else {
+                label = document.createElement('span');
+                label.textContent = title;
+            }
+            item.appendChild(label);
+
+            const meta = document.createElement('span');
+            meta.className = 'source-meta';
+            try {
+                meta.textContent = new URL(source.url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                meta.textContent = '';
+            }
+            if (source.date) {
+                meta.textContent += meta.textContent ? ` · ${source.date}` : source.date;
+            }
+            if (meta.textContent) {
+                item.appendChild(meta);
+            }
+
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        const existing = content.querySelector('.message-sources');
+        if (existing) {
+            existing.replaceWith(details);
+        } else {
+            content.insertBefore(details, content.querySelector('.message-time'));
+        }
+        messageDiv.dataset.sourceCount = String(sources.length);
+    },
+
+    /**
+     * Show a reply's token count next to its time
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {Object} [usage] - { promptTokens, completionTokens, totalTokens, estimated }
+     */
+    renderUsage(messageDiv, usage) {
+        const time = messageDiv.querySelector('.message-time');
+        if (!time || !usage) {
+            return;
+        }
+        const label = time.querySelector('.message-usage') || document.createElement('span');
+        label.className = 'message-usage';
+        label.textContent = ` · ${usage.estimated ? '~' : ''}${usage.totalTokens.toLocaleString()} tokens`;
+        label.title = `${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion tokens` +
+            (usage.estimated ? ' (estimated; the provider did not report usage)' : '');
+        time.appendChild(label);
+    },
+
+    /**
+     * Number of sources attached to a rendered message
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @returns {number} Source count (0 if none)
+     */
+    getSourceCount(messageDiv) {
+        return parseInt(messageDiv.dataset.sourceCount, 10) || 0;
+    },
+
+    /**
+     * Open a message's source list and briefly highlight entry n
+     * @param {HTMLElement} messageDiv - Message element containing the marker
+     * @param {number} number - 1-based source number
+     */
+    showSource(messageDiv, number) {
+        const details = messageDiv && messageDiv.querySelector('.message-sources');
+        const item = details && details.querySelector(`li[data-citation="${number}"]`);
+        if (!item) {
+            return;
+        }
+
+        details.open = true;
+        item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        item.classList.remove('highlighted');
+        void item.offsetWidth; // restart the highlight animation on repeated clicks
+        item.classList.add('highlighted');
+    },
+
+    /**
+     * Mark a rendered message as an incomplete (interrupted) reply
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     */
+    markIncomplete(messageDiv) {
+        messageDiv.classList.add('incomplete');
+
+        const content = messageDiv.querySelector('.message-content');
+        if (content && !content.querySelector('.message-incomplete')) {
+            const note = document.createElement('div');
+            note.className = 'message-incomplete';
+            note.textContent = '⚠️ Response interrupted — this reply is incomplete';
+            content.insertBefore(note, content.querySelector('.message-time'));
+        }
+    },
+
+    /**
+     * Add the Edit (user) or Regenerate (AI) action and the arrows between alternatives
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {string} messageId - Stored message id
+     * @param {Object} [alternative] - { ids, index } when the message has alternatives
+     */
+    renderMessageActions(messageDiv, messageId, alternative) {
+        messageDiv.dataset.messageId = messageId;
+
+        const content = messageDiv.querySelector('.message-content');
+        const existing = content.querySelector('.message-actions');
+        if (existing) {
+            existing.remove();
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        if (alternative) {
+            const prev = document.createElement('button');
+            prev.className = 'message-action branch-btn';
+            prev.dataset.action = 'previous-branch';
+            prev.textContent = '‹';
+            prev.title = 'Previous version';
+            prev.disabled = alternative.index === 0;
+
+            const position = document.createElement('span');
+            position.className = 'branch-position';
+            position.textContent = `${alternative.index + 1} / ${alternative.ids.length}`;
+
+            const next = document.createElement('button');
+            next.className = 'message-action branch-btn';
+            next.dataset.action = 'next-branch';
+            next.textContent = '›';
+            next.title = 'Next version';
+            next.disabled = alternative.index === alternative.ids.length - 1;
+
+            actions.appendChild(prev);
+            actions.appendChild(position);
+            actions.appendChild(next);
+        }
+
+        const isUser = messageDiv.classList.contains('user');
+        const action = document.createElement('button');
+        action.className = 'message-action';
+        action.dataset.action = isUser ? 'edit' : 'regenerate';
+        action.textContent = isUser ? '✎ Edit' : '↻ Regenerate';
+        action.title = isUser ? 'Edit and resend from here' : 'Get another reply';
+        actions.appendChild(action);
+
+        content.appendChild(actions);
+    },
+
+    /**
+     * Mark a rendered user message as queued in the outbox
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {string} [reason] - Why it could not be sent yet
+     */
+    markPending(messageDiv, reason) {
+        messageDiv.classList.add('pending');
+
+        const content = messageDiv.querySelector('.message-content');
+        if (content && !content.querySelector('.message-pending')) {
+            const note = document.createElement('div');
+            note.className = 'message-pending';
+            note.textContent = '⏳ Pending — will be sent when the connection returns';
+            if (reason) {
+                note.title = reason;
+            }
+            content.insertBefore(note, content.querySelector('.message-time'));
+        }
+    },
+
+    /**
+     * Mark a rendered user message as not sent
+     * @param {HTMLElement} messageDiv - Message element from appendMessage
+     * @param {string} reason - Why it was not sent
+     */
+    markSendFailed(messageDiv, reason) {
+        messageDiv.classList.add('send-failed');
+
+        const content = messageDiv.querySelector('.message-content');
+        if (content && !content.querySelector('.message-send-error')) {
+            const note = document.createElement('div');
+            note.className = 'message-send-error';
+            note.textContent = `❌ Not sent: ${reason.replace(/\.?$/, '.')} Edit the message to try again.`;
+            content.insertBefore(note, content.querySelector('.message-time'));
+        }
     },
 
     /**
@@ -333,10 +1672,53 @@ const UI = {
         this.scrollToBottom();
     },
 
+    /**
+     * Show under the typing indicator why a request is being retried, counting down to the retry
+     * @param {Object} retry - { attempt, maxRetries, delayMs, reason } from API.getResponse
+     */
+    showRetryStatus(retry) {
+        const indicator = document.getElementById('typingIndicator');
+        if (!indicator) {
+            return;
+        }
+
+        let status = indicator.querySelector('.retry-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'retry-status';
+            indicator.querySelector('.message-content').appendChild(status);
+        }
+
+        const retryAt = Date.now() + retry.delayMs;
+        const update = () => {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            status.textContent = seconds > 0
+                ? `${retry.reason} Retrying in ${seconds}s (retry ${retry.attempt} of ${retry.maxRetries})…`
+                : `Retrying (retry ${retry.attempt} of ${retry.maxRetries})…`;
+        };
+
+        clearInterval(this.retryTimer);
+        this.retryTimer = setInterval(update, 1000);
+        update();
+        this.scrollToBottom();
+    },
+
+    /**
+     * Abort the request in flight; any part of the reply already streamed is kept
+     */
+    stopResponse() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    },
+
     /**
      * Hide typing indicator
      */
     hideTypingIndicator() {
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+
         const indicator = document.getElementById('typingIndicator');
         if (indicator) {
             indicator.remove();
@@ -363,134 +1745,1503 @@ const UI = {
     },
 
     /**
-     * Clear current chat
+     * Show the search panel, with the persona filter listing the current personas
      */
-    clearCurrentChat() {
-        if (confirm('Are you sure you want to clear this chat?')) {
-            Storage.clearChatHistory(this.currentPersona);
-            this.loadChatHistory();
-        }
+    openSearch() {
+        const selected = this.elements.searchPersona.value;
+        this.elements.searchPersona.innerHTML = '<option value="">All personas</option>';
+        Storage.getPersonas().forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = `${persona.icon} ${persona.name}`;
+            this.elements.searchPersona.appendChild(option);
+        });
+        this.elements.searchPersona.value = Storage.hasPersona(selected) ? selected : '';
+
+        this.elements.searchPanel.style.display = '';
+        this.elements.searchInput.focus();
+        this.elements.searchInput.select();
+        this.runSearch();
     },
 
     /**
-     * Open admin modal
+     * Hide the search panel
      */
-    openAdminModal() {
-        this.elements.adminModal.classList.add('active');
-        
-        // Reset modal to unlock screen
-        if (this.elements.adminUnlockSection && this.elements.adminFeatures) {
-            this.elements.adminUnlockSection.style.display = 'block';
-            this.elements.adminFeatures.style.display = 'none';
-        }
-        
-        // Clear admin code input
-        if (this.elements.adminCodeInput) {
-            this.elements.adminCodeInput.value = '';
-            this.elements.adminCodeInput.focus();
-        }
-        
-        // Clear any messages
-        const message = document.getElementById('admin-message');
-        if (message) {
-            message.textContent = '';
-            message.className = 'message';
-        }
-        
-        // Logout to reset auth state
-        Auth.logoutAdmin();
+    closeSearch() {
+        clearTimeout(this.searchTimer);
+        this.elements.searchPanel.style.display = 'none';
     },
 
     /**
-     * Close admin modal
+     * Search every persona's conversations and list the results
      */
-    closeAdminModal() {
-        this.elements.adminModal.classList.remove('active');
-        Auth.logoutAdmin();
+    runSearch() {
+        clearTimeout(this.searchTimer);
+        const { results, total, terms } = Search.query(this.elements.searchInput.value, {
+            persona: this.elements.searchPersona.value,
+            role: this.elements.searchRole.value,
+            from: this.elements.searchFrom.value,
+            to: this.elements.searchTo.value
+        });
+        this.searchResults = results;
+        this.elements.searchResults.innerHTML = '';
+
+        if (terms.length === 0) {
+            this.elements.searchSummary.textContent = '';
+            return;
+        }
+        this.elements.searchSummary.textContent = total === 0
+            ? 'No messages found.'
+            : total > results.length
+                ? `Showing the newest ${results.length} of ${total} matching messages.`
+                : `${total} matching message${total === 1 ? '' : 's'}.`;
+
+        results.forEach((result, index) => {
+            const config = API.getPersonaConfig(result.persona);
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.dataset.index = index;
+
+            const meta = document.createElement('div');
+            meta.className = 'search-result-meta';
+            const role = result.type === 'user' ? 'You' : config.name;
+            meta.textContent = `${config.icon} ${config.name} · ${result.threadTitle} · ${role} · ${new Date(result.timestamp).toLocaleString()}`;
+
+            // Matches are highlighted with <mark>; all text goes in as text nodes
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+            result.snippet.forEach(part => {
+                if (part.match) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = part.text;
+                    snippet.appendChild(mark);
+                } else {
+                    snippet.appendChild(document.createTextNode(part.text));
+                }
+            });
+
+            item.appendChild(meta);
+            item.appendChild(snippet);
+            this.elements.searchResults.appendChild(item);
+        });
     },
 
     /**
-     * Save admin settings
+     * Show a search result in its conversation: switch persona, thread and branch as
+     * needed, then scroll to the message and highlight it
+     * @param {Object} result - Result from Search.query
      */
-    saveSettings() {
-        // Get values from form
-        const name = this.elements.companionName ? this.elements.companionName.value.trim() : 'Companion';
-        const personality = this.elements.companionPersonality ? this.elements.companionPersonality.value.trim() : 'Friendly and empathetic';
-        const tone = this.elements.companionTone ? parseInt(this.elements.companionTone.value) : 5;
-        const systemPrompt = this.elements.companionPrompt ? this.elements.companionPrompt.value.trim() : Storage.DEFAULT_PROMPTS.companion;
-
-        // Save companion persona
-        const companionPersona = {
-            name: name,
-            personality: personality,
-            tone: tone,
-            systemPrompt: systemPrompt
-        };
-        
-        Storage.savePersona('companion', companionPersona);
-        
-        // Update UI if currently on companion
-        if (this.currentPersona === 'companion') {
-            API.personas.companion.name = name;
-            this.elements.personaTitle.textContent = name;
+    openSearchResult(result) {
+        if (!result || !Storage.hasPersona(result.persona)) {
+            return;
         }
-        
-        // Show success message
-        this.showSuccessMessage('Settings saved successfully!');
+
+        // The query and filters stay, so reopening search returns to the same results
+        this.closeSearch();
+
+        // The result gets its own history entry, so Back returns to where the search started
+        this.applyRoute({
+            persona: result.persona,
+            threadId: result.threadId,
+            messageId: result.messageId,
+            timestamp: result.timestamp
+        }, true);
     },
 
     /**
-     * Export chat history
+     * Show the roundtable panel in place of the conversation, with the personas chosen last time
      */
-    exportHistory() {
-        const data = Storage.exportData();
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `shlangeai_export_${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
-        this.showSuccessMessage('Data exported successfully!');
+    openRoundtable() {
+        this.closeSearch();
+        const saved = Storage.getSettings().roundtablePersonas;
+        const chosen = Array.isArray(saved) ? saved : Storage.getPersonas().map(persona => persona.id);
+
+        this.elements.roundtablePersonas.innerHTML = '';
+        Storage.getPersonas().forEach(persona => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = persona.id;
+            checkbox.checked = chosen.includes(persona.id);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${persona.icon} ${persona.name}`));
+            this.elements.roundtablePersonas.appendChild(label);
+        });
+
+        this.elements.roundtableMessage.textContent = '';
+        this.elements.roundtablePanel.style.display = '';
+        document.querySelector('.chat-area').classList.add('roundtable-open');
+        this.elements.roundtableInput.focus();
     },
 
     /**
-     * Clear all chat history
+     * Hide the roundtable panel; replies still coming in keep arriving in the background
      */
-    clearAllHistory() {
-        if (confirm('Are you sure you want to clear ALL chat history? This cannot be undone!')) {
-            Storage.clearAllChatHistory();
-            this.loadChatHistory();
-            this.showSuccessMessage('All history cleared!');
-        }
+    hideRoundtable() {
+        this.elements.roundtablePanel.style.display = 'none';
+        document.querySelector('.chat-area').classList.remove('roundtable-open');
     },
 
     /**
-     * Show success message
-     * @param {string} message - Success message
+     * Go back to the conversation, showing any roundtable messages it received
      */
-    showSuccessMessage(message) {
-        this.elements.settingsSuccess.textContent = message;
-        setTimeout(() => {
-            this.elements.settingsSuccess.textContent = '';
-        }, 3000);
+    closeRoundtable() {
+        this.hideRoundtable();
+        this.loadChatHistory();
+        this.elements.messageInput.focus();
     },
 
     /**
-     * Load initial settings
+     * Send the roundtable question to every chosen persona and show their replies side by side
      */
-    loadSettings() {
-        // Load companion persona settings
-        const companionPersona = Storage.getPersona('companion');
-        if (companionPersona && companionPersona.name) {
-            API.personas.companion.name = companionPersona.name;
-            if (this.currentPersona === 'companion') {
-                this.elements.personaTitle.textContent = companionPersona.name;
+    async askRoundtable() {
+        const text = this.elements.roundtableInput.value.trim();
+        const personas = [...this.elements.roundtablePersonas.querySelectorAll('input:checked')].map(input => input.value);
+        const showMessage = (message) => {
+            this.elements.roundtableMessage.textContent = message;
+        };
+        showMessage('');
+        if (!text || this.isWaitingForResponse) {
+            return;
+        }
+        if (personas.length < Roundtable.MIN_PERSONAS) {
+            showMessage(`Choose at least ${Roundtable.MIN_PERSONAS} personas for a roundtable.`);
+            return;
+        }
+        if (!navigator.onLine) {
+            showMessage('You are offline. A roundtable needs a connection.');
+            return;
+        }
+        if (!this.checkUsageBudget(showMessage)) {
+            return;
+        }
+
+        await Storage.updateSettings({ roundtablePersonas: personas });
+        this.elements.roundtableInput.value = '';
+        this.elements.roundtableColumns.innerHTML = '';
+        const columns = {};
+        personas.forEach(persona => {
+            columns[persona] = this.createRoundtableColumn(persona);
+            this.elements.roundtableColumns.appendChild(columns[persona]);
+        });
+
+        // Streamed replies render into their column as tokens arrive, at most once per frame
+        const latestText = {};
+        const scheduled = new Set();
+
+        this.setWaitingForResponse(true);
+        try {
+            await Roundtable.ask(personas, text, {
+                stream: Storage.getSettings().streamResponses !== false,
+                signal: this.abortController.signal,
+                onRetry: (persona, retry) => {
+                    this.setRoundtableStatus(columns[persona], 'loading',
+                        `Retrying (${retry.attempt}/${retry.maxRetries})…`);
+                },
+                onChunk: (persona, fullText) => {
+                    latestText[persona] = fullText;
+                    if (scheduled.has(persona)) {
+                        return;
+                    }
+                    scheduled.add(persona);
+                    requestAnimationFrame(() => {
+                        scheduled.delete(persona);
+                        if (columns[persona].dataset.status === 'loading') {
+                            this.setRoundtableStatus(columns[persona], 'loading', 'Answering…');
+                            this.renderMessageText(columns[persona].querySelector('.message-text'), 'ai', latestText[persona], false);
+                        }
+                    });
+                },
+                onSettled: (result) => {
+                    this.settleRoundtableColumn(columns[result.persona], result);
+                    if (!result.queued) {
+                        this.compactThread(result.persona, result.threadId);
+                    }
+                }
+            });
+        } finally {
+            this.setWaitingForResponse(false);
+            this.renderThreadList();
+            this.renderOutbox();
+            if (this.elements.roundtablePanel.style.display === 'none') {
+                this.loadChatHistory();
+            }
+        }
+
+        // Send the questions queued behind unsent messages now that the others are answered
+        if (Storage.getOutbox().length > 0) {
+            this.flushOutbox();
+        }
+    },
+
+    /**
+     * Build an empty roundtable column, waiting for its persona's reply
+     * @param {string} persona - Persona identifier
+     * @returns {HTMLElement} The column element
+     */
+    createRoundtableColumn(persona) {
+        const config = API.getPersonaConfig(persona);
+        const column = document.createElement('div');
+        column.className = 'roundtable-column';
+        column.dataset.persona = persona;
+
+        const header = document.createElement('div');
+        header.className = 'roundtable-column-header';
+        const name = document.createElement('span');
+        name.className = 'roundtable-column-name';
+        name.textContent = `${config.icon} ${config.name}`;
+        const status = document.createElement('span');
+        status.className = 'roundtable-status';
+        header.appendChild(name);
+        header.appendChild(status);
+
+        // Laid out like a message, so sources, usage and Markdown render the same way
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        const textDiv = document.createElement('div');
+        textDiv.className = 'message-text';
+        const time = document.createElement('div');
+        time.className = 'message-time';
+        content.appendChild(textDiv);
+        content.appendChild(time);
+
+        column.appendChild(header);
+        column.appendChild(content);
+        this.setRoundtableStatus(column, 'loading', 'Thinking…');
+        return column;
+    },
+
+    /**
+     * Set a roundtable column's state
+     * @param {HTMLElement} column - Column from createRoundtableColumn
+     * @param {string} status - 'loading', 'queued', 'done', 'incomplete' or 'error'
+     * @param {string} label - Status text shown in the column header
+     */
+    setRoundtableStatus(column, status, label) {
+        column.dataset.status = status;
+        column.querySelector('.roundtable-status').textContent = label;
+    },
+
+    /**
+     * Show a persona's finished reply, or its error, in its column
+     * @param {HTMLElement} column - Column from createRoundtableColumn
+     * @param {Object} result - Result from Roundtable.ask
+     */
+    settleRoundtableColumn(column, result) {
+        const textDiv = column.querySelector('.message-text');
+        const { reply, error } = result;
+
+        if (result.queued) {
+            const config = API.getPersonaConfig(result.persona);
+            this.setRoundtableStatus(column, 'queued', 'Queued behind unsent messages');
+            textDiv.textContent = `${config.name} still has unsent messages in the outbox, so this question ` +
+                'was queued after them. The reply will appear in its chat once they are sent.';
+            return;
+        }
+
+        if (!reply) {
+            if (error.aborted) {
+                this.setRoundtableStatus(column, 'error', 'Stopped');
+                textDiv.textContent = 'Stopped before a reply arrived.';
+            } else {
+                this.setRoundtableStatus(column, 'error', 'Failed');
+                textDiv.textContent = '❌ ' + (error.message || 'Sorry, I encountered an error. Please try again.');
+            }
+            return;
+        }
+
+        this.setRoundtableStatus(column, reply.incomplete ? 'incomplete' : 'done', reply.incomplete ? 'Interrupted' : 'Done');
+        this.renderSources(column, reply.sources);
+        this.renderMessageText(textDiv, 'ai', reply.text, false, this.getSourceCount(column));
+        if (reply.incomplete) {
+            this.markIncomplete(column);
+        }
+
+        const time = column.querySelector('.message-time');
+        time.textContent = this.formatTime(reply.timestamp);
+        this.renderUsage(column, reply.usage);
+
+        // Continue with this persona where the reply was saved
+        const open = document.createElement('button');
+        open.className = 'roundtable-open-btn';
+        open.textContent = 'Continue in chat →';
+        open.addEventListener('click', () => {
+            this.applyRoute({
+                persona: result.persona,
+                threadId: result.threadId,
+                messageId: reply.id,
+                timestamp: reply.timestamp
+            }, true);
+        });
+        column.appendChild(open);
+    },
+
+    /**
+     * Open the export dialog for the current persona and conversation
+     */
+    openExportModal() {
+        const config = API.getPersonaConfig(this.currentPersona);
+        const thread = Storage.getThread(this.currentPersona);
+        this.elements.exportThreadTitle.textContent = thread ? thread.title : '';
+        this.elements.exportPersonaName.textContent = config.name;
+
+        if (this.elements.exportFormat.options.length === 0) {
+            Object.keys(Exporter.FORMATS).forEach(id => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = Exporter.FORMATS[id].label;
+                this.elements.exportFormat.appendChild(option);
+            });
+        }
+
+        // Every opening starts from the whole conversation
+        this.elements.exportScopeInputs.forEach(input => {
+            input.checked = input.value === 'thread';
+        });
+        const total = Storage.getChatHistory(this.currentPersona).length;
+        this.elements.exportFrom.value = total > 0 ? 1 : '';
+        this.elements.exportTo.value = total > 0 ? total : '';
+        this.elements.exportFrom.max = total;
+        this.elements.exportTo.max = total;
+        this.elements.exportTotal.textContent = `of ${total}`;
+        this.elements.exportMessage.textContent = '';
+        this.elements.exportMessage.className = 'message';
+        this.updateExportRange();
+
+        this.elements.exportModal.classList.add('active');
+    },
+
+    /**
+     * Close the export dialog
+     */
+    closeExportModal() {
+        this.elements.exportModal.classList.remove('active');
+    },
+
+    /**
+     * Get the selected export scope
+     * @returns {string} 'thread' or 'persona'
+     */
+    getExportScope() {
+        const checked = [...this.elements.exportScopeInputs].find(input => input.checked);
+        return checked ? checked.value : 'thread';
+    },
+
+    /**
+     * A message range only applies to a single conversation
+     */
+    updateExportRange() {
+        this.elements.exportRangeGroup.style.display = this.getExportScope() === 'thread' ? '' : 'none';
+    },
+
+    /**
+     * Build the chosen transcript and download it
+     */
+    downloadExport() {
+        const scope = this.getExportScope();
+        const from = parseInt(this.elements.exportFrom.value, 10);
+        const to = parseInt(this.elements.exportTo.value, 10);
+
+        try {
+            const file = Exporter.createFile(this.currentPersona, {
+                format: this.elements.exportFormat.value,
+                timestamps: this.elements.exportTimestamps.checked,
+                threadId: scope === 'thread' ? Storage.getActiveThreadId(this.currentPersona) : null,
+                from: scope === 'thread' && !isNaN(from) ? from : undefined,
+                to: scope === 'thread' && !isNaN(to) ? to : undefined
+            });
+            Exporter.download(file.filename, file.content, file.mimeType);
+            console.log(`[UI] Exported ${file.filename}`);
+            this.closeExportModal();
+        } catch (error) {
+            this.elements.exportMessage.textContent = error.message;
+            this.elements.exportMessage.className = 'message error';
+        }
+    },
+
+    /**
+     * Show the current conversation's summary for viewing and editing
+     */
+    openSummaryModal() {
+        this.elements.summaryMessage.textContent = '';
+        this.elements.summaryMessage.className = 'message';
+        this.renderSummary();
+        this.elements.summaryModal.classList.add('active');
+    },
+
+    /**
+     * Close the summary dialog
+     */
+    closeSummaryModal() {
+        this.elements.summaryModal.classList.remove('active');
+    },
+
+    /**
+     * Fill the summary dialog from storage
+     */
+    renderSummary() {
+        const summary = Storage.getThreadSummary(this.currentPersona);
+        const path = Storage.getChatHistory(this.currentPersona);
+        const covered = Summarizer.getSummarizedCount(path, summary);
+
+        this.elements.summaryText.value = summary ? summary.text : '';
+        this.elements.summaryText.readOnly = !summary;
+        this.elements.saveSummaryBtn.disabled = !summary;
+        this.elements.removeSummaryBtn.disabled = !summary;
+        this.elements.resummarizeBtn.textContent = summary ? 'Re-summarize' : 'Summarize Now';
+
+        if (!summary) {
+            this.elements.summaryMeta.textContent = 'This conversation has no summary yet.';
+        } else if (covered === 0) {
+            this.elements.summaryMeta.textContent = 'This summary belongs to another branch of the conversation and is not sent with this one.';
+        } else {
+            const formatDate = (timestamp) => `${new Date(timestamp).toLocaleDateString()} ${this.formatTime(timestamp)}`;
+            this.elements.summaryMeta.textContent = `Covers the first ${covered} of ${path.length} messages · ` +
+                `summarized ${formatDate(summary.updatedAt)}` +
+                (summary.edited ? ` · edited by hand${summary.editedAt ? ' ' + formatDate(summary.editedAt) : ''}` : '');
+        }
+    },
+
+    /**
+     * Save the edited summary
+     */
+    async saveSummary() {
+        const text = this.elements.summaryText.value.trim();
+        if (!text) {
+            this.elements.summaryMessage.textContent = 'The summary cannot be empty. Use Remove to delete it.';
+            this.elements.summaryMessage.className = 'message error';
+            return;
+        }
+        const threadId = Storage.getActiveThreadId(this.currentPersona);
+        if (await Summarizer.saveEdit(this.currentPersona, threadId, text)) {
+            this.renderSummary();
+            this.elements.summaryMessage.textContent = 'Summary saved.';
+            this.elements.summaryMessage.className = 'message success';
+        }
+    },
+
+    /**
+     * Rebuild the summary from the start of the shown branch
+     */
+    async resummarize() {
+        const persona = this.currentPersona;
+        const threadId = Storage.getActiveThreadId(persona);
+        const summary = Storage.getThreadSummary(persona, threadId);
+        if (summary && summary.edited && !confirm('Replace your edited summary with a new one?')) {
+            return;
+        }
+
+        const budget = Usage.checkBudget();
+        if (budget.status === 'blocked') {
+            this.elements.summaryMessage.textContent = `The monthly budget of ${Usage.formatCost(budget.hard)} has been reached.`;
+            this.elements.summaryMessage.className = 'message error';
+            return;
+        }
+
+        this.elements.resummarizeBtn.disabled = true;
+        this.elements.summaryMessage.textContent = 'Summarizing…';
+        this.elements.summaryMessage.className = 'message';
+        try {
+            const result = await Summarizer.compact(persona, threadId, { force: true });
+            if (!result) {
+                throw new Error('A summary of this conversation is already being written. Try again in a moment.');
+            }
+            if (persona === this.currentPersona && threadId === Storage.getActiveThreadId(persona)) {
+                this.renderSummary();
+                this.renderSummaryMarker();
+            }
+            this.elements.summaryMessage.textContent = 'Summary updated.';
+            this.elements.summaryMessage.className = 'message success';
+        } catch (error) {
+            console.error('[UI] Could not summarize conversation:', error);
+            this.elements.summaryMessage.textContent = error.message;
+            this.elements.summaryMessage.className = 'message error';
+        } finally {
+            this.elements.resummarizeBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Delete the summary; the full history is sent again (within the context budget)
+     */
+    async removeSummary() {
+        if (!confirm('Remove this summary? Older messages beyond the context budget will no longer reach the AI.')) {
+            return;
+        }
+        await Storage.setThreadSummary(this.currentPersona, Storage.getActiveThreadId(this.currentPersona), null);
+        this.renderSummary();
+        this.renderSummaryMarker();
+        this.elements.summaryMessage.textContent = 'Summary removed.';
+        this.elements.summaryMessage.className = 'message success';
+    },
+
+    /**
+     * Clear current chat
+     */
+    async clearCurrentChat() {
+        if (confirm('Are you sure you want to clear this chat?')) {
+            await Storage.clearChatHistory(this.currentPersona);
+            this.renderThreadList();
+            this.loadChatHistory();
+        }
+    },
+
+    /**
+     * Open admin modal
+     */
+    openAdminModal() {
+        this.elements.adminModal.classList.add('active');
+
+        // Persona management is revealed together with the rest of the admin features;
+        // the settings form starts on the persona being chatted with
+        this.personaDrafts = {};
+        this.adminPersonaId = this.currentPersona;
+        this.closePersonaEditor();
+        this.renderPersonaAdminList();
+        Auth.loadPersonaSettings(this.adminPersonaId);
+        this.updatePersonaDirtyState();
+        this.loadRequestSettings();
+        this.loadUsageSettings();
+        
+        // Reset modal to unlock screen
+        if (this.elements.adminUnlockSection && this.elements.adminFeatures) {
+            this.elements.adminUnlockSection.style.display = 'block';
+            this.elements.adminFeatures.style.display = 'none';
+        }
+        
+        // Clear admin code input
+        if (this.elements.adminCodeInput) {
+            this.elements.adminCodeInput.value = '';
+            this.elements.adminCodeInput.focus();
+        }
+        
+        // Clear any messages
+        const message = document.getElementById('admin-message');
+        if (message) {
+            message.textContent = '';
+            message.className = 'message';
+        }
+        
+        // Logout to reset auth state
+        Auth.logoutAdmin();
+    },
+
+    /**
+     * Close admin modal
+     */
+    closeAdminModal() {
+        if (Object.keys(this.personaDrafts).length > 0 &&
+            !confirm('Discard unsaved persona settings?')) {
+            return;
+        }
+
+        this.personaDrafts = {};
+        this.elements.adminModal.classList.remove('active');
+        Auth.logoutAdmin();
+    },
+
+    /**
+     * Render the admin list of personas with reorder, edit, reset and delete controls
+     */
+    renderPersonaAdminList() {
+        const list = this.elements.personaAdminList;
+        const personas = Storage.getPersonas();
+        list.innerHTML = '';
+
+        personas.forEach((persona, index) => {
+            const item = document.createElement('li');
+            item.className = 'persona-admin-item';
+
+            const name = document.createElement('span');
+            name.className = 'persona-admin-name';
+            name.textContent = `${persona.icon} ${persona.name}`;
+            const id = document.createElement('span');
+            id.className = 'persona-admin-id';
+            id.textContent = persona.id;
+            name.appendChild(id);
+            item.appendChild(name);
+
+            const addButton = (label, title, onClick, disabled = false) => {
+                const btn = document.createElement('button');
+                btn.className = 'persona-admin-btn';
+                btn.textContent = label;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener('click', onClick);
+                item.appendChild(btn);
+            };
+
+            addButton('↑', 'Move up', () => this.movePersona(persona.id, -1), index === 0);
+            addButton('↓', 'Move down', () => this.movePersona(persona.id, 1), index === personas.length - 1);
+            addButton('Edit', 'Edit persona', () => this.openPersonaEditor(persona.id));
+            if (Storage.isBuiltInPersona(persona.id)) {
+                addButton('Reset', 'Restore the default settings', () => this.resetPersona(persona.id));
+            } else {
+                addButton('Delete', 'Delete persona and its conversations', () => this.deletePersona(persona.id));
+            }
+
+            list.appendChild(item);
+        });
+
+        // The settings form's persona selector lists the same personas
+        this.renderAdminPersonaSelect();
+    },
+
+    /**
+     * Fill the admin persona selector, marking personas with unsaved changes
+     * Drafts of personas that no longer exist are dropped.
+     */
+    renderAdminPersonaSelect() {
+        const select = this.elements.adminPersonaSelect;
+        const personas = Storage.getPersonas();
+        const ids = personas.map(persona => persona.id);
+
+        Object.keys(this.personaDrafts).forEach(personaId => {
+            if (!ids.includes(personaId)) {
+                delete this.personaDrafts[personaId];
+            }
+        });
+        if (!ids.includes(this.adminPersonaId)) {
+            this.adminPersonaId = ids.includes(this.currentPersona) ? this.currentPersona : ids[0];
+        }
+
+        select.innerHTML = '';
+        personas.forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = `${persona.icon} ${persona.name}${this.personaDrafts[persona.id] ? ' •' : ''}`;
+            select.appendChild(option);
+        });
+        select.value = this.adminPersonaId;
+    },
+
+    /**
+     * Show another persona in the admin settings form
+     * Unsaved changes to the previous persona stay in its draft (updated on every input).
+     * @param {string} personaId - Persona identifier
+     */
+    selectAdminPersona(personaId) {
+        this.adminPersonaId = personaId;
+        Auth.loadPersonaSettings(personaId, this.personaDrafts[personaId]);
+
+        // Search options are Perplexity extensions; other endpoints would reject the request
+        const perplexity = API.isPerplexityBackend(Storage.getPersona(personaId));
+        this.elements.parameterFields.forEach(field => {
+            if (API.GENERATION_PARAMETERS[field.dataset.param].perplexityOnly) {
+                field.disabled = !perplexity;
+                field.title = perplexity ? '' : 'Only sent to the Perplexity backend; this persona uses another endpoint.';
+            }
+        });
+        this.updatePersonaDirtyState();
+    },
+
+    /**
+     * Read the admin settings form
+     * Generation parameters are read unvalidated (see API.validateGenerationParameters),
+     * keeping only filled-in fields, in API.GENERATION_PARAMETERS order.
+     * @returns {Object} { name, personality, tone, systemPrompt, contextBudget, model, parameters }
+     */
+    readPersonaForm() {
+        const parsedBudget = parseInt(this.elements.companionContextBudget.value, 10);
+
+        const fields = {};
+        this.elements.parameterFields.forEach(field => {
+            fields[field.dataset.param] = field.value.trim();
+        });
+        const parameters = {};
+        Object.keys(API.GENERATION_PARAMETERS).forEach(key => {
+            const value = fields[key];
+            if (!value) {
+                return;
+            }
+            const rule = API.GENERATION_PARAMETERS[key];
+            if (rule.type === 'number' || rule.type === 'integer') {
+                parameters[key] = Number(value);
+            } else if (rule.type === 'domains') {
+                parameters[key] = value.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+            } else {
+                parameters[key] = value;
+            }
+        });
+
+        return {
+            name: this.elements.companionName.value.trim(),
+            personality: this.elements.companionPersonality.value.trim(),
+            tone: parseInt(this.elements.companionTone.value, 10) || 5,
+            systemPrompt: this.elements.companionPrompt.value.trim(),
+            contextBudget: Number.isFinite(parsedBudget) && parsedBudget >= 0 ? parsedBudget : Storage.DEFAULT_CONTEXT_BUDGET,
+            model: this.elements.personaModel.value.trim(),
+            parameters: parameters
+        };
+    },
+
+    /**
+     * Validate the model and generation parameters of the settings form
+     * @param {Object} values - Form values from readPersonaForm
+     * @returns {{parameters: Object, errors: Object}} Valid parameters, and an error message
+     *     per invalid field (keyed by parameter name, or "model")
+     */
+    validatePersonaForm(values) {
+        const result = API.validateGenerationParameters(values.parameters);
+        if (values.model && !API.isValidModel(values.model)) {
+            result.errors.model = 'Model may only contain letters, digits and . _ : / - characters.';
+        }
+        return result;
+    },
+
+    /**
+     * Show validation errors next to the generation settings
+     * @param {Object} errors - Error message per parameter name (or "model")
+     */
+    showGenerationErrors(errors) {
+        this.elements.generationErrors.innerHTML = '';
+        Object.keys(errors).forEach(key => {
+            const item = document.createElement('li');
+            item.textContent = errors[key];
+            this.elements.generationErrors.appendChild(item);
+        });
+
+        this.elements.personaModel.classList.toggle('invalid', Boolean(errors.model));
+        this.elements.parameterFields.forEach(field => {
+            field.classList.toggle('invalid', Boolean(errors[field.dataset.param]));
+        });
+    },
+
+    /**
+     * Compare the form with the stored persona and update the unsaved-changes markers
+     */
+    updatePersonaDirtyState() {
+        const personaId = this.adminPersonaId;
+        if (!personaId) {
+            return;
+        }
+
+        const stored = Storage.getPersona(personaId);
+        const values = this.readPersonaForm();
+        const dirty = Object.keys(values).some(key => JSON.stringify(values[key]) !== JSON.stringify(stored[key]));
+
+        const wasDirty = Boolean(this.personaDrafts[personaId]);
+        if (dirty) {
+            this.personaDrafts[personaId] = values;
+        } else {
+            delete this.personaDrafts[personaId];
+        }
+        if (dirty !== wasDirty) {
+            this.renderAdminPersonaSelect();
+        }
+
+        this.elements.personaDirtyIndicator.textContent = dirty ? '● Unsaved changes' : '';
+        const defaultPrompt = Storage.DEFAULT_PROMPTS[personaId];
+        this.elements.resetPromptBtn.disabled = !defaultPrompt || values.systemPrompt === defaultPrompt;
+        this.elements.resetPromptBtn.title = defaultPrompt
+            ? 'Replace the system prompt with the built-in default (not saved until you click Save)'
+            : 'Custom personas have no default prompt';
+
+        // The preview and validation messages are built from the same form values
+        this.updatePromptPreview(values);
+        this.showGenerationErrors(this.validatePersonaForm(values).errors);
+    },
+
+    /**
+     * Show the system message and temperature the form values would produce
+     * @param {Object} values - Form values from readPersonaForm
+     */
+    updatePromptPreview(values) {
+        this.elements.promptPreview.textContent = API.composeSystemPrompt(values, this.adminPersonaId);
+        const toneTemperature = API.getToneTemperature(values.tone);
+        this.elements.promptPreviewMeta.textContent = values.parameters.temperature !== undefined
+            ? `Temperature ${values.parameters.temperature} (set explicitly; tone ${API.normalizeTone(values.tone)} would give ${toneTemperature})`
+            : `Tone ${API.normalizeTone(values.tone)} → temperature ${toneTemperature}`;
+        this.elements.temperatureField.placeholder = `From tone (${toneTemperature})`;
+    },
+
+    /**
+     * Put the persona's default system prompt into the form
+     */
+    resetPersonaPrompt() {
+        const defaultPrompt = Storage.DEFAULT_PROMPTS[this.adminPersonaId];
+        if (defaultPrompt) {
+            this.elements.companionPrompt.value = defaultPrompt;
+            this.updatePersonaDirtyState();
+        }
+    },
+
+    /**
+     * Forget unsaved form changes for a persona changed elsewhere, reloading it if shown
+     * @param {string} personaId - Persona identifier
+     */
+    discardPersonaDraft(personaId) {
+        delete this.personaDrafts[personaId];
+        if (personaId === this.adminPersonaId) {
+            Auth.loadPersonaSettings(personaId);
+        }
+        this.renderAdminPersonaSelect();
+        this.updatePersonaDirtyState();
+    },
+
+    /**
+     * Open the persona editor
+     * @param {string|null} personaId - Persona to edit, or null to create a new one
+     */
+    openPersonaEditor(personaId) {
+        const persona = personaId ? Storage.getPersona(personaId) : Storage.getDefaultPersona('');
+        this.editingPersonaId = personaId;
+
+        this.elements.personaEditorTitle.textContent = personaId ? `Edit ${persona.name}` : 'New Persona';
+        this.elements.personaEditId.value = personaId || '';
+        this.elements.personaEditId.disabled = Boolean(personaId);
+        this.elements.personaEditName.value = personaId ? persona.name : '';
+        this.elements.personaEditIcon.value = persona.icon;
+        this.elements.personaEditDescription.value = persona.description || '';
+        this.elements.personaEditModel.value = persona.model || '';
+        this.elements.personaEditModel.placeholder = API.DEFAULT_MODEL;
+        this.elements.personaEditPrompt.value = persona.systemPrompt || '';
+        this.elements.personaEditorError.textContent = '';
+
+        this.elements.personaEditProvider.innerHTML = '';
+        Providers.list().forEach(providerId => {
+            const option = document.createElement('option');
+            option.value = providerId;
+            option.textContent = providerId;
+            this.elements.personaEditProvider.appendChild(option);
+        });
+        this.elements.personaEditProvider.value = persona.provider || Providers.DEFAULT_PROVIDER;
+
+        this.elements.personaEditor.style.display = 'block';
+        (personaId ? this.elements.personaEditName : this.elements.personaEditId).focus();
+    },
+
+    /**
+     * Hide the persona editor without saving
+     */
+    closePersonaEditor() {
+        this.editingPersonaId = null;
+        this.elements.personaEditor.style.display = 'none';
+        this.elements.personaEditorError.textContent = '';
+    },
+
+    /**
+     * Validate and save the persona editor (creating or updating a persona)
+     */
+    async savePersonaEditor() {
+        const personaId = this.editingPersonaId || this.elements.personaEditId.value.trim();
+        const persona = {
+            name: this.elements.personaEditName.value.trim(),
+            icon: this.elements.personaEditIcon.value.trim() || '🤖',
+            description: this.elements.personaEditDescription.value.trim(),
+            provider: this.elements.personaEditProvider.value,
+            model: this.elements.personaEditModel.value.trim(),
+            systemPrompt: this.elements.personaEditPrompt.value.trim()
+        };
+
+        if (!persona.name) {
+            this.elements.personaEditorError.textContent = 'Name is required.';
+            return;
+        }
+        if (persona.model && !API.isValidModel(persona.model)) {
+            this.elements.personaEditorError.textContent = 'Model may only contain letters, digits and . _ : / - characters.';
+            return;
+        }
+
+        let saved;
+        if (this.editingPersonaId) {
+            saved = await Storage.savePersona(personaId, persona);
+        } else {
+            const idError = Storage.validatePersonaId(personaId);
+            if (idError) {
+                this.elements.personaEditorError.textContent = idError;
+                return;
+            }
+            saved = await Storage.createPersona(personaId, persona);
+        }
+        if (!saved) {
+            this.elements.personaEditorError.textContent = 'The persona could not be saved. Your browser storage may be full.';
+            return;
+        }
+        PersonaSync.recordLocalEdit(personaId);
+
+        this.closePersonaEditor();
+        this.renderPersonaAdminList();
+        this.renderPersonaNav();
+        this.refreshPersonaHeader();
+        this.discardPersonaDraft(personaId);
+        this.showSuccessMessage(`Persona "${persona.name}" saved!`);
+    },
+
+    /**
+     * Move a persona one place up or down in the sidebar
+     * @param {string} personaId - Persona identifier
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async movePersona(personaId, offset) {
+        const ids = Storage.getPersonaIds();
+        const index = ids.indexOf(personaId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= ids.length) {
+            return;
+        }
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        if (await Storage.reorderPersonas(ids)) {
+            this.renderPersonaAdminList();
+            this.renderPersonaNav();
+        }
+    },
+
+    /**
+     * Restore a built-in persona to its defaults
+     * @param {string} personaId - Built-in persona identifier
+     */
+    async resetPersona(personaId) {
+        const persona = Storage.getPersona(personaId);
+        if (!confirm(`Reset "${persona.name}" to its default name, icon, description and prompt?`)) {
+            return;
+        }
+
+        if (await Storage.resetPersona(personaId)) {
+            PersonaSync.recordLocalEdit(personaId);
+            this.closePersonaEditor();
+            this.renderPersonaAdminList();
+            this.renderPersonaNav();
+            this.refreshPersonaHeader();
+            this.discardPersonaDraft(personaId);
+            this.showSuccessMessage(`Persona "${Storage.getPersona(personaId).name}" reset to defaults!`);
+        }
+    },
+
+    /**
+     * Delete a custom persona together with its conversations
+     * @param {string} personaId - Persona identifier
+     */
+    async deletePersona(personaId) {
+        const persona = Storage.getPersona(personaId);
+        if (!confirm(`Delete the persona "${persona.name}" and all of its conversations? This cannot be undone!`)) {
+            return;
+        }
+
+        const wasShownInSettings = this.adminPersonaId === personaId;
+        if (await Storage.deletePersona(personaId)) {
+            PersonaSync.markDeleted(personaId);
+            this.closePersonaEditor();
+            this.renderPersonaNav();
+            if (this.currentPersona === personaId) {
+                this.switchPersona(Storage.DEFAULT_PERSONA);
+            }
+            this.renderPersonaAdminList();
+            if (wasShownInSettings) {
+                // The selector moved off the deleted persona; show the one it landed on
+                this.selectAdminPersona(this.adminPersonaId);
+            }
+            this.showSuccessMessage(`Persona "${persona.name}" deleted.`);
+        }
+    },
+
+    /**
+     * Show the backend sync status and conflicts, refreshing personas a sync changed
+     * @param {Object} status - PersonaSync status ({ state, message, at })
+     */
+    renderPersonaSync(status) {
+        this.elements.personaSyncStatus.textContent = status.message;
+        this.elements.personaSyncStatus.dataset.state = status.state;
+        this.elements.syncPersonasBtn.disabled = status.state === 'syncing';
+        this.renderPersonaSyncConflicts();
+
+        if (status.state !== 'synced' && status.state !== 'conflict') {
+            return;
+        }
+
+        // Pulled personas show up everywhere; a form with unsaved edits is left alone
+        this.renderPersonaNav();
+        this.renderPersonaAdminList();
+        this.refreshPersonaHeader();
+        if (this.adminPersonaId && !this.personaDrafts[this.adminPersonaId]) {
+            Auth.loadPersonaSettings(this.adminPersonaId);
+            this.updatePersonaDirtyState();
+        }
+    },
+
+    /**
+     * List personas changed both locally and on the server, with the differing
+     * fields and a choice of which version to keep
+     */
+    renderPersonaSyncConflicts() {
+        const list = this.elements.personaSyncConflicts;
+        list.innerHTML = '';
+
+        const shorten = (value) => {
+            const text = String(value);
+            return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+        };
+
+        Object.values(PersonaSync.conflicts).forEach(conflict => {
+            const personaId = conflict.personaId;
+            const item = document.createElement('li');
+            item.className = 'persona-sync-conflict';
+
+            const summary = document.createElement('p');
+            const name = document.createElement('strong');
+            name.textContent = Storage.getPersona(personaId).name;
+            summary.appendChild(name);
+            const localTime = conflict.localUpdatedAt
+                ? `edited here ${new Date(conflict.localUpdatedAt).toLocaleString()}`
+                : 'never synced from this browser';
+            summary.appendChild(document.createTextNode(
+                ` was ${localTime} and updated on the server ${new Date(conflict.record.updated_at).toLocaleString()}.`
+            ));
+            item.appendChild(summary);
+
+            const differences = document.createElement('ul');
+            differences.className = 'persona-sync-diff';
+            PersonaSync.diff(personaId, conflict.record).forEach(difference => {
+                const row = document.createElement('li');
+                row.textContent = `${PersonaSync.FIELD_LABELS[difference.field]}: "${shorten(difference.local)}" here, "${shorten(difference.server)}" on the server`;
+                differences.appendChild(row);
+            });
+            item.appendChild(differences);
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-actions';
+            [['Keep This Browser\'s Version', 'local'], ['Use Server Version', 'server']].forEach(([label, choice]) => {
+                const btn = document.createElement('button');
+                btn.className = 'secondary-btn';
+                btn.textContent = label;
+                btn.addEventListener('click', () => PersonaSync.resolveConflict(personaId, choice));
+                actions.appendChild(btn);
+            });
+            item.appendChild(actions);
+
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Save admin settings for the persona chosen in the selector
+     */
+    async saveSettings() {
+        const personaId = this.adminPersonaId || this.currentPersona;
+        const values = this.readPersonaForm();
+
+        const { parameters, errors } = this.validatePersonaForm(values);
+        if (Object.keys(errors).length > 0) {
+            this.showGenerationErrors(errors);
+            return;
+        }
+        values.parameters = parameters;
+
+        // An empty name would leave a blank sidebar button; keep the current one
+        if (!values.name) {
+            values.name = Storage.getPersona(personaId).name;
+        }
+
+        if (!await Storage.savePersona(personaId, values)) {
+            this.showSaveError();
+            return;
+        }
+        this.discardPersonaDraft(personaId);
+        PersonaSync.recordLocalEdit(personaId);
+
+        // Show the new name in the sidebar, the admin list and, for the active persona, the header
+        this.renderPersonaNav();
+        this.renderPersonaAdminList();
+        if (this.currentPersona === personaId) {
+            this.refreshPersonaHeader();
+        }
+        
+        // Show success message
+        this.showSuccessMessage(`Settings saved for ${values.name}!`);
+    },
+
+    /**
+     * Show the request timeout and retry count in the admin panel
+     */
+    loadRequestSettings() {
+        const settings = API.getRequestSettings();
+        this.elements.requestTimeout.value = settings.timeoutSeconds;
+        this.elements.requestRetries.value = settings.maxRetries;
+    },
+
+    /**
+     * Save the request timeout and retry count
+     * Values are clamped to their limits when read; an emptied field restores the default.
+     */
+    async saveRequestSettings() {
+        const readInteger = (input) => {
+            const value = parseInt(input.value, 10);
+            return Number.isNaN(value) ? undefined : value;
+        };
+        const saved = await Storage.updateSettings({
+            requestTimeoutSeconds: readInteger(this.elements.requestTimeout),
+            maxRetries: readInteger(this.elements.requestRetries)
+        });
+        this.loadRequestSettings();
+        if (!saved) {
+            this.showSaveError();
+            return;
+        }
+        this.showSuccessMessage('Request settings saved!');
+    },
+
+    /**
+     * Check this month's spend before sending
+     * Past the hard budget, sending is blocked; past the soft budget, a warning is shown
+     * once per month. Neither notice is saved to the conversation.
+     * @param {Function} [notify] - Shows a notice; defaults to an error bubble in the chat
+     * @returns {boolean} Whether the message may be sent
+     */
+    checkUsageBudget(notify = (text) => this.appendMessage('ai', text, new Date().toISOString(), true, { isError: true })) {
+        const budget = Usage.checkBudget();
+        if (budget.status === 'blocked') {
+            notify(`❌ The monthly budget of ${Usage.formatCost(budget.hard)} has been reached ` +
+                `(${Usage.formatCost(budget.spent)} spent). An admin can raise it in the usage settings.`);
+            return false;
+        }
+
+        const month = Usage.formatDay(new Date()).slice(0, 7);
+        if (budget.status === 'warning' && Storage.getSettings().usageBudgetWarnedMonth !== month) {
+            Storage.updateSettings({ usageBudgetWarnedMonth: month });
+            notify(`⚠️ ${Usage.formatCost(budget.spent)} of estimated usage this month, ` +
+                `past the ${Usage.formatCost(budget.soft)} warning budget.`);
+        }
+        return true;
+    },
+
+    /**
+     * Show the usage dashboard, price table and budgets in the admin panel
+     */
+    loadUsageSettings() {
+        const budget = Usage.getBudget();
+        this.elements.usageSoftBudget.value = budget.soft === null ? '' : budget.soft;
+        this.elements.usageHardBudget.value = budget.hard === null ? '' : budget.hard;
+        this.renderUsagePrices(Usage.getPrices());
+        this.renderUsageDashboard();
+    },
+
+    /**
+     * Show totals and per-persona, per-model and per-day usage for the selected period
+     */
+    renderUsageDashboard() {
+        const summary = Usage.summarize(this.elements.usagePeriod.value);
+        const totals = summary.totals;
+
+        const notes = [];
+        if (totals.unpriced > 0) {
+            notes.push(`${totals.unpriced} request${totals.unpriced === 1 ? '' : 's'} used models without a price`);
+        }
+        if (totals.estimated > 0) {
+            notes.push(`${totals.estimated} with estimated token counts`);
+        }
+        this.elements.usageTotals.textContent = `${totals.requests.toLocaleString()} requests · ` +
+            `${totals.promptTokens.toLocaleString()} prompt + ${totals.completionTokens.toLocaleString()} completion tokens · ` +
+            `≈ ${Usage.formatCost(totals.cost)}` + (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+
+        const personaName = (persona) => (Storage.hasPersona(persona) ? Storage.getPersona(persona).name : persona);
+        this.renderUsageRows(this.elements.usageByPersona, summary.byPersona, personaName);
+        this.renderUsageRows(this.elements.usageByModel, summary.byModel, model => model);
+        this.renderUsageRows(this.elements.usageByDay, summary.byDay, day => day);
+
+        const budget = Usage.checkBudget();
+        const limits = [
+            budget.soft !== null ? `warning at ${Usage.formatCost(budget.soft)}` : null,
+            budget.hard !== null ? `limit ${Usage.formatCost(budget.hard)}` : null
+        ].filter(Boolean);
+        this.elements.usageBudgetStatus.textContent = limits.length > 0
+            ? `This month: ${Usage.formatCost(budget.spent)} (${limits.join(', ')})`
+            : '';
+        this.elements.usageBudgetStatus.dataset.status = budget.status;
+    },
+
+    /**
+     * Fill a usage table body
+     * @param {HTMLElement} tbody - Table body
+     * @param {Array<Object>} rows - Group rows from Usage.summarize
+     * @param {Function} label - Maps a row key to the text of its first cell
+     */
+    renderUsageRows(tbody, rows, label) {
+        tbody.innerHTML = '';
+        if (rows.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 4;
+            cell.className = 'usage-empty';
+            cell.textContent = 'No usage in this period.';
+            return;
+        }
+        rows.forEach(group => {
+            const row = tbody.insertRow();
+            [
+                label(group.key),
+                group.requests.toLocaleString(),
+                group.totalTokens.toLocaleString(),
+                group.unpriced === group.requests ? '—' : Usage.formatCost(group.cost)
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+    },
+
+    /**
+     * Show the price table in the editor
+     * @param {Object} prices - Prices keyed by model
+     */
+    renderUsagePrices(prices) {
+        this.elements.usagePriceRows.innerHTML = '';
+        this.elements.usagePriceErrors.innerHTML = '';
+        Object.keys(prices).forEach(model => this.addUsagePriceRow(model, prices[model]));
+    },
+
+    /**
+     * Add a row to the price editor
+     * @param {string} model - Model name
+     * @param {Object|null} price - { prompt, completion } in USD per million tokens
+     * @returns {HTMLElement} The row
+     */
+    addUsagePriceRow(model, price) {
+        const row = this.elements.usagePriceRows.insertRow();
+        [
+            { field: 'model', type: 'text', value: model, placeholder: 'Model name' },
+            { field: 'prompt', type: 'number', value: price ? price.prompt : '', placeholder: '0.00' },
+            { field: 'completion', type: 'number', value: price ? price.completion : '', placeholder: '0.00' }
+        ].forEach(column => {
+            const input = document.createElement('input');
+            input.type = column.type;
+            input.dataset.field = column.field;
+            input.value = column.value;
+            input.placeholder = column.placeholder;
+            if (column.type === 'number') {
+                input.min = '0';
+                input.step = '0.01';
+            }
+            row.insertCell().appendChild(input);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'usage-price-remove';
+        removeBtn.title = 'Remove';
+        removeBtn.textContent = '✕';
+        row.insertCell().appendChild(removeBtn);
+        return row;
+    },
+
+    /**
+     * Save the price table from the editor
+     */
+    async saveUsagePrices() {
+        const rows = Array.from(this.elements.usagePriceRows.rows).map(row => {
+            const read = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+            return { model: read('model'), prompt: read('prompt'), completion: read('completion') };
+        });
+        const { prices, errors } = Usage.validatePrices(rows);
+
+        this.elements.usagePriceErrors.innerHTML = '';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            this.elements.usagePriceErrors.appendChild(item);
+        });
+        if (errors.length > 0) {
+            return;
+        }
+
+        const saved = await Storage.updateSettings({ usagePrices: prices });
+        this.renderUsagePrices(prices);
+        this.renderUsageDashboard();
+        if (!saved) {
+            this.showSaveError();
+            return;
+        }
+        this.showSuccessMessage('Usage prices saved!');
+    },
+
+    /**
+     * Restore the default price table
+     */
+    async resetUsagePrices() {
+        const saved = await Storage.updateSettings({ usagePrices: undefined });
+        this.renderUsagePrices(Usage.getPrices());
+        this.renderUsageDashboard();
+        if (!saved) {
+            this.showSaveError();
+            return;
+        }
+        this.showSuccessMessage('Usage prices reset to the defaults.');
+    },
+
+    /**
+     * Save the monthly budgets; an emptied field removes that budget
+     */
+    async saveUsageBudget() {
+        const readAmount = (input) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) && value > 0 ? value : null;
+        };
+        const saved = await Storage.updateSettings({
+            usageBudget: {
+                soft: readAmount(this.elements.usageSoftBudget),
+                hard: readAmount(this.elements.usageHardBudget)
+            }
+        });
+        this.loadUsageSettings();
+        if (!saved) {
+            this.showSaveError();
+            return;
+        }
+        this.showSuccessMessage('Usage budgets saved!');
+    },
+
+    /**
+     * Export chat history
+     */
+    exportHistory() {
+        const data = Storage.exportData();
+        const dataStr = JSON.stringify(data, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shlangeai_export_${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+        this.showSuccessMessage('Data exported successfully!');
+    },
+
+    /**
+     * Read, validate and preview a backup file before importing it
+     * @param {File} file - Selected JSON file
+     */
+    async previewImport(file) {
+        this.resetImport();
+        if (!file) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showImportErrors([`"${file.name}" is not valid JSON: ${error.message}`]);
+            return;
+        }
+
+        const validation = Storage.validateImportData(data);
+        if (!validation.valid) {
+            this.showImportErrors(validation.errors);
+            return;
+        }
+
+        this.pendingImport = data;
+        this.elements.importFileName.textContent = data.exportDate
+            ? `${file.name} (exported ${new Date(data.exportDate).toLocaleString()})`
+            : file.name;
+
+        Object.keys(validation.summary).forEach(aiType => {
+            const entry = validation.summary[aiType];
+            const row = document.createElement('tr');
+            [
+                Storage.hasPersona(aiType) ? Storage.getPersona(aiType).name : aiType,
+                entry.threads,
+                entry.messages,
+                entry.hasPersona ? '✓' : '—'
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.elements.importCounts.appendChild(row);
+        });
+
+        this.elements.importPreview.style.display = 'block';
+    },
+
+    /**
+     * Import the previewed backup with the selected mode
+     */
+    async confirmImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+
+        const selected = document.querySelector('input[name="importMode"]:checked');
+        const mode = selected ? selected.value : 'merge';
+        if (mode === 'replace' && !confirm('Replace ALL chat history and personas with this backup? This cannot be undone!')) {
+            return;
+        }
+
+        if (await Storage.importData(this.pendingImport, mode)) {
+            this.resetImport();
+            this.personaDrafts = {};
+            this.renderPersonaNav();
+            this.renderPersonaAdminList();
+            this.switchPersona(this.currentPersona);
+            Auth.loadPersonaSettings(this.adminPersonaId);
+            this.updatePersonaDirtyState();
+            this.showSuccessMessage('Backup imported successfully!');
+        } else {
+            this.showImportErrors(['Import failed. See the browser console for details.']);
+        }
+    },
+
+    /**
+     * Show import validation errors
+     * @param {Array<string>} errors - Error messages
+     */
+    showImportErrors(errors) {
+        this.elements.importErrors.innerHTML = '';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            this.elements.importErrors.appendChild(item);
+        });
+    },
+
+    /**
+     * Hide the import preview and forget the pending backup
+     */
+    resetImport() {
+        this.pendingImport = null;
+        this.elements.importFileInput.value = '';
+        this.elements.importPreview.style.display = 'none';
+        this.elements.importCounts.innerHTML = '';
+        this.elements.importErrors.innerHTML = '';
+    },
+
+    /**
+     * Clear all chat history
+     */
+    async clearAllHistory() {
+        if (confirm('Are you sure you want to clear ALL chat history? This cannot be undone!')) {
+            const cleared = await Storage.clearAllChatHistory();
+            this.renderThreadList();
+            this.loadChatHistory();
+            if (!cleared) {
+                this.showSaveError();
+                return;
             }
+            this.showSuccessMessage('All history cleared!');
         }
+    },
+
+    /**
+     * Show success message
+     * @param {string} message - Success message
+     */
+    showSuccessMessage(message) {
+        this.elements.settingsSuccess.className = 'success-message';
+        this.elements.settingsSuccess.textContent = message;
+        setTimeout(() => {
+            this.elements.settingsSuccess.textContent = '';
+        }, 3000);
+    },
+
+    /**
+     * Show that an admin change could not be stored
+     */
+    showSaveError() {
+        this.elements.settingsSuccess.className = 'error-message';
+        this.elements.settingsSuccess.textContent = '❌ The change could not be saved. Your browser storage may be full.';
+        setTimeout(() => {
+            this.elements.settingsSuccess.textContent = '';
+        }, 3000);
     }
 };
 
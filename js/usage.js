@@ -0,0 +1,234 @@
+/**
+ * usage.js - Token usage, cost estimates and monthly budgets for ShlangeAI
+ * Every request's `usage` ({ promptTokens, completionTokens, totalTokens }) and `model`
+ * are recorded per persona, day and model. This module sums them over a period, prices them with an editable table (US dollars per million tokens)
+ * and checks the month's spend against optional soft and hard budgets.
+ *
+ * Totals are read from the usage ledger in Storage, which records every reply, partial
+ * reply and summarization as it is answered and is never trimmed, so deleting messages,
+ * conversations or personas does not lower the spend counted against the budgets.
+ *
+ * Dependencies: Storage (from storage.js), API (from api.js)
+ * Note: This file must be loaded after storage.js and api.js
+ */
+
+// Validate dependencies are loaded
+if (typeof Storage === 'undefined') {
+    throw new Error('Storage is not defined. Ensure storage.js is loaded before usage.js');
+}
+if (typeof API === 'undefined') {
+    throw new Error('API is not defined. Ensure api.js is loaded before usage.js');
+}
+
+// Prices used until an admin edits the table: USD per million prompt and completion
+// tokens (Perplexity list prices; request fees are not included)
+const DEFAULT_USAGE_PRICES = {
+    'sonar': { prompt: 1, completion: 1 },
+    'sonar-pro': { prompt: 3, completion: 15 },
+    'sonar-reasoning': { prompt: 1, completion: 5 },
+    'sonar-reasoning-pro': { prompt: 2, completion: 8 },
+    'sonar-deep-research': { prompt: 2, completion: 8 }
+};
+
+// Periods the dashboard can summarize
+const USAGE_PERIODS = {
+    month: 'This month',
+    'last-month': 'Last month',
+    '30-days': 'Last 30 days',
+    all: 'All time'
+};
+
+const Usage = {
+    DEFAULT_PRICES: DEFAULT_USAGE_PRICES,
+    PERIODS: USAGE_PERIODS,
+
+    /**
+     * Get the price table
+     * @returns {Object} Prices keyed by model: { prompt, completion } in USD per million tokens
+     */
+    getPrices() {
+        const prices = Storage.getSettings().usagePrices;
+        return prices && typeof prices === 'object' ? prices : { ...DEFAULT_USAGE_PRICES };
+    },
+
+    /**
+     * Validate a price table
+     * @param {Array<{model: string, prompt: *, completion: *}>} rows - Rows from the editor
+     * @returns {{prices: Object, errors: Array<string>}} Valid prices keyed by model, and
+     *     an error message per invalid row
+     */
+    validatePrices(rows) {
+        const prices = {};
+        const errors = [];
+        rows.forEach((row, index) => {
+            const model = (row.model || '').trim();
+            if (!model && row.prompt === '' && row.completion === '') {
+                return;
+            }
+            const prompt = Number(row.prompt);
+            const completion = Number(row.completion);
+            if (!API.isValidModel(model)) {
+                errors.push(`Row ${index + 1}: "${model}" is not a valid model name.`);
+            } else if (prices[model]) {
+                errors.push(`Row ${index + 1}: ${model} is listed twice.`);
+            } else if (row.prompt === '' || row.completion === '' ||
+                !Number.isFinite(prompt) || !Number.isFinite(completion) || prompt < 0 || completion < 0) {
+                errors.push(`Row ${index + 1}: prices for ${model} must be zero or more.`);
+            } else {
+                prices[model] = { prompt: prompt, completion: completion };
+            }
+        });
+        return { prices, errors };
+    },
+
+    /**
+     * Get the monthly budgets
+     * @returns {{soft: (number|null), hard: (number|null)}} Budgets in USD; null when not set
+     */
+    getBudget() {
+        const budget = Storage.getSettings().usageBudget || {};
+        const read = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+        return { soft: read(budget.soft), hard: read(budget.hard) };
+    },
+
+    /**
+     * Estimate the cost of one request
+     * @param {string} model - Model that answered
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @param {Object} [prices] - Price table (defaults to getPrices())
+     * @returns {number|null} Cost in USD, or null if the model has no price
+     */
+    estimateCost(model, usage, prices = this.getPrices()) {
+        const price = prices[model];
+        if (!price || !usage) {
+            return null;
+        }
+        return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1e6;
+    },
+
+    /**
+     * Get the rows of the usage ledger
+     * @returns {Array<Object>} Records: { persona, model, day, time, requests, promptTokens,
+     *     completionTokens, totalTokens, estimated } where time is the start of the local day
+     *     and estimated counts the requests whose token counts were estimated
+     */
+    getRecords() {
+        const ledger = Storage.getUsageLedger();
+        return Object.keys(ledger).map(key => {
+            const row = ledger[key];
+            const [year, month, date] = row.day.split('-').map(Number);
+            return {
+                ...row,
+                model: row.model || API.DEFAULT_MODEL,
+                time: new Date(year, month - 1, date).getTime()
+            };
+        });
+    },
+
+    /**
+     * Local calendar day of a date
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM-DD
+     */
+    formatDay(date) {
+        return Storage.formatDay(date);
+    },
+
+    /**
+     * Start and end time of a period, in local time
+     * @param {string} period - Key of PERIODS
+     * @param {Date} [now] - Current time
+     * @returns {{from: number, to: number}} Millisecond bounds; `to` is exclusive
+     */
+    getPeriodRange(period, now = new Date()) {
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+        switch (period) {
+            case 'last-month':
+                return { from: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(), to: monthStart };
+            case '30-days':
+                // Usage is kept per day, so the period starts at midnight
+                return { from: new Date(now.getFullYear(), now.getMonth(), now.getDate() - 30).getTime(), to: Infinity };
+            case 'all':
+                return { from: -Infinity, to: Infinity };
+            default:
+                return { from: monthStart, to: Infinity };
+        }
+    },
+
+    /**
+     * Sum usage and cost over a period
+     * @param {string} [period] - Key of PERIODS (defaults to this month)
+     * @returns {{totals: Object, byPersona: Array<Object>, byModel: Array<Object>, byDay: Array<Object>}}
+     *     Each group row is { key, requests, promptTokens, completionTokens, totalTokens, cost,
+     *     unpriced, estimated }, where unpriced counts requests whose model has no price and
+     *     estimated those whose token counts were estimated; persona and model rows are sorted
+     *     by tokens, day rows newest first
+     */
+    summarize(period = 'month') {
+        const { from, to } = this.getPeriodRange(period);
+        const prices = this.getPrices();
+        const empty = (key) => ({
+            key, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0, estimated: 0
+        });
+        const totals = empty('total');
+        const groups = { persona: {}, model: {}, day: {} };
+
+        this.getRecords().forEach(record => {
+            if (record.time < from || record.time >= to) {
+                return;
+            }
+            const cost = this.estimateCost(record.model, record, prices);
+            const rows = [totals, ...Object.keys(groups).map(field => {
+                const key = record[field];
+                groups[field][key] = groups[field][key] || empty(key);
+                return groups[field][key];
+            })];
+            rows.forEach(row => {
+                row.requests += record.requests;
+                row.promptTokens += record.promptTokens;
+                row.completionTokens += record.completionTokens;
+                row.totalTokens += record.totalTokens;
+                row.cost += cost || 0;
+                row.unpriced += cost === null ? record.requests : 0;
+                row.estimated += record.estimated;
+            });
+        });
+
+        const byTokens = (a, b) => b.totalTokens - a.totalTokens;
+        return {
+            totals: totals,
+            byPersona: Object.values(groups.persona).sort(byTokens),
+            byModel: Object.values(groups.model).sort(byTokens),
+            byDay: Object.values(groups.day).sort((a, b) => b.key.localeCompare(a.key))
+        };
+    },
+
+    /**
+     * Compare this month's estimated spend with the budgets
+     * @returns {{status: string, spent: number, soft: (number|null), hard: (number|null)}} status is
+     *     'blocked' once the hard budget is reached, 'warning' once the soft budget is, else 'ok'
+     */
+    checkBudget() {
+        const budget = this.getBudget();
+        const spent = this.summarize('month').totals.cost;
+        let status = 'ok';
+        if (budget.hard !== null && spent >= budget.hard) {
+            status = 'blocked';
+        } else if (budget.soft !== null && spent >= budget.soft) {
+            status = 'warning';
+        }
+        return { status, spent, soft: budget.soft, hard: budget.hard };
+    },
+
+    /**
+     * Format a dollar amount, with more decimals for amounts under a cent
+     * @param {number} amount - Amount in USD
+     * @returns {string} e.g. "$0.0042" or "$12.50"
+     */
+    formatCost(amount) {
+        return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+    }
+};
+
+// Make Usage available globally
+window.Usage = Usage;
@@ -0,0 +1,65 @@
+/**
+ * config.js - Server-side configuration for the ShlangeAI backend
+ * All secrets (provider API key, admin code) live here and never reach the browser.
+ *
+ * Values come from environment variables, optionally overridden by server/config.json
+ * (which is git-ignored so keys are never committed).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, 'config.json');
+
+/**
+ * Read optional overrides from server/config.json
+ * @returns {Object} Overrides (empty if the file is missing)
+ */
+function readConfigFile() {
+    try {
+        if (fs.existsSync(CONFIG_FILE)) {
+            return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.error('[Config] Could not read server/config.json:', error.message);
+    }
+    return {};
+}
+
+const fileConfig = readConfigFile();
+
+// Port the backend listens on (the frontend expects 3000 on localhost)
+const port = parseInt(process.env.PORT || fileConfig.port || 3000, 10);
+
+const config = {
+    port: port,
+
+    // Interface to listen on; loopback only, so other hosts on the network cannot
+    // spend the provider key (set HOST=0.0.0.0 to expose the server deliberately)
+    host: process.env.HOST || fileConfig.host || '127.0.0.1',
+
+    // Chat-completions endpoint requests are forwarded to
+    upstreamUrl: process.env.UPSTREAM_URL || fileConfig.upstreamUrl || 'https://api.perplexity.ai/chat/completions',
+
+    // Provider API key, sent upstream as a bearer token
+    upstreamApiKey: process.env.UPSTREAM_API_KEY || fileConfig.upstreamApiKey || '',
+
+    // Model used when a request does not name one
+    defaultModel: process.env.DEFAULT_MODEL || fileConfig.defaultModel || 'sonar',
+
+    // Admin code required as a bearer token for the /api/personas routes
+    adminCode: process.env.ADMIN_CODE || fileConfig.adminCode || 'admin123',
+
+    // Where persona records are persisted
+    dataFile: process.env.DATA_FILE || fileConfig.dataFile || path.join(__dirname, 'data', 'personas.json'),
+
+    // Browser origins allowed to call /api/chat (comma-separated): by default the frontend
+    // served by this server; set it when the frontend is loaded from elsewhere ('*' allows any page)
+    corsOrigins: String(process.env.CORS_ORIGIN || fileConfig.corsOrigin ||
+        `http://localhost:${port},http://127.0.0.1:${port}`).split(',').map(origin => origin.trim()).filter(Boolean),
+
+    // Directory holding index.html, css/ and js/
+    staticRoot: path.join(__dirname, '..')
+};
+
+module.exports = config;
@@ -0,0 +1,100 @@
+/**
+ * mock-upstream.js - Offline stand-in for a chat-completions provider
+ * Answers deterministically by echoing the last user message, with or without
+ * server-sent events streaming, so the backend can be exercised without network.
+ *
+ * Usage:
+ *   node server/mock-upstream.js            (listens on MOCK_PORT or 3001)
+ *
+ * Send a user message containing "[mock-error]" to get a 500 response, or
+ * "[mock-sources]" to get Perplexity-style citations and search_results.
+ */
+
+const http = require('http');
+
+/**
+ * Build the deterministic reply for a request
+ * @param {Array} messages - Chat messages from the request
+ * @returns {string} Reply text
+ */
+function buildReply(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const turns = messages.filter(message => message.role !== 'system').length;
+    return `Mock reply to: ${lastUser ? lastUser.content : ''} (${turns} turns in context)`;
+}
+
+/**
+ * Create the mock provider server
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createMockUpstream() {
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+                return;
+            }
+
+            const messages = Array.isArray(body.messages) ? body.messages : [];
+            const reply = buildReply(messages);
+
+            if (reply.includes('[mock-error]')) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Mock upstream error' } }));
+                return;
+            }
+
+            // Perplexity-style web sources, cited as [1] and [2] in the reply
+            const sourceFields = reply.includes('[mock-sources]') ? {
+                citations: ['https://example.com/first', 'https://example.org/second'],
+                search_results: [
+                    { title: 'First example source', url: 'https://example.com/first', date: '2024-01-01' },
+                    { title: 'Second example source', url: 'https://example.org/second' }
+                ]
+            } : {};
+            const text = sourceFields.citations ? `${reply} See [1] and [2].` : reply;
+
+            const usage = {
+                prompt_tokens: Math.ceil(JSON.stringify(messages).length / 4),
+                completion_tokens: Math.ceil(text.length / 4)
+            };
+            usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+            if (!body.stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: 'mock-completion',
+                    model: body.model || 'mock',
+                    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+                    usage: usage,
+                    ...sourceFields
+                }));
+                return;
+            }
+
+            // Stream the reply word by word
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            const words = text.split(/(\s+)/);
+            words.forEach(word => {
+                res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }], ...sourceFields })}\n\n`);
+            });
+            res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: usage, ...sourceFields })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_PORT || 3001, 10);
+    createMockUpstream().listen(port, () => {
+        console.log(`[MockUpstream] Listening on http://localhost:${port}/chat/completions`);
+    });
+}
+
+module.exports = { createMockUpstream, buildReply };
@@ -0,0 +1,169 @@
+/**
+ * personas-store.js - JSON file persistence for backend persona records
+ *
+ * Backend schema (snake_case, numeric ids):
+ *   { id, slug, companion_name, personality, tone, system_prompt, model, created_at, updated_at }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields a client may set; everything else is managed by the store
+const WRITABLE_FIELDS = ['slug', 'companion_name', 'personality', 'tone', 'system_prompt', 'model'];
+
+// Seed records mirroring the frontend's built-in personas
+const SEED_PERSONAS = [
+    {
+        slug: 'companion',
+        companion_name: 'Companion',
+        personality: 'Friendly and empathetic',
+        tone: 5,
+        system_prompt: 'You are a friendly and empathetic AI companion. Your goal is to engage in warm, supportive conversations and help users feel heard and understood.',
+        model: 'sonar'
+    },
+    {
+        slug: 'code',
+        companion_name: 'Code Buddy',
+        personality: 'Technical and helpful',
+        tone: 5,
+        system_prompt: 'You are an expert programming assistant. You provide clear, concise coding help, debugging assistance, and best practices guidance across multiple programming languages.',
+        model: 'sonar'
+    },
+    {
+        slug: 'study',
+        companion_name: 'Study Helper',
+        personality: 'Patient and educational',
+        tone: 5,
+        system_prompt: 'You are a knowledgeable study helper and tutor. You break down complex concepts, provide clear explanations, and help students learn effectively using proven pedagogical techniques.',
+        model: 'sonar'
+    }
+];
+
+class PersonasStore {
+    /**
+     * @param {string} dataFile - Path of the JSON file holding the records
+     */
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.records = this.load();
+    }
+
+    /**
+     * Load records from disk, seeding defaults on first run
+     * @returns {Array<Object>} Persona records
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.dataFile)) {
+                const parsed = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+                if (Array.isArray(parsed)) {
+                    return parsed;
+                }
+                console.warn('[PersonasStore] Data file is not an array, reseeding');
+            }
+        } catch (error) {
+            console.error('[PersonasStore] Could not read data file, reseeding:', error.message);
+        }
+
+        const now = new Date().toISOString();
+        const seeded = SEED_PERSONAS.map((persona, index) => ({
+            id: index + 1,
+            ...persona,
+            created_at: now,
+            updated_at: now
+        }));
+        this.records = seeded;
+        this.save();
+        return seeded;
+    }
+
+    /**
+     * Write records to disk
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        fs.writeFileSync(this.dataFile, JSON.stringify(this.records, null, 2));
+    }
+
+    /**
+     * Copy only the fields clients are allowed to write
+     * @param {Object} input - Request body
+     * @returns {Object} Sanitized fields
+     */
+    pickWritable(input) {
+        const fields = {};
+        WRITABLE_FIELDS.forEach(field => {
+            if (input[field] !== undefined) {
+                fields[field] = input[field];
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * @returns {Array<Object>} All persona records
+     */
+    list() {
+        return this.records;
+    }
+
+    /**
+     * @param {number} id - Persona id
+     * @returns {Object|undefined} Persona record
+     */
+    get(id) {
+        return this.records.find(record => record.id === id);
+    }
+
+    /**
+     * Create a persona record
+     * @param {Object} input - Request body
+     * @returns {Object} Created record
+     */
+    create(input) {
+        const now = new Date().toISOString();
+        const nextId = this.records.reduce((max, record) => Math.max(max, record.id), 0) + 1;
+        const record = {
+            id: nextId,
+            ...this.pickWritable(input),
+            created_at: now,
+            updated_at: now
+        };
+        this.records.push(record);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Update a persona record
+     * @param {number} id - Persona id
+     * @param {Object} input - Request body
+     * @returns {Object|null} Updated record, or null if not found
+     */
+    update(id, input) {
+        const record = this.get(id);
+        if (!record) {
+            return null;
+        }
+        Object.assign(record, this.pickWritable(input), { updated_at: new Date().toISOString() });
+        this.save();
+        return record;
+    }
+
+    /**
+     * Delete a persona record
+     * @param {number} id - Persona id
+     * @returns {boolean} Whether a record was removed
+     */
+    remove(id) {
+        const index = this.records.findIndex(record => record.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.records.splice(index, 1);
+        this.save();
+        return true;
+    }
+}
+
+module.exports = PersonasStore;
@@ -0,0 +1,406 @@
+/**
+ * server.js - Local backend for ShlangeAI
+ * Serves the frontend, proxies chat requests to the model provider (holding the
+ * API key server-side), and implements the /api/personas routes used by Auth.
+ *
+ * Usage:
+ *   UPSTREAM_API_KEY=... node server/server.js
+ *   then open http://localhost:3000 (HOST and CORS_ORIGIN allow other addresses and origins)
+ *
+ * Offline testing against the bundled mock provider:
+ *   node server/mock-upstream.js &
+ *   UPSTREAM_URL=http://localhost:3001/chat/completions node server/server.js
+ *
+ * Uses only Node.js built-ins (Node 18+ for global fetch).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const config = require('./config');
+const PersonasStore = require('./personas-store');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Model names the frontend accepts (same rule as API.isValidModel in js/api.js)
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
+
+// Only these paths under the project root are served as static files
+const STATIC_ENTRIES = ['index.html', 'css', 'js'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Error carrying an HTTP status code for the JSON error response
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message sent to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - JSON-serializable body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {HttpError} 413 if too large, 400 if not valid JSON
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            if (tooLarge) {
+                return;
+            }
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // The rest is read and dropped rather than destroying the socket, which would
+                // cut off the 413 response before it reaches the client
+                tooLarge = true;
+                chunks.length = 0;
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (tooLarge) {
+                return;
+            }
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) {
+                resolve({});
+                return;
+            }
+            try {
+                const parsed = JSON.parse(raw);
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    reject(new HttpError(400, 'Request body must be a JSON object'));
+                    return;
+                }
+                resolve(parsed);
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the admin bearer token on a request
+ * @param {http.IncomingMessage} req - Request
+ * @throws {HttpError} 401 if missing, 403 if wrong
+ */
+function requireAdmin(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        throw new HttpError(401, 'Authentication required');
+    }
+
+    // Compare digests so the check takes the same time for any input length
+    const provided = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(config.adminCode).digest();
+    if (!crypto.timingSafeEqual(provided, expected)) {
+        throw new HttpError(403, 'Invalid admin credentials');
+    }
+}
+
+/**
+ * Check that a browser request comes from the allowed origin
+ * Browsers send Origin with every cross-site POST, so this stops other web pages from
+ * using the server (and its provider key); clients without an Origin are not browsers.
+ * @param {http.IncomingMessage} req - Request
+ * @throws {HttpError} 403 if the origin is not allowed
+ */
+function requireAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (origin !== undefined && !config.corsOrigins.includes('*') && !config.corsOrigins.includes(origin)) {
+        throw new HttpError(403, `Origin ${origin} is not allowed`);
+    }
+}
+
+/**
+ * Validate persona fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} isCreate - Whether all required fields must be present
+ * @throws {HttpError} 400 describing the first invalid field
+ */
+function validatePersona(body, isCreate) {
+    if (isCreate && (typeof body.companion_name !== 'string' || !body.companion_name.trim())) {
+        throw new HttpError(400, 'companion_name is required');
+    }
+    ['slug', 'companion_name', 'personality', 'system_prompt', 'model'].forEach(field => {
+        if (body[field] !== undefined && typeof body[field] !== 'string') {
+            throw new HttpError(400, `${field} must be a string`);
+        }
+    });
+    if (body.model !== undefined && !MODEL_PATTERN.test(body.model.trim())) {
+        throw new HttpError(400, 'model may only contain letters, digits and . _ : / - characters');
+    }
+    if (body.tone !== undefined && !(Number.isInteger(body.tone) && body.tone >= 1 && body.tone <= 10)) {
+        throw new HttpError(400, 'tone must be an integer from 1 to 10');
+    }
+}
+
+/**
+ * Forward a chat-completions request to the configured provider
+ * Streams are piped through unchanged; errors are relayed with their status.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleChat(req, res) {
+    const body = await readJsonBody(req);
+
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw new HttpError(400, 'messages must be a non-empty array');
+    }
+
+    const upstreamBody = { ...body, model: body.model || config.defaultModel };
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.upstreamApiKey) {
+        headers.Authorization = `Bearer ${config.upstreamApiKey}`;
+    }
+
+    let upstream;
+    try {
+        upstream = await fetch(config.upstreamUrl, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(upstreamBody)
+        });
+    } catch (error) {
+        console.error('[Server] Upstream request failed:', error.message);
+        throw new HttpError(502, 'Could not reach the AI provider');
+    }
+
+    res.writeHead(upstream.status, {
+        'Content-Type': upstream.headers.get('content-type') || 'application/json; charset=utf-8',
+        'Cache-Control': 'no-cache'
+    });
+
+    if (!upstream.body) {
+        res.end();
+        return;
+    }
+
+    // Stop reading upstream if the browser goes away
+    const stream = Readable.fromWeb(upstream.body);
+    res.on('close', () => stream.destroy());
+    stream.on('error', error => {
+        console.error('[Server] Upstream stream error:', error.message);
+        res.destroy();
+    });
+    stream.pipe(res);
+}
+
+/**
+ * Route /api/personas and /api/personas/:id
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {PersonasStore} store - Persona store
+ * @param {string|undefined} idParam - Id segment of the path, if any
+ */
+async function handlePersonas(req, res, store, idParam) {
+    requireAdmin(req);
+
+    if (idParam === undefined) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, store.list());
+            return;
+        }
+        if (req.method === 'POST') {
+            const body = await readJsonBody(req);
+            validatePersona(body, true);
+            sendJson(res, 201, store.create(body));
+            return;
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const id = Number(idParam);
+    if (!Number.isInteger(id)) {
+        throw new HttpError(400, 'Persona id must be an integer');
+    }
+
+    if (req.method === 'GET') {
+        const persona = store.get(id);
+        if (!persona) {
+            throw new HttpError(404, `Persona with ID ${id} not found`);
+        }
+        sendJson(res, 200, persona);
+        return;
+    }
+
+    if (req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        validatePersona(body, false);
+        const persona = store.update(id, body);
+        if (!persona) {
+            throw new HttpError(404, `Persona with ID ${id} not found`);
+        }
+        sendJson(res, 200, persona);
+        return;
+    }
+
+    if (req.method === 'DELETE') {
+        if (!store.remove(id)) {
+            throw new HttpError(404, `Persona with ID ${id} not found`);
+        }
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * Serve a frontend file (index.html, css/, js/ only)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Decoded URL path
+ */
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const relative = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+    const filePath = path.resolve(config.staticRoot, relative);
+    const topLevel = path.relative(config.staticRoot, filePath).split(path.sep)[0];
+
+    // Reject traversal and anything outside the frontend (e.g. server/ with its config)
+    if (!filePath.startsWith(config.staticRoot + path.sep) || !STATIC_ENTRIES.includes(topLevel)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(res, 404, { message: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+/**
+ * Create the backend HTTP server
+ * @param {Object} [options] - Overrides for testing
+ * @param {PersonasStore} [options.store] - Persona store to use
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createServer(options = {}) {
+    const store = options.store || new PersonasStore(config.dataFile);
+
+    return http.createServer(async (req, res) => {
+        // Name the caller's origin when it is allowed; browsers accept only a single origin here
+        const origin = req.headers.origin;
+        res.setHeader('Access-Control-Allow-Origin', config.corsOrigins.includes('*') ? '*'
+            : config.corsOrigins.includes(origin) ? origin : config.corsOrigins[0]);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            let decodedPath;
+            try {
+                decodedPath = decodeURIComponent(pathname);
+            } catch (error) {
+                throw new HttpError(400, 'Malformed URL');
+            }
+
+            if (decodedPath === '/api/chat') {
+                if (req.method !== 'POST') {
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                requireAllowedOrigin(req);
+                await handleChat(req, res);
+                return;
+            }
+
+            const personasMatch = decodedPath.match(/^\/api\/personas(?:\/([^/]+))?\/?$/);
+            if (personasMatch) {
+                await handlePersonas(req, res, store, personasMatch[1]);
+                return;
+            }
+
+            if (decodedPath.startsWith('/api/')) {
+                throw new HttpError(404, 'Unknown API route');
+            }
+
+            serveStatic(req, res, decodedPath);
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                console.error('[Server] Unhandled error:', error);
+            }
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            sendJson(res, status, { message: status === 500 ? 'Internal server error' : error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    if (!config.upstreamApiKey) {
+        console.warn('[Server] UPSTREAM_API_KEY is not set; upstream requests will be unauthenticated');
+    }
+    createServer().listen(config.port, config.host, () => {
+        console.log(`[Server] ShlangeAI backend listening on http://${config.host}:${config.port}`);
+        console.log(`[Server] Forwarding /api/chat to ${config.upstreamUrl} for ${config.corsOrigins.join(', ')}`);
+    });
+}
+
+module.exports = { createServer, HttpError };